@@ -27,9 +27,12 @@ export async function onRequestPost(context) {
     }
 
     const cd = calculatorData || {};
+    const currency = /^[A-Z]{3}$/.test(cd.currency || '') ? cd.currency : 'USD';
     const fmt = (n) => {
       if (n == null) return 'N/A';
-      return '$' + Math.round(Number(n)).toLocaleString('en-US');
+      return Math.round(Number(n)).toLocaleString('en-US', {
+        style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 0,
+      });
     };
 
     const htmlEmail = `
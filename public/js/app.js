@@ -14,12 +14,31 @@
   var equipmentRecommendation = null;
   var investmentMetrics = null;
   var projectionData = null;
+  var sensitivityData = null;
+  var simulationData = null;
+  var simulationRanges = null;
+  var simulationAbort = null;
+  var savedScenarios = {};
+  var optimizerData = null;
+  var portfolioSites = [];
+  var portfolioData = null;
 
   // ---------------------------------------------------------------------------
   // DOM references (cached after DOMContentLoaded)
   // ---------------------------------------------------------------------------
   var $steps, $progressSteps, $progressBar, $wizard, $resultsSection;
 
+  // Card selector values -> calculator maintenanceType
+  var MAINTENANCE_TYPES = { 'in-house': 'inhouse', outsourced: 'outsourced', hybrid: 'hybrid' };
+  var MAINTENANCE_LABELS = { inhouse: 'In-House', outsourced: 'Outsourced', hybrid: 'Hybrid (In-House + Outsourced)' };
+
+  var PURCHASE_LABELS = { cash: 'Cash Purchase', loan: 'Term Loan', lease: 'Operating Lease' };
+  var SCENARIO_ORDER = ['conservative', 'expected', 'aggressive'];
+  var SCENARIO_LABELS = { conservative: 'Conservative', expected: 'Expected', aggressive: 'Aggressive' };
+  var TAX_METHOD_LABELS = { macrs5: 'MACRS 5-Year', section179: 'Section 179', straightline: 'Straight-Line (5 yrs)' };
+  var ZONE_TERRAIN_LABELS = { flat: 'Flat', hilly: 'Hilly', rough: 'Rough' };
+  var ZONE_USE_LABELS = { '': 'Same as property', commercial: 'Commercial', golf: 'Golf', athletic: 'Athletic' };
+
   // ---------------------------------------------------------------------------
   // Helpers
   // ---------------------------------------------------------------------------
@@ -29,22 +48,55 @@
   function $$(selector, parent) {
     return Array.prototype.slice.call((parent || document).querySelectorAll(selector));
   }
+  /** Message in the selected language (see I18n.t) */
+  function t(key, params) {
+    return I18n.t(key, params);
+  }
+  // Money and numbers follow the Units currency and locale settings
   function fmt(n) {
     if (n == null || isNaN(n)) return '--';
-    return '$' + Math.round(Number(n)).toLocaleString('en-US');
+    return Units.money(Math.round(Number(n)));
   }
   function fmtDecimal(n) {
     if (n == null || isNaN(n)) return '--';
-    return '$' + Number(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return Units.money(n, 2);
   }
   function fmtNum(n) {
     if (n == null || isNaN(n)) return '--';
-    return Math.round(Number(n)).toLocaleString('en-US');
+    return Units.number(Math.round(Number(n)));
+  }
+  /** US-unit quantity in the selected unit system: "8.1 ha" */
+  function fmtQty(n, kind, decimals) {
+    if (n == null || isNaN(n)) return '--';
+    return Units.quantity(n, kind, decimals);
+  }
+  /** US-unit value converted to the selected unit system, without the unit */
+  function inUnits(n, kind) {
+    return Units.number(Units.fromImperial(Number(n), kind), 2);
   }
   function fmtPct(n) {
     if (n == null || isNaN(n)) return '--';
     return Math.round(Number(n)) + '%';
   }
+  function fmtRate(n) {
+    if (n == null || isNaN(n)) return '--';
+    return Units.money(n, Math.round(n * 1000) % 10 ? 3 : 2) + '/kWh';
+  }
+  function fmtYears(n) {
+    if (n == null || isNaN(n)) return '--';
+    return n === Infinity ? t('N/A') : t('{n} years', { n: Units.fixed(n, 1) });
+  }
+  /** IRR as a percentage; unbounded when little or nothing is paid up front */
+  function fmtIrr(n) {
+    if (n === null) return t('N/A');
+    return n === Infinity ? t('Unbounded') : Units.fixed(n, 1) + '%';
+  }
+  /** Escape user-entered text (e.g. zone names) for insertion as HTML. */
+  function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+    });
+  }
 
   // ---------------------------------------------------------------------------
   // Wizard Navigation
@@ -62,6 +114,7 @@
     }
 
     currentStep = step;
+    scheduleAutosave();
 
     // Toggle wizard step visibility
     $steps.forEach(function (el) {
@@ -113,20 +166,37 @@
     if (step === 1) {
       var propType = $('#property-type').value;
       var acreage = $('#total-acreage').value;
-      if (!propType) { showError('#property-type', 'Please select a property type'); valid = false; }
-      if (!acreage || Number(acreage) <= 0) { showError('#total-acreage', 'Please enter your mowable acreage'); valid = false; }
+      if (!propType) { showError('#property-type', t('Please select a property type')); valid = false; }
+      if ($('#use-zones').checked) {
+        $$('.zone-acres', $('#zones-list')).forEach(function (el) {
+          if (!(Number(el.value) > 0)) { el.classList.add('error'); valid = false; }
+        });
+        if (!valid) showError('#total-acreage', t('Please enter the acreage of each zone'));
+      } else if (!acreage || Number(acreage) <= 0) {
+        showError('#total-acreage', t('Please enter your mowable acreage')); valid = false;
+      }
     }
 
     if (step === 2) {
       var mType = $('#maintenance-type').value;
-      if (mType === 'in-house') {
+      if (mType !== 'outsourced') {
         var emp = $('#employee-count').value;
         var rate = $('#hourly-rate').value;
-        if (!emp || Number(emp) < 1) { showError('#employee-count', 'Please enter number of employees'); valid = false; }
-        if (!rate || Number(rate) < 10) { showError('#hourly-rate', 'Please enter an hourly rate ($10+)'); valid = false; }
-      } else {
+        if (!emp || Number(emp) < 1) { showError('#employee-count', t('Please enter number of employees')); valid = false; }
+        if (!rate || Number(rate) < 10) { showError('#hourly-rate', t('Please enter an hourly rate ($10+)')); valid = false; }
+      }
+      if (mType !== 'in-house') {
         var contract = $('#contract-cost').value;
-        if (!contract || Number(contract) <= 0) { showError('#contract-cost', 'Please enter monthly contract cost'); valid = false; }
+        if (!contract || Number(contract) <= 0) { showError('#contract-cost', t('Please enter monthly contract cost')); valid = false; }
+      }
+      if (mType === 'hybrid') {
+        var outAcres = Number($('#outsourced-acreage').value);
+        var totalAcres = Number($('#total-acreage').value);
+        if (!(outAcres > 0) || outAcres >= totalAcres) {
+          showError('#outsourced-acreage', t('Please enter the contractor {area} (less than your {total} total {area})',
+            { total: Units.number(totalAcres, 2) }));
+          valid = false;
+        }
       }
     }
 
@@ -166,19 +236,33 @@
     var propType = $('#property-type').value;
     var defaults = Calculator.PROPERTY_DEFAULTS[propType] || Calculator.PROPERTY_DEFAULTS.commercial;
 
+    var units = Units.settings();
+
     return {
+      unitSystem: units.unitSystem,
+      inputUnits: units.unitSystem,
+      currency: units.currency,
+      locale: units.locale,
+
+      region: $('#region').value,
       propertyType: propType,
       acreage: parseFloat($('#total-acreage').value) || 0,
       seasonWeeks: parseInt($('#season-length').value, 10) || 30,
+      zones: readZones(),
 
-      maintenanceType: $('#maintenance-type').value === 'outsourced' ? 'outsourced' : 'inhouse',
+      maintenanceType: MAINTENANCE_TYPES[$('#maintenance-type').value] || 'inhouse',
 
       employees: parseInt($('#employee-count').value, 10) || 0,
       hourlyRate: parseFloat($('#hourly-rate').value) || 0,
       mowingTimePercent: parseInt($('#mowing-time-pct').value, 10) || 60,
       isLeased: $('#equipment-leased').checked,
+      legacyMowers: parseInt($('#legacy-mowers').value, 10) || 0,
+      legacyMowerType: $('#legacy-mower-type').value,
+      legacyMowerAge: parseFloat($('#legacy-mower-age').value) || 0,
+      legacyResaleValue: parseFloat($('#legacy-resale').value) || 0,
 
       monthlyContract: parseFloat($('#contract-cost').value) || 0,
+      outsourcedAcreage: parseFloat($('#outsourced-acreage').value) || 0,
 
       // Basic assumptions
       benefitsRate: parseInt($('#benefits-pct').value, 10),
@@ -197,12 +281,35 @@
       leasingPremium: parseInt($('#leasing-premium-pct').value, 10),
       roboticMaintenance: parseFloat($('#robotic-maintenance').value),
       electricityPerAcre: parseFloat($('#electricity-per-acre').value),
+      electricityRateMode: $('#electricity-rate-mode').value,
+      electricityRate: parseFloat($('#electricity-rate').value),
+      offPeakRate: parseFloat($('#off-peak-rate').value),
+      offPeakShare: parseFloat($('#off-peak-share').value),
+      solarOffset: parseFloat($('#solar-offset').value) || 0,
       co2PerGallon: parseFloat($('#co2-per-gallon').value),
+      gridCo2PerKwh: parseFloat($('#grid-co2').value) || 0,
       mowingTimePerAcre: parseInt($('#mowing-time-per-acre').value, 10),
+      discountRate: parseFloat($('#discount-rate').value),
 
       // Goals
       automationLevel: parseInt($('#automation-level').value, 10),
-      desiredMowingTime: parseInt($('#desired-mowing-time').value, 10)
+      fleetModel: $('#fleet-model').value,
+      desiredMowingTime: parseInt($('#desired-mowing-time').value, 10),
+      analysisYears: parseInt($('#analysis-years').value, 10),
+
+      // Financing
+      purchaseMode: $('#purchase-mode').value,
+      loanApr: parseFloat($('#loan-apr').value),
+      loanTermYears: parseInt($('#loan-term').value, 10),
+      downPaymentPct: parseFloat($('#down-payment-pct').value),
+      leaseMonthlyPayment: parseFloat($('#lease-payment').value) || 0,
+      leaseTermMonths: parseInt($('#lease-term').value, 10),
+      leaseBuyoutPct: parseFloat($('#lease-buyout-pct').value),
+
+      // Tax
+      includeTax: $('#include-tax').checked,
+      taxRate: parseFloat($('#tax-rate').value),
+      depreciationMethod: $('#depreciation-method').value
     };
   }
 
@@ -236,33 +343,44 @@
     calculationResults = Calculator.calculateROI(inputs);
 
     // Get equipment recommendation
-    var isHilly = inputs.propertyType === 'golf'; // golf defaults to hilly
-    equipmentRecommendation = Equipment.recommend(
-      inputs.propertyType,
-      inputs.acreage,
-      inputs.automationLevel,
-      isHilly
-    );
+    equipmentRecommendation = recommendFor(calculationResults.inputs);
 
     // Complete ROI with investment data
     investmentMetrics = calculationResults.withInvestment(
       equipmentRecommendation.costs.totalInvestment,
-      equipmentRecommendation.costs.annualService
+      equipmentRecommendation.costs.annualService,
+      equipmentRecommendation.lifecycle
     );
 
-    // 5-year projection
+    // Multi-year projection over the chosen analysis horizon
     projectionData = Calculator.calculateProjection(
       calculationResults,
       equipmentRecommendation.costs.totalInvestment,
-      equipmentRecommendation.costs.annualService
+      equipmentRecommendation.costs.annualService,
+      equipmentRecommendation.lifecycle
     );
 
-    // Render all results sections
+    runSensitivity();
+    resetSimulation();
+    renderResults();
+    updateShareLink();
+
+    // Show results, update progress
+    maxCompletedStep = 3;
+    goToStep(4);
+  }
+
+  /** Render every results section and chart from the current results. */
+  function renderResults() {
     renderHeroMetrics();
     renderEquipmentRecommendation();
     renderInvestmentSummary();
+    renderGoalSeek();
+    renderOptimizer();
     renderCostAnalysis();
     renderProjection();
+    renderSensitivity();
+    renderSimulationRanges();
     renderLaborAnalysis();
     renderEnvironmentalImpact();
     renderMethodology();
@@ -290,11 +408,44 @@
         }
       );
       Charts.renderProjection('chart-line', projectionData, investmentMetrics.paybackYears);
+      renderSensitivityChart();
+      renderOptimizerChart();
     }
+    renderScenarios();
+  }
 
-    // Show results, update progress
-    maxCompletedStep = 3;
-    goToStep(4);
+  /** Size the fleet for a set of inputs. Golf courses are assumed hilly. */
+  function recommendFor(inputs, shared) {
+    var isHilly = inputs.propertyType === 'golf';
+    return Equipment.recommend(
+      inputs.propertyType,
+      inputs.acreage,
+      inputs.automationLevel,
+      isHilly,
+      {
+        model: inputs.fleetModel,
+        priceFactor: inputs.exchangeRate,
+        zones: inputs.zones,
+        horizonYears: inputs.analysisYears,
+        sharedStation: !!(shared && shared.sharedStation),
+        schedule: {
+          mowingTimePercent: inputs.desiredMowingTime,
+          mowsPerWeek: inputs.mowsPerWeek,
+          seasonWeeks: inputs.seasonWeeks
+        }
+      }
+    );
+  }
+
+  /** Re-run the sensitivity analysis at the currently selected variation. */
+  function runSensitivity() {
+    sensitivityData = null;
+    if (typeof Sensitivity === 'undefined' || !calculationResults) return;
+    var select = $('#sensitivity-variation');
+    sensitivityData = Sensitivity.analyze(calculationResults.inputs, {
+      variation: select ? parseInt(select.value, 10) : 20,
+      recommend: recommendFor
+    });
   }
 
   // ---------------------------------------------------------------------------
@@ -305,10 +456,10 @@
     var r = calculationResults;
     var m = investmentMetrics;
     setMetric('savings', fmt(r.netAnnualSavings));
-    setMetric('payback', m.paybackYears === Infinity ? 'N/A' : m.paybackYears.toFixed(1) + ' years');
-    setMetric('roi', m.roi === Infinity ? 'N/A' : Math.round(m.roi) + '%');
-    setMetric('hours', fmtNum(r.labor.hoursSaved) + ' hrs/yr');
-    setMetric('co2', fmtNum(r.environmental.co2Reduced) + ' lbs/yr');
+    setMetric('payback', fmtYears(m.paybackYears));
+    setMetric('roi', m.roi === Infinity ? t('N/A') : Math.round(m.roi) + '%');
+    setMetric('hours', t('{n} hrs/yr', { n: fmtNum(r.labor.hoursSaved) }));
+    setMetric('co2', fmtQty(r.environmental.co2Reduced, 'mass') + '/yr');
   }
 
   function setMetric(key, value) {
@@ -318,8 +469,52 @@
 
   function renderEquipmentRecommendation() {
     var eq = equipmentRecommendation;
-    $('#equipment-model-name').textContent = eq.model.name;
-    $('#equipment-units-needed').innerHTML = 'Units needed: <strong>' + eq.unitsNeeded + '</strong> (' + eq.targetAcreage.toFixed(1) + ' acres automated)';
+    var mixed = eq.fleet.length > 1;
+    $('#equipment-model-name').textContent = mixed ? t('Mixed Fleet: {fleet}', { fleet: eq.fleetLabel }) : eq.model.name;
+    $('#equipment-units-needed').innerHTML = t('Units needed: <strong>{units}</strong> ({area} automated)', {
+      units: eq.unitsNeeded, area: fmtQty(eq.targetAcreage, 'area', 1)
+    }) +
+      (calculationResults.inputs.fleetModel === 'auto'
+        ? ' &mdash; ' + t('lowest {years}-year cost mix (purchase, installation and service)', { years: eq.horizonYears })
+        : '');
+
+    // Capacity check against the weekly mowing schedule
+    var capacityEl = $('#equipment-capacity');
+    var cap = eq.capacity;
+    if (capacityEl && cap) {
+      capacityEl.classList.toggle('is-short', !cap.sufficient);
+      var capParams = {
+        hours: Units.fixed(cap.scheduledHoursPerWeek, 1),
+        needed: fmtQty(cap.neededAcresPerWeek, 'area', 1),
+        utilization: fmtPct(cap.utilization),
+        seasonHours: fmtNum(cap.seasonHoursPerUnit),
+        capacity: inUnits(cap.initialCapacityAcresPerWeek, 'area'),
+        added: cap.addedUnits
+      };
+      capacityEl.textContent = cap.sufficient
+        ? t('Schedule check: {hours} scheduled hrs/week per mower covers {needed} of mowing a week at {utilization} ' +
+          'of fleet capacity (about {seasonHours} running hrs per mower per season).', capParams)
+        : t(cap.addedUnits === 1
+          ? 'Schedule check: at {hours} scheduled hrs/week, a fleet sized on rated coverage alone could mow only ' +
+            '{capacity} of the {needed} due each week, so {added} more unit is included. Allowing more mowing time would reduce the fleet.'
+          : 'Schedule check: at {hours} scheduled hrs/week, a fleet sized on rated coverage alone could mow only ' +
+            '{capacity} of the {needed} due each week, so {added} more units are included. Allowing more mowing time would reduce the fleet.',
+          capParams);
+    }
+
+    // Per-zone fleet (only when the property was entered as zones)
+    var zonesBody = $('#equipment-zones-body');
+    var zoned = calculationResults.inputs.zones.length > 0;
+    if (zonesBody) {
+      zonesBody.innerHTML = zoned
+        ? eq.zones.map(function (z) {
+            return '<tr><td>' + escapeHtml(z.name) + ' (' + fmtQty(z.targetAcreage, 'area', 1) + ')</td><td>' +
+              t(ZONE_TERRAIN_LABELS[z.terrain]) + '</td><td>' + z.fleetLabel + '</td><td>' + z.unitsNeeded + '</td><td>' +
+              z.houses + '</td><td>' + (z.remote ? t('{n} own', { n: z.referenceStations }) : t('Main')) + '</td></tr>';
+          }).join('')
+        : '';
+      setVisible('#equipment-zones-table', zoned);
+    }
 
     // Set product image
     var imgEl = $('#equipment-product-img');
@@ -346,7 +541,8 @@
     tbody.innerHTML = '';
     eq.breakdown.forEach(function (item) {
       var tr = document.createElement('tr');
-      tr.innerHTML = '<td>' + item.label + '</td><td>' + fmtDecimal(item.amount) + '</td>';
+      var label = item.shared ? item.label + ' ' + t('(main area shared with a neighboring site)') : item.label;
+      tr.innerHTML = '<td>' + label + '</td><td>' + fmtDecimal(item.amount) + '</td>';
       tbody.appendChild(tr);
     });
 
@@ -359,9 +555,40 @@
     setField('invest-equipment', fmtDecimal(eq.costs.totalEquipment));
     setField('invest-installation', fmtDecimal(eq.costs.installation));
     setField('invest-setup', fmtDecimal(eq.costs.setup));
-    setField('invest-service', fmtDecimal(eq.costs.annualService) + '/yr');
-    setField('invest-first-year', '<strong>' + fmt(eq.costs.totalInvestment + eq.costs.annualService) + '</strong>');
-    setField('invest-ongoing', '<strong>' + fmt(eq.costs.annualService + calculationResults.newCosts.total) + '/yr</strong>');
+    setField('invest-service', t('{amount}/yr', { amount: fmtDecimal(eq.costs.annualService) }));
+
+    // Current mowers sold in year 1 and the replacements they no longer need
+    var legacy = calculationResults.legacyFleet;
+    setVisible('#invest-resale-row', legacy.resaleCredit > 0);
+    setVisible('#invest-avoided-row', legacy.avoidedCapex > 0);
+    setField('invest-resale-label', t(legacy.retired === 1 ? 'Current Fleet Resale ({n} {type})' : 'Current Fleet Resale ({n} {type}s)',
+      { n: legacy.retired, type: t(legacy.type) }));
+    setField('invest-resale', '\u2212' + fmt(legacy.resaleCredit));
+    setField('invest-avoided', t('{amount} over {years} yrs', { amount: fmt(legacy.avoidedCapex), years: calculationResults.inputs.analysisYears }));
+
+    var m = investmentMetrics;
+    var f = m.financing;
+    var firstYearPayments = projectionData.length ? projectionData[0].financingPayment : 0;
+    var financingLabel = t(PURCHASE_LABELS[f.mode]);
+    if (f.mode === 'loan') {
+      financingLabel += ' ' + t('({amount} down, {years} yrs)', { amount: fmt(f.upfront), years: Units.number(f.termMonths / 12, 1) });
+    } else if (f.mode === 'lease') {
+      financingLabel += ' ' + t('({months} mo, {amount} buyout)', { months: f.termMonths, amount: fmt(f.buyout) });
+    }
+    setField('invest-financing', financingLabel);
+    setField('invest-monthly', f.mode === 'cash'
+      ? '--'
+      : t('{amount}/mo', { amount: fmtDecimal(f.monthlyPayment) }) + (f.estimatedPayment ? ' ' + t('(est.)') : ''));
+    setField('invest-first-year', '<strong>' + fmt(f.upfront + firstYearPayments + eq.costs.annualService - legacy.resaleCredit) + '</strong>');
+    setField('invest-ongoing', '<strong>' + t('{amount}/yr', { amount: fmt(eq.costs.annualService + calculationResults.newCosts.total) }) + '</strong>');
+
+    setField('dcf-npv-label', t('Net Present Value ({rate}% discount rate)', { rate: Units.number(m.discountRate, 2) }));
+    setField('dcf-npv', fmt(m.npv));
+    setField('dcf-irr', fmtIrr(m.irr));
+    setField('dcf-payback', fmtYears(m.discountedPaybackYears));
+    setField('tax-annual-savings', fmt(m.afterTaxAnnualSavings));
+    setField('tax-payback', fmtYears(m.afterTaxPaybackYears));
+    toggleTaxColumns(calculationResults.inputs.includeTax);
   }
 
   function renderCostAnalysis() {
@@ -397,21 +624,557 @@
   }
 
   function renderProjection() {
+    var title = $('#projection-title');
+    if (title) title.textContent = t('{n}-Year Projection', { n: projectionData.length });
+
     var tbody = $('#projection-table-body');
     if (!tbody) return;
     tbody.innerHTML = '';
+    var includeTax = calculationResults.inputs.includeTax;
     projectionData.forEach(function (yr) {
+      // Lifecycle items due this year (included in the automated cost), less
+      // the fleet's residual value in the final year
+      var lifecycleNotes = yr.lifecycleItems.map(function (item) { return t(item.name) + ' ' + fmt(item.cost); });
+      if (yr.residualValue) lifecycleNotes.push(t('Residual value') + ' \u2212' + fmt(yr.residualValue));
       var tr = document.createElement('tr');
       tr.innerHTML =
-        '<td>Year ' + yr.year + '</td>' +
+        '<td>' + t('Year {n}', { n: yr.year }) + '</td>' +
         '<td>' + fmt(yr.traditionalCost) + '</td>' +
         '<td>' + fmt(yr.automatedCost) + '</td>' +
+        '<td title="' + escapeHtml(lifecycleNotes.join(', ')) + '">' +
+          (lifecycleNotes.length ? fmt(yr.lifecycleCost - yr.residualValue) : '--') + '</td>' +
         '<td class="savings-cell">' + fmt(yr.annualSavings) + '</td>' +
+        (includeTax ? '<td class="savings-cell">' + fmt(yr.afterTaxSavings) + '</td>' : '') +
         '<td class="savings-cell">' + fmt(yr.cumulativeSavings) + '</td>';
       tbody.appendChild(tr);
     });
   }
 
+  function renderSensitivity() {
+    var tbody = $('#sensitivity-table-body');
+    if (!tbody) return;
+    tbody.innerHTML = '';
+    if (!sensitivityData) return;
+
+    sensitivityData.rows.forEach(function (row) {
+      var paybacks = [row.low.paybackYears, row.high.paybackYears].sort(function (a, b) { return a - b; });
+      var tr = document.createElement('tr');
+      tr.innerHTML =
+        '<td>' + t(row.label) + '</td>' +
+        '<td>' + fmt(row.low.netAnnualSavings) + '</td>' +
+        '<td>' + fmt(row.high.netAnnualSavings) + '</td>' +
+        '<td>' + fmt(row.swing) + '</td>' +
+        '<td>' + fmtYears(paybacks[0]) + ' – ' + fmtYears(paybacks[1]) + '</td>';
+      tbody.appendChild(tr);
+    });
+  }
+
+  function renderSensitivityChart() {
+    if (typeof Charts === 'undefined' || !sensitivityData || !sensitivityData.rows.length) return;
+    Charts.renderTornado('chart-tornado', sensitivityData);
+  }
+
+  /** Re-run sensitivity when the variation is changed on the results page. */
+  function initSensitivityControls() {
+    var select = $('#sensitivity-variation');
+    if (!select) return;
+    select.addEventListener('change', function () {
+      if (!calculationResults) return;
+      runSensitivity();
+      renderSensitivity();
+      renderSensitivityChart();
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // What Would It Take? (goal seek)
+  // ---------------------------------------------------------------------------
+
+  function renderGoalSeek() {
+    if (!calculationResults) return;
+    var inputs = calculationResults.inputs;
+    var targetYears = parseFloat($('#goal-payback-years').value) || 2;
+    var targetRoi = parseFloat($('#goal-roi').value) || 100;
+
+    var automation = Calculator.solveMinAutomation(inputs, targetYears, recommendFor);
+    setField('goal-automation-label', t('Minimum automation level for a {years}-year payback', { years: Units.number(targetYears, 1) }));
+    setField('goal-automation', automation
+      ? t('<strong>{level}%</strong> ({fleet}, pays back in {payback})', {
+          level: automation.automationLevel, fleet: automation.equipment.fleetLabel, payback: fmtYears(automation.paybackYears)
+        })
+      : t('Not reachable at any automation level'));
+
+    var rate = Calculator.solveBreakEvenRate(inputs, recommendFor);
+    setField('goal-rate-label', t(inputs.analysisYears === 1
+      ? 'Hourly labor rate at which the robots break even within {n} year'
+      : 'Hourly labor rate at which the robots break even within {n} years', { n: inputs.analysisYears }));
+    if (inputs.maintenanceType === 'outsourced') {
+      setField('goal-rate', t('N/A (mowing is outsourced)'));
+    } else {
+      setField('goal-rate', rate
+        ? t('<strong>{rate}/hr</strong> (you entered {entered}/hr)', { rate: fmtDecimal(rate.hourlyRate), entered: fmtDecimal(inputs.hourlyRate) })
+        : t('Does not break even at any realistic rate'));
+    }
+
+    var investment = Calculator.solveMaxInvestment(inputs, targetRoi, recommendFor);
+    setField('goal-investment-label', t('Maximum investment for a {roi}% annual ROI', { roi: Units.number(targetRoi, 1) }));
+    setField('goal-investment', investment
+      ? t('<strong>{amount}</strong> (recommended fleet: {recommended})', {
+          amount: fmt(investment.totalInvestment), recommended: fmt(equipmentRecommendation.costs.totalInvestment)
+        })
+      : t('Not reachable: savings do not cover the annual service cost'));
+  }
+
+  function initGoalSeekControls() {
+    ['#goal-payback-years', '#goal-roi'].forEach(function (sel) {
+      var el = $(sel);
+      if (el) el.addEventListener('change', renderGoalSeek);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Automation Level Optimizer
+  // ---------------------------------------------------------------------------
+
+  var OPTIMIZER_OBJECTIVES = { npv: 'the highest NPV', roi: 'the highest ROI', payback: 'the fastest payback' };
+
+  /** Automation level the optimizer suggests for the selected objective. */
+  function optimizerSuggestion() {
+    var objective = $('#optimizer-objective').value;
+    var level = optimizerData.best[objective];
+    var point = optimizerData.points.filter(function (p) { return p.automationLevel === level; })[0];
+    return { objective: objective, level: level, point: point };
+  }
+
+  function renderOptimizer() {
+    optimizerData = Calculator.optimizeAutomation(calculationResults.inputs, recommendFor);
+    var s = optimizerSuggestion();
+    var current = calculationResults.inputs.automationLevel;
+    var applyBtn = $('#apply-optimizer-btn');
+
+    var text = t('<strong>{level}% automation</strong> gives {objective}: {fleet}, {investment} invested, NPV {npv}, payback {payback}.', {
+      level: s.level,
+      objective: t(OPTIMIZER_OBJECTIVES[s.objective]),
+      fleet: s.point.fleet,
+      investment: fmt(s.point.totalInvestment),
+      npv: fmt(s.point.npv),
+      payback: fmtYears(s.point.paybackYears)
+    });
+    if (s.level === current) text += ' ' + t('This is your current setting.');
+    setField('optimizer-suggestion', text);
+
+    if (applyBtn) {
+      applyBtn.disabled = s.level === current;
+      applyBtn.textContent = t('Apply {level}%', { level: s.level });
+    }
+  }
+
+  function renderOptimizerChart() {
+    if (typeof Charts === 'undefined' || !optimizerData) return;
+    Charts.renderFrontier('chart-frontier', optimizerData, optimizerSuggestion().level,
+      calculationResults.inputs.automationLevel);
+  }
+
+  function initOptimizerControls() {
+    var objective = $('#optimizer-objective');
+    if (objective) {
+      objective.addEventListener('change', function () {
+        if (!calculationResults) return;
+        renderOptimizer();
+        renderOptimizerChart();
+      });
+    }
+
+    var applyBtn = $('#apply-optimizer-btn');
+    if (applyBtn) {
+      applyBtn.addEventListener('click', function () {
+        if (!optimizerData) return;
+        var slider = $('#automation-level');
+        slider.value = optimizerSuggestion().level;
+        slider.dispatchEvent(new Event('input', { bubbles: true }));
+        runCalculation();
+      });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Risk Simulation
+  // ---------------------------------------------------------------------------
+
+  /** Cancel any simulation in progress and clear its output. */
+  function resetSimulation() {
+    if (simulationAbort) simulationAbort.abort();
+    simulationAbort = null;
+    simulationData = null;
+    simulationRanges = null;
+    setVisible('#simulation-output', false);
+    var status = $('#simulation-status');
+    if (status) status.textContent = '';
+    var btn = $('#run-simulation-btn');
+    if (btn) btn.disabled = false;
+  }
+
+  function renderSimulationRanges() {
+    var tbody = $('#simulation-ranges-body');
+    if (!tbody || typeof Simulation === 'undefined') return;
+    tbody.innerHTML = '';
+    simulationRanges = Simulation.buildRanges(calculationResults.inputs);
+
+    // Bounds are shown and edited in the selected unit system
+    simulationRanges.forEach(function (r, idx) {
+      var kind = Units.INPUT_KINDS[r.key];
+      function shown(v) { return kind ? Number(Units.fromImperial(v, kind).toPrecision(4)) : v; }
+      var label = t(r.label);
+      var tr = document.createElement('tr');
+      tr.setAttribute('data-index', idx);
+      tr.innerHTML =
+        '<td>' + label + '</td>' +
+        '<td><input type="number" class="form-input" data-bound="min" step="any" min="0" value="' + shown(r.min) + '" aria-label="' + t('{label} low', { label: label }) + '"></td>' +
+        '<td>' + Units.number(shown(r.mode), 2) + '</td>' +
+        '<td><input type="number" class="form-input" data-bound="max" step="any" min="0" value="' + shown(r.max) + '" aria-label="' + t('{label} high', { label: label }) + '"></td>' +
+        '<td><select class="form-select" data-bound="shape" aria-label="' + t('{label} distribution', { label: label }) + '">' +
+          '<option value="triangular"' + (r.shape === 'triangular' ? ' selected' : '') + '>' + t('Triangular') + '</option>' +
+          '<option value="uniform"' + (r.shape === 'uniform' ? ' selected' : '') + '>' + t('Uniform') + '</option>' +
+        '</select></td>';
+      tbody.appendChild(tr);
+    });
+  }
+
+  /** Read the (possibly edited) ranges back from the table. */
+  function readSimulationRanges() {
+    return simulationRanges.map(function (r, idx) {
+      var row = $('#simulation-ranges-body tr[data-index="' + idx + '"]');
+      var kind = Units.INPUT_KINDS[r.key];
+      var min = parseFloat(row.querySelector('[data-bound="min"]').value);
+      var max = parseFloat(row.querySelector('[data-bound="max"]').value);
+      min = isNaN(min) ? r.min : kind ? Units.toImperial(min, kind) : min;
+      max = isNaN(max) ? r.max : kind ? Units.toImperial(max, kind) : max;
+      return {
+        key:   r.key,
+        label: r.label,
+        min:   Math.min(min, max),
+        mode:  r.mode,
+        max:   Math.max(min, max),
+        shape: row.querySelector('[data-bound="shape"]').value
+      };
+    });
+  }
+
+  function runSimulation() {
+    if (typeof Simulation === 'undefined' || !calculationResults || !simulationRanges) return;
+    if (simulationAbort) simulationAbort.abort();
+
+    var controller = new AbortController();
+    simulationAbort = controller;
+    var btn = $('#run-simulation-btn');
+    var status = $('#simulation-status');
+    var iterations = parseInt($('#simulation-iterations').value, 10);
+    if (btn) btn.disabled = true;
+
+    Simulation.run(calculationResults.inputs, {
+      iterations: iterations,
+      ranges: readSimulationRanges(),
+      totalInvestment: equipmentRecommendation.costs.totalInvestment,
+      annualServiceCost: equipmentRecommendation.costs.annualService,
+      lifecycle: equipmentRecommendation.lifecycle,
+      paybackTarget: parseFloat($('#simulation-payback-target').value) || 3,
+      signal: controller.signal,
+      onProgress: function (done, total) {
+        if (status) status.textContent = t('Running simulation\u2026 {pct}%', { pct: Math.round(done / total * 100) });
+      }
+    }).then(function (summary) {
+      if (!summary || controller.signal.aborted) return;
+      simulationAbort = null;
+      simulationData = summary;
+      if (btn) btn.disabled = false;
+      if (status) status.textContent = t('{n} scenarios simulated.', { n: fmtNum(summary.iterations) });
+      renderSimulation();
+    });
+  }
+
+  function renderSimulation() {
+    var s = simulationData;
+    var tbody = $('#simulation-table-body');
+    if (!s || !tbody) return;
+
+    var rows = [
+      [t('Net Annual Savings'), fmt(s.netAnnualSavings.p10), fmt(s.netAnnualSavings.p50), fmt(s.netAnnualSavings.p90)],
+      [t('{n}-Year Cumulative Savings', { n: projectionData.length }), fmt(s.cumulativeSavings.p10), fmt(s.cumulativeSavings.p50), fmt(s.cumulativeSavings.p90)],
+      // Payback runs the other way: the pessimistic case is the longest
+      [t('Payback Period'), fmtYears(s.paybackYears.p90), fmtYears(s.paybackYears.p50), fmtYears(s.paybackYears.p10)]
+    ];
+    tbody.innerHTML = '';
+    rows.forEach(function (cells) {
+      var tr = document.createElement('tr');
+      tr.innerHTML = cells.map(function (c) { return '<td>' + c + '</td>'; }).join('');
+      tbody.appendChild(tr);
+    });
+
+    setField('sim-probability', t(s.paybackTarget === 1
+      ? '{pct} chance of paying back within {n} year'
+      : '{pct} chance of paying back within {n} years', { pct: fmtPct(s.probabilityPayback * 100), n: Units.number(s.paybackTarget, 1) }));
+    setVisible('#simulation-output', true);
+
+    if (typeof Charts !== 'undefined') Charts.renderHistogram('chart-histogram', s);
+  }
+
+  function initSimulationControls() {
+    var btn = $('#run-simulation-btn');
+    if (btn) btn.addEventListener('click', runSimulation);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scenario Comparison
+  // ---------------------------------------------------------------------------
+
+  /** Saved scenarios in display order (conservative, expected, aggressive). */
+  function listScenarios() {
+    return SCENARIO_ORDER
+      .filter(function (id) { return savedScenarios[id]; })
+      .map(function (id) { return savedScenarios[id]; });
+  }
+
+  /** Snapshot the current results under the chosen scenario name. */
+  function saveScenario() {
+    if (!calculationResults) return;
+    var id = $('#scenario-name').value;
+    savedScenarios[id] = {
+      id:          id,
+      name:        SCENARIO_LABELS[id],
+      inputs:      calculationResults.inputs,
+      results:     calculationResults,
+      equipment:   equipmentRecommendation,
+      metrics:     investmentMetrics,
+      projection:  projectionData
+    };
+    var status = $('#scenario-status');
+    if (status) status.textContent = t('Saved as {name}. Adjust the inputs and recalculate to add another scenario.', { name: t(SCENARIO_LABELS[id]) });
+    renderScenarios();
+  }
+
+  function renderScenarios() {
+    var scenarios = listScenarios();
+    var thead = $('#scenario-table-head');
+    var tbody = $('#scenario-table-body');
+    if (!thead || !tbody) return;
+
+    if (!scenarios.length) {
+      setVisible('#scenario-output', false);
+      return;
+    }
+
+    thead.innerHTML = '<tr><th>' + t('Metric') + '</th>' + scenarios.map(function (s) {
+      var name = t(SCENARIO_LABELS[s.id]);
+      return '<th>' + name +
+        ' <button type="button" class="btn btn-text" data-remove-scenario="' + s.id + '" aria-label="' +
+        t('Remove {name} scenario', { name: name }) + '">' + t('Remove') + '</button></th>';
+    }).join('') + '</tr>';
+
+    var rows = [
+      ['Automation Level',   function (s) { return s.inputs.automationLevel + '%'; }],
+      ['Labor Reduction',    function (s) { return s.inputs.maintenanceType === 'outsourced' ? t('N/A') : s.inputs.laborReduction + '%'; }],
+      ['Mower Model',        function (s) { return s.equipment.fleetLabel; }],
+      ['Purchase Option',    function (s) { return t(PURCHASE_LABELS[s.metrics.financing.mode]); }],
+      ['Total Investment',   function (s) { return fmt(s.equipment.costs.totalInvestment); }],
+      ['Annual Service',     function (s) { return fmt(s.equipment.costs.annualService); }],
+      ['Net Annual Savings', function (s) { return fmt(s.results.netAnnualSavings); }],
+      ['Payback Period',     function (s) { return fmtYears(s.metrics.paybackYears); }],
+      ['ROI',                function (s) { return s.metrics.roi === Infinity ? t('N/A') : Math.round(s.metrics.roi) + '%'; }],
+      ['NPV',                function (s) { return fmt(s.metrics.npv); }],
+      ['Cumulative Savings', function (s) {
+        return fmt(s.projection[s.projection.length - 1].cumulativeSavings) + ' ' + t('({n} yrs)', { n: s.projection.length });
+      }]
+    ];
+
+    tbody.innerHTML = '';
+    rows.forEach(function (row) {
+      var tr = document.createElement('tr');
+      tr.innerHTML = '<td>' + t(row[0]) + '</td>' +
+        scenarios.map(function (s) { return '<td>' + row[1](s) + '</td>'; }).join('');
+      tbody.appendChild(tr);
+    });
+
+    setVisible('#scenario-output', true);
+
+    if (typeof Charts !== 'undefined') {
+      Charts.renderProjection('chart-scenarios', scenarios[0].projection, null, scenarios.map(function (s) {
+        return { name: t(SCENARIO_LABELS[s.id]), projection: s.projection };
+      }));
+    }
+  }
+
+  function initScenarioControls() {
+    var saveBtn = $('#save-scenario-btn');
+    if (saveBtn) saveBtn.addEventListener('click', saveScenario);
+
+    var adjustBtn = $('#adjust-inputs-btn');
+    if (adjustBtn) {
+      adjustBtn.addEventListener('click', function () {
+        goToStep(3);
+      });
+    }
+
+    var thead = $('#scenario-table-head');
+    if (thead) {
+      thead.addEventListener('click', function (e) {
+        var btn = e.target.closest('[data-remove-scenario]');
+        if (!btn) return;
+        delete savedScenarios[btn.getAttribute('data-remove-scenario')];
+        var status = $('#scenario-status');
+        if (status) status.textContent = '';
+        renderScenarios();
+      });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Portfolio
+  // ---------------------------------------------------------------------------
+
+  /** Offer text as a file download. */
+  function downloadFile(filename, text, type) {
+    var blob = new Blob([text], { type: type || 'text/plain' });
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(function () { URL.revokeObjectURL(url); }, 0);
+  }
+
+  /**
+   * Current wizard inputs without the site-specific fields, used to fill in
+   * whatever an imported CSV row leaves out. Their inputUnits marks the CSV
+   * quantities as being in the selected unit system too.
+   */
+  function portfolioAssumptions() {
+    var base = gatherInputs();
+    delete base.zones;
+    delete base.legacyMowers;       // each site's own mowers, if the CSV lists them
+    Portfolio.SITE_COLUMNS.forEach(function (col) { delete base[col.key]; });
+    return base;
+  }
+
+  function addPortfolioSite() {
+    if (!calculationResults) return;
+    var nameInput = $('#portfolio-site-name');
+    var name = nameInput.value.trim() || t('Site {n}', { n: portfolioSites.length + 1 });
+    portfolioSites.push({ name: name, stationGroup: $('#portfolio-station-group').value.trim(), inputs: gatherInputs() });
+    nameInput.value = '';
+    $('#portfolio-status').textContent = t('"{name}" added to the portfolio.', { name: name });
+    renderPortfolio();
+  }
+
+  function importPortfolioCsv(file) {
+    var reader = new FileReader();
+    reader.onload = function () {
+      var parsed = Portfolio.parseCsv(reader.result);
+      var base = portfolioAssumptions();
+      parsed.sites.forEach(function (site) {
+        var inputs = Object.assign({}, base, site.inputs);
+        portfolioSites.push({ name: site.name, stationGroup: site.stationGroup, inputs: inputs });
+      });
+      $('#portfolio-status').textContent = t(parsed.sites.length === 1
+        ? 'Imported {n} site from {file}.'
+        : 'Imported {n} sites from {file}.', { n: parsed.sites.length, file: file.name }) +
+        (parsed.errors.length ? ' ' + t('Skipped: {errors}', {
+          errors: parsed.errors.map(function (err) { return t(err.message, err); }).join(' ')
+        }) : '');
+      renderPortfolio();
+    };
+    reader.readAsText(file);
+  }
+
+  function renderPortfolio() {
+    if (!portfolioSites.length) {
+      portfolioData = null;
+      setVisible('#portfolio-output', false);
+      return;
+    }
+
+    portfolioData = Portfolio.evaluate(portfolioSites, { recommend: recommendFor });
+    var totals = portfolioData.totals;
+
+    setField('portfolio-sites', totals.sites);
+    setField('portfolio-acreage', fmtQty(totals.acreage, 'area', 1));
+    setField('portfolio-units', totals.unitsNeeded);
+    setField('portfolio-stations', totals.referenceStations);
+    setField('portfolio-investment', fmt(totals.totalInvestment));
+    setField('portfolio-shared', fmt(totals.sharedSavings));
+    setField('portfolio-savings', t('{amount}/year', { amount: fmt(totals.netSavings) }));
+    setField('portfolio-payback', fmtYears(totals.paybackYears));
+    setField('portfolio-roi', totals.roi === Infinity ? t('N/A') : fmtPct(totals.roi));
+    setField('portfolio-npv', fmt(totals.npv));
+    setField('portfolio-co2', t('{amount}/year', { amount: fmtQty(totals.co2Reduced, 'mass') }));
+
+    $('#portfolio-table-body').innerHTML = portfolioData.sites.map(function (s) {
+      return '<tr>' +
+        '<td>' + s.rank + '</td>' +
+        '<td>' + escapeHtml(s.name) + (s.stationGroup ? ' <small>(' + escapeHtml(s.stationGroup) + ')</small>' : '') + '</td>' +
+        '<td>' + inUnits(s.inputs.acreage, 'area') + '</td>' +
+        '<td>' + s.equipment.fleetLabel + '</td>' +
+        '<td>' + s.equipment.referenceStations + (s.equipment.sharedReferenceStation ? ' + ' + t('shared') : '') + '</td>' +
+        '<td>' + fmt(s.equipment.costs.totalInvestment) + '</td>' +
+        '<td>' + fmt(s.netSavings) + '</td>' +
+        '<td>' + fmtYears(s.metrics.paybackYears) + '</td>' +
+        '<td><button type="button" class="btn btn-text" data-remove-site="' + s.index + '" aria-label="' + t('Remove {name}', { name: escapeHtml(s.name) }) + '">' + t('Remove') + '</button></td>' +
+        '</tr>';
+    }).join('');
+
+    setVisible('#portfolio-output', true);
+  }
+
+  function initPortfolioControls() {
+    var addBtn = $('#add-portfolio-site-btn');
+    if (!addBtn || typeof Portfolio === 'undefined') return;
+    addBtn.addEventListener('click', addPortfolioSite);
+
+    $('#portfolio-csv-input').addEventListener('change', function (e) {
+      var file = e.target.files && e.target.files[0];
+      if (file) importPortfolioCsv(file);
+      e.target.value = '';
+    });
+
+    $('#portfolio-template-btn').addEventListener('click', function () {
+      downloadFile('portfolio-template.csv', Portfolio.csvTemplate(), 'text/csv');
+    });
+
+    $('#portfolio-csv-btn').addEventListener('click', function () {
+      if (portfolioData) downloadFile('portfolio-roi.csv', Portfolio.toCsv(portfolioData), 'text/csv');
+    });
+
+    $('#portfolio-pdf-btn').addEventListener('click', function () {
+      if (portfolioData && typeof PDFGenerator !== 'undefined') PDFGenerator.generatePortfolio(portfolioData);
+    });
+
+    $('#clear-portfolio-btn').addEventListener('click', function () {
+      portfolioSites = [];
+      $('#portfolio-status').textContent = '';
+      renderPortfolio();
+    });
+
+    $('#portfolio-table-body').addEventListener('click', function (e) {
+      var btn = e.target.closest('[data-remove-site]');
+      if (!btn) return;
+      portfolioSites.splice(Number(btn.getAttribute('data-remove-site')), 1);
+      $('#portfolio-status').textContent = '';
+      renderPortfolio();
+    });
+  }
+
+  /** Show or hide the after-tax rows and columns in the results. */
+  function toggleTaxColumns(visible) {
+    $$('.tax-only').forEach(function (el) {
+      if (visible) {
+        el.removeAttribute('hidden');
+      } else {
+        el.setAttribute('hidden', '');
+      }
+    });
+  }
+
   function renderLaborAnalysis() {
     var r = calculationResults;
     var inputs = r.inputs;
@@ -419,25 +1182,41 @@
     var weeklyHoursSaved = r.labor.hoursSaved / inputs.seasonWeeks;
     var weeklyHoursAuto = weeklyHoursCurrent - weeklyHoursSaved;
 
-    $('#labor-hours-current').textContent = Math.round(weeklyHoursCurrent) + ' hrs';
-    $('#labor-hours-auto').textContent = Math.round(weeklyHoursAuto) + ' hrs';
-    $('#labor-hours-saved').textContent = Math.round(weeklyHoursSaved) + ' hrs';
-    $('#labor-hours-annual').textContent = fmtNum(r.labor.hoursSaved) + ' hrs';
+    $('#labor-hours-current').textContent = t('{n} hrs', { n: fmtNum(weeklyHoursCurrent) });
+    $('#labor-hours-auto').textContent = t('{n} hrs', { n: fmtNum(weeklyHoursAuto) });
+    $('#labor-hours-saved').textContent = t('{n} hrs', { n: fmtNum(weeklyHoursSaved) });
+    $('#labor-hours-annual').textContent = t('{n} hrs', { n: fmtNum(r.labor.hoursSaved) });
 
     // Staffing recommendation
     var text = '';
+    var params = {
+      level: r.inputs.automationLevel,
+      currentFTE: Units.number(r.labor.currentFTE, 1),
+      reducedFTE: Units.fixed(r.labor.reducedFTE, 1)
+    };
     if (r.inputs.maintenanceType === 'outsourced') {
-      text = 'With ' + r.inputs.automationLevel + '% automation, you can significantly reduce your outsourced mowing contract. ' +
-        'Remaining crew time will focus on supervision, edge trimming, and landscape detail work.';
+      text = t('With {level}% automation, you can significantly reduce your outsourced mowing contract. ' +
+        'Remaining crew time will focus on supervision, edge trimming, and landscape detail work.', params);
+    } else if (r.inputs.maintenanceType === 'hybrid') {
+      var b = r.branches;
+      params.crewArea = fmtQty(b.inhouse.acres, 'area', 1);
+      params.crewHours = fmtNum(r.labor.inhouseHours / inputs.seasonWeeks);
+      params.contractArea = fmtQty(b.outsourced.acres, 'area', 1);
+      params.contractHours = fmtNum(r.labor.outsourcedHours / inputs.seasonWeeks);
+      params.crewSavings = fmt(b.inhouse.savings);
+      params.contractSavings = fmt(b.outsourced.savings);
+      text = t('Your crew mows {crewArea} (about {crewHours} hrs/week) and your contractor {contractArea} (about ' +
+        '{contractHours} hrs/week). With {level}% automation, in-house mowing staff can go from {currentFTE} to approximately ' +
+        '{reducedFTE} FTE ({crewSavings} a year in crew labor, fuel and equipment), and the contract can be reduced by about ' +
+        '{contractSavings} a year.', params);
     } else {
       if (r.labor.reducedFTE < 1) {
-        text = 'Automation at ' + r.inputs.automationLevel + '% can handle nearly all mowing tasks. ' +
+        text = t('Automation at {level}% can handle nearly all mowing tasks. ' +
           'You may reassign mowing staff to other landscape and maintenance duties, ' +
-          'with minimal supervision needed for the robotic fleet.';
+          'with minimal supervision needed for the robotic fleet.', params);
       } else {
-        text = 'With ' + r.inputs.automationLevel + '% automation, your mowing staff can be reduced from ' +
-          r.labor.currentFTE + ' to approximately ' + r.labor.reducedFTE.toFixed(1) + ' FTE. ' +
-          'Remaining staff time shifts to supervision, edge work, and other landscape tasks.';
+        text = t('With {level}% automation, your mowing staff can be reduced from {currentFTE} to approximately {reducedFTE} FTE. ' +
+          'Remaining staff time shifts to supervision, edge work, and other landscape tasks.', params);
       }
     }
     $('#staffing-text').textContent = text;
@@ -445,32 +1224,54 @@
 
   function renderEnvironmentalImpact() {
     var e = calculationResults.environmental;
-    $('#env-co2-reduced').textContent = fmtNum(e.co2Reduced);
-    $('#env-fuel-saved').textContent = fmtNum(e.fuelGallonsSaved);
-    $('#env-tree-equivalents').textContent = fmtNum(e.treeEquivalents) + ' trees';
+    $('#env-co2-reduced').textContent = fmtNum(Units.fromImperial(e.co2Reduced, 'mass'));
+    $('#env-fuel-saved').textContent = fmtNum(Units.fromImperial(e.fuelGallonsSaved, 'volume'));
+    $('#env-tree-equivalents').textContent = t('{n} trees', { n: fmtNum(e.treeEquivalents) });
+  }
+
+  /** How the effective $/kWh is built up: time-of-use blend, then solar. */
+  function electricityRateText(i) {
+    var parts = i.electricityRateMode === 'tou'
+      ? t('{offPeak}% off-peak at {offPeakRate} + {peak}% peak at {peakRate}', {
+          offPeak: i.offPeakShare, offPeakRate: fmtRate(i.offPeakRate), peak: 100 - i.offPeakShare, peakRate: fmtRate(i.electricityRate)
+        })
+      : fmtRate(i.electricityRate);
+    return i.solarOffset ? '(' + parts + ') × (1 − ' + t('{pct}% solar', { pct: i.solarOffset }) + ')' : parts;
   }
 
   function renderMethodology() {
     var r = calculationResults;
     var i = r.inputs;
+    var cap = equipmentRecommendation.capacity;
 
     // Labor methodology
     var laborEl = $('#methodology-labor');
     if (laborEl) {
+      var crew = r.branches.inhouse;
+      var contract = r.branches.outsourced;
+      var contractHtml =
+        '<p>' + t('<strong>Contract Formula:</strong> Monthly Contract × 12') + '</p>' +
+        '<p><code>' + fmt(i.monthlyContract) + ' × 12 = ' + fmt(contract.contract) + '</code></p>' +
+        '<p>' + t('<strong>Contract Savings:</strong> Contract Cost × Automation Level × 85%') + '</p>' +
+        '<p><code>' + fmt(contract.contract) + ' × ' + i.automationLevel + '% × 85% = ' + fmt(contract.savings) + '</code></p>';
+      var crewSavings = crew.labor * (i.automationLevel / 100) * (i.laborReduction / 100);
+      var crewHtml =
+        '<p>' + t('<strong>Formula:</strong> Employees × Hourly Rate × (1 + Benefits%) × 40 hrs/wk × Season Weeks × Mowing Time% × (1 + Buffer%)') + '</p>' +
+        '<p><code>' + i.employees + ' × ' + fmtDecimal(i.hourlyRate) + ' × ' + Units.fixed(1 + i.benefitsRate / 100, 2) +
+        ' × 40 × ' + i.seasonWeeks + ' × ' + Units.fixed(i.mowingTimePercent / 100, 2) +
+        ' × ' + Units.fixed(1 + i.bufferTime / 100, 2) + ' = ' + fmt(crew.labor) + '</code></p>' +
+        '<p>' + t('<strong>Savings:</strong> Labor Cost × Automation Level × Labor Reduction Rate') + '</p>' +
+        '<p><code>' + fmt(crew.labor) + ' × ' + i.automationLevel + '% × ' + i.laborReduction + '% = ' + fmt(crewSavings) + '</code></p>';
+
       if (i.maintenanceType === 'outsourced') {
-        laborEl.innerHTML =
-          '<p><strong>Formula:</strong> Monthly Contract × 12</p>' +
-          '<p><code>' + fmt(i.monthlyContract) + ' × 12 = ' + fmt(r.currentCosts.labor) + '</code></p>' +
-          '<p><strong>Savings:</strong> Contract Cost × Automation Level × 85%</p>' +
-          '<p><code>' + fmt(r.currentCosts.labor) + ' × ' + i.automationLevel + '% × 85% = ' + fmt(r.savings.labor) + '</code></p>';
+        laborEl.innerHTML = contractHtml;
+      } else if (i.maintenanceType === 'hybrid') {
+        laborEl.innerHTML = crewHtml + contractHtml +
+          '<p>' + t('<strong>Combined Labor:</strong> Crew + Contract') + '</p>' +
+          '<p><code>' + fmt(crew.labor) + ' + ' + fmt(contract.contract) + ' = ' + fmt(r.currentCosts.labor) +
+          ' &nbsp;' + t('(savings {amount})', { amount: fmt(r.savings.labor) }) + '</code></p>';
       } else {
-        laborEl.innerHTML =
-          '<p><strong>Formula:</strong> Employees × Hourly Rate × (1 + Benefits%) × 40 hrs/wk × Season Weeks × Mowing Time% × (1 + Buffer%)</p>' +
-          '<p><code>' + i.employees + ' × $' + i.hourlyRate + ' × ' + (1 + i.benefitsRate / 100).toFixed(2) +
-          ' × 40 × ' + i.seasonWeeks + ' × ' + (i.mowingTimePercent / 100).toFixed(2) +
-          ' × ' + (1 + i.bufferTime / 100).toFixed(2) + ' = ' + fmt(r.currentCosts.labor) + '</code></p>' +
-          '<p><strong>Savings:</strong> Labor Cost × Automation Level × Labor Reduction Rate</p>' +
-          '<p><code>' + fmt(r.currentCosts.labor) + ' × ' + i.automationLevel + '% × ' + i.laborReduction + '% = ' + fmt(r.savings.labor) + '</code></p>';
+        laborEl.innerHTML = crewHtml;
       }
     }
 
@@ -478,50 +1279,169 @@
     var fuelEl = $('#methodology-fuel');
     if (fuelEl) {
       fuelEl.innerHTML =
-        '<p><strong>Formula:</strong> Acreage × Fuel/Acre × Mows/Week × Season Weeks × Fuel Cost</p>' +
-        '<p><code>' + i.acreage + ' × ' + i.fuelPerAcre + ' × ' + i.mowsPerWeek +
-        ' × ' + i.seasonWeeks + ' × $' + i.fuelCostPerGallon + ' = ' + fmt(r.currentCosts.fuel) + '</code></p>' +
-        '<p><strong>New Electricity Cost:</strong> Acreage × Automation% × kWh/acre × $0.12 × Mows/Week × Season Weeks</p>' +
-        '<p><code>' + i.acreage + ' × ' + i.automationLevel + '% × ' + i.electricityPerAcre +
-        ' × $0.12 × ' + i.mowsPerWeek + ' × ' + i.seasonWeeks + ' = ' + fmt(r.newCosts.electricity) + '</code></p>';
+        '<p>' + t(i.maintenanceType === 'hybrid'
+          ? '<strong>Formula:</strong> In-House Acreage × Fuel{perArea} × Mows/Week × Season Weeks × Fuel Cost{perVolume}'
+          : '<strong>Formula:</strong> Acreage × Fuel{perArea} × Mows/Week × Season Weeks × Fuel Cost{perVolume}') + '</p>' +
+        '<p><code>' + inUnits(r.branches.inhouse.acres, 'area') + ' × ' + inUnits(i.fuelPerAcre, 'volumePerArea') + ' × ' +
+        i.mowsPerWeek + ' × ' + i.seasonWeeks + ' × ' + Units.money(Units.fromImperial(i.fuelCostPerGallon, 'perVolume'), 2) +
+        ' = ' + fmt(r.currentCosts.fuel) + '</code></p>' +
+        '<p>' + t('<strong>New Electricity Cost:</strong> Acreage × Automation% × kWh{perArea} × Rate/kWh × Mows/Week × Season Weeks') + '</p>' +
+        '<p><code>' + inUnits(i.acreage, 'area') + ' × ' + i.automationLevel + '% × ' + inUnits(i.electricityPerAcre, 'perArea') +
+        ' × ' + fmtRate(r.electricityRate) + ' × ' + i.mowsPerWeek + ' × ' + i.seasonWeeks + ' = ' + fmt(r.newCosts.electricity) + '</code></p>' +
+        (i.electricityRateMode === 'tou' || i.solarOffset
+          ? '<p>' + t('<strong>Electricity Rate:</strong>') + ' ' + electricityRateText(i) + ' = ' + fmtRate(r.electricityRate) + '</p>'
+          : '') +
+        (i.zones.length
+          ? '<p>' + t('<strong>Zones:</strong> Each zone is costed at its own Mows/Week (the figure above is the ' +
+            'area-weighted average) and summed') + '</p>' +
+            r.zones.map(function (z) {
+              return '<p><code>' + escapeHtml(z.name) + ': ' + t('{area} × {mows} mows/wk → {hours} mowing hrs, {electricity} electricity', {
+                area: fmtQty(z.acres, 'area', 2), mows: z.mowsPerWeek, hours: fmtNum(z.mowingHours), electricity: fmt(z.electricity)
+              }) + '</code></p>';
+            }).join('')
+          : '');
     }
 
     // Equipment methodology
     var equipEl = $('#methodology-equipment');
     if (equipEl) {
       equipEl.innerHTML =
-        '<p><strong>Current Equipment Cost:</strong> (Base + Per-Acre × Acreage) × (Maintenance% + Insurance%)</p>' +
-        '<p><code>($' + fmtNum(i.baseEquipmentCost) + ' + $' + fmtNum(i.equipmentCostPerAcre) + ' × ' + i.acreage +
+        '<p>' + t('<strong>Current Equipment Cost:</strong> (Base + Per-{area:name} × Acreage) × (Maintenance% + Insurance%)') + '</p>' +
+        '<p><code>(' + fmt(i.baseEquipmentCost) + ' + ' + fmt(Units.fromImperial(i.equipmentCostPerAcre, 'perArea')) + ' × ' +
+        inUnits(r.branches.inhouse.acres, 'area') +
         ') × (' + i.maintenanceRate + '% + ' + i.insuranceRate + '%)' +
-        (i.isLeased ? ' × (1 + ' + i.leasingPremium + '% lease premium)' : '') +
-        ' = ' + fmt(r.currentCosts.equipment) + '</code></p>';
+        (i.isLeased ? ' × (1 + ' + t('{pct}% lease premium', { pct: i.leasingPremium }) + ')' : '') +
+        ' = ' + fmt(r.currentCosts.equipment) + '</code></p>' +
+        (r.legacyFleet.retired
+          ? '<p>' + t('<strong>Current Fleet:</strong> Mowers Retired = floor(Mowers Owned × Automation%); Resale = Retired × ' +
+            'Resale per Mower; Avoided Replacements = Retired × New Price at each end of life within the horizon') + '</p>' +
+            '<p><code>' + r.legacyFleet.retired + ' × ' + fmt(r.legacyFleet.resalePerMower) + ' = ' +
+            t('{resale} resale; {replacements} avoided', {
+              resale: fmt(r.legacyFleet.resaleCredit),
+              replacements: r.legacyFleet.replacements.map(function (rep) {
+                return t('Y{n}', { n: rep.year }) + ' ' + fmt(rep.cost);
+              }).join(', ') || t('no replacements due')
+            }) + '</code></p>'
+          : '') +
+        (cap
+          ? '<p>' + t('<strong>Fleet Capacity Check:</strong> Automated Area × Mows/Week ≤ Σ Units × Area/Hour × ' +
+            'min(168 × Desired Mowing Time%, Model Work Hours)') + '</p>' +
+            '<p><code>' + t('{needed}/week needed ≤ {capacity}/week at {hours} scheduled hrs', {
+              needed: fmtQty(cap.neededAcresPerWeek, 'area', 1),
+              capacity: fmtQty(cap.capacityAcresPerWeek, 'area', 1),
+              hours: Units.fixed(cap.scheduledHoursPerWeek, 1)
+            }) +
+            (cap.addedUnits ? ' ' + t('({n} units added)', { n: cap.addedUnits }) : '') + '</code></p>'
+          : '');
     }
 
     // ROI methodology
     var roiEl = $('#methodology-roi');
     if (roiEl) {
+      var roiText = investmentMetrics.roi === Infinity ? t('N/A') : Math.round(investmentMetrics.roi) + '%';
       roiEl.innerHTML =
-        '<p><strong>Net Annual Savings:</strong> Gross Savings − New Costs − Annual Service</p>' +
+        '<p>' + t('<strong>Net Annual Savings:</strong> Gross Savings − New Costs − Annual Service') + '</p>' +
         '<p><code>' + fmt(r.savings.gross) + ' − ' + fmt(r.newCosts.total) + ' − ' + fmt(investmentMetrics.annualServiceCost) +
         ' = ' + fmt(r.netAnnualSavings - investmentMetrics.annualServiceCost) + '</code></p>' +
-        '<p><strong>ROI:</strong> Net Savings ÷ Total Investment × 100</p>' +
-        '<p><code>' + fmt(r.netAnnualSavings - investmentMetrics.annualServiceCost) + ' ÷ ' + fmt(investmentMetrics.totalInvestment) +
-        ' × 100 = ' + Math.round(investmentMetrics.roi) + '%</code></p>' +
-        '<p><strong>Payback:</strong> Total Investment ÷ Net Savings</p>' +
-        '<p><code>' + fmt(investmentMetrics.totalInvestment) + ' ÷ ' + fmt(r.netAnnualSavings - investmentMetrics.annualServiceCost) +
-        ' = ' + investmentMetrics.paybackYears.toFixed(1) + ' years</code></p>';
+        '<p>' + t('<strong>Net Investment:</strong> Total Investment − Resale Credit') + '</p>' +
+        '<p><code>' + fmt(investmentMetrics.totalInvestment) + ' − ' + fmt(investmentMetrics.resaleCredit) +
+        ' = ' + fmt(investmentMetrics.netInvestment) + '</code></p>' +
+        (investmentMetrics.financing.mode === 'cash'
+          ? '<p>' + t('<strong>ROI:</strong> (Net Savings + Avoided Replacements/Year) ÷ Net Investment × 100') + '</p>' +
+            '<p><code>(' + fmt(r.netAnnualSavings - investmentMetrics.annualServiceCost) + ' + ' + fmt(investmentMetrics.avoidedCapexPerYear) +
+            ') ÷ ' + fmt(investmentMetrics.netInvestment) + ' × 100 = ' + roiText + '</code></p>' +
+            (investmentMetrics.netInvestment > 0
+              ? '<p>' + t('<strong>Payback:</strong> Net Investment ÷ (Net Savings + Avoided Replacements/Year)') + '</p>' +
+                '<p><code>' + fmt(investmentMetrics.netInvestment) + ' ÷ (' + fmt(r.netAnnualSavings - investmentMetrics.annualServiceCost) +
+                ' + ' + fmt(investmentMetrics.avoidedCapexPerYear) + ') = ' + fmtYears(investmentMetrics.paybackYears) + '</code></p>'
+              : '<p>' + t('<strong>Payback:</strong> Year in which cumulative net savings turn non-negative, as nothing is left ' +
+                'to recover after the resale credit') + ' &nbsp;→&nbsp; <code>' + fmtYears(investmentMetrics.paybackYears) + '</code></p>')
+          : '<p>' + t('<strong>Financing:</strong> {mode} — {payment}/mo for {months} months; total paid {total} (financing cost {cost})', {
+              mode: t(PURCHASE_LABELS[investmentMetrics.financing.mode]),
+              payment: fmtDecimal(investmentMetrics.financing.monthlyPayment),
+              months: investmentMetrics.financing.termMonths,
+              total: fmt(investmentMetrics.financing.totalPaid),
+              cost: fmt(investmentMetrics.financing.financingCost)
+            }) + '</p>' +
+            '<p>' + t('<strong>ROI (financed):</strong> (Net Savings + Avoided Replacements/Year − Financing Cost ÷ Term Years) ÷ ' +
+            'Net Investment × 100') + '</p>' +
+            '<p><code>(' + fmt(r.netAnnualSavings - investmentMetrics.annualServiceCost) + ' + ' + fmt(investmentMetrics.avoidedCapexPerYear) +
+            ' − ' + fmt(investmentMetrics.financing.financingCost) + ' ÷ ' + Units.number(investmentMetrics.financing.termMonths / 12, 2) +
+            ') ÷ ' + fmt(investmentMetrics.netInvestment) + ' × 100 = ' + roiText + '</code></p>' +
+            '<p>' + t('<strong>Payback:</strong> Year in which cumulative savings, net of loan/lease payments, recover the ' +
+            '{upfront} paid up front', { upfront: fmt(investmentMetrics.financing.upfront) }) + ' &nbsp;→&nbsp; <code>' +
+            fmtYears(investmentMetrics.paybackYears) + '</code></p>' +
+            (investmentMetrics.financing.settlement
+              ? '<p>' + t('<strong>Beyond the Horizon:</strong> Financing still running after year {n} is settled in that year', {
+                  n: projectionData.length
+                }) +
+                ' &nbsp;→&nbsp; <code>' + fmt(investmentMetrics.financing.settlement) + '</code></p>'
+              : '')) +
+        '<p>' + t('<strong>NPV:</strong> −Investment + Σ Annual Savings<sub>t</sub> ÷ (1 + Discount Rate)<sup>t</sup>') + '</p>' +
+        '<p><code>−' + fmt(investmentMetrics.financing.upfront) + ' + Σ (' + t('Year 1–{n} savings', { n: projectionData.length }) + ' ÷ ' +
+        Units.fixed(1 + investmentMetrics.discountRate / 100, 3) + '<sup>t</sup>) = ' + fmt(investmentMetrics.npv) + '</code></p>' +
+        '<p>' + t('<strong>Lifecycle:</strong> Blades, batteries and mower replacement are added to the automated cost in the ' +
+        'years they fall due; the fleet\'s remaining straight-line value is credited in the final year') + '</p>' +
+        '<p><code>' + projectionData.map(function (yr) {
+          return yr.lifecycleItems.length || yr.residualValue
+            ? t('Y{n}', { n: yr.year }) + ' ' + fmt(yr.lifecycleCost) +
+              (yr.residualValue ? ' − ' + t('{amount} residual', { amount: fmt(yr.residualValue) }) : '')
+            : null;
+        }).filter(Boolean).join(', ') + '</code></p>' +
+        '<p>' + t('<strong>IRR:</strong> Discount rate at which NPV = 0') + ' &nbsp;→&nbsp; <code>' +
+        fmtIrr(investmentMetrics.irr) + '</code></p>' +
+        (investmentMetrics.irr === Infinity
+          ? '<p>' + t('NPV stays positive at any discount rate, as little or nothing is paid up front.') + '</p>'
+          : '') +
+        '<p>' + t('<strong>Discounted Payback:</strong> Year in which cumulative discounted savings cover the investment') +
+        ' &nbsp;→&nbsp; <code>' + fmtYears(investmentMetrics.discountedPaybackYears) + '</code></p>' +
+        (i.includeTax
+          ? '<p>' + t('<strong>After-Tax Savings:</strong> Annual Savings − Tax Rate × (Operating Savings − Depreciation − Interest)' +
+            ' &nbsp;(leases deduct lease payments instead; mower replacements and a lease buyout are depreciated from the year ' +
+            'they are bought)') + '</p>' +
+            '<p><code>' + t('{method} at {rate}% → After-tax payback {payback}', {
+              method: t(TAX_METHOD_LABELS[i.depreciationMethod]),
+              rate: Units.number(i.taxRate, 2),
+              payback: fmtYears(investmentMetrics.afterTaxPaybackYears)
+            }) + '</code></p>'
+          : '');
     }
 
     // Environmental methodology
     var envEl = $('#methodology-environmental');
     if (envEl) {
       envEl.innerHTML =
-        '<p><strong>CO₂ Reduced:</strong> Acreage × Automation% × Fuel/Acre × CO₂/Gallon × Mows/Week × Season Weeks</p>' +
-        '<p><code>' + i.acreage + ' × ' + i.automationLevel + '% × ' + i.fuelPerAcre +
-        ' × ' + i.co2PerGallon + ' × ' + i.mowsPerWeek + ' × ' + i.seasonWeeks +
-        ' = ' + fmtNum(r.environmental.co2Reduced) + ' lbs</code></p>' +
-        '<p><strong>Tree Equivalents:</strong> CO₂ Reduced ÷ 48 lbs/tree/year (EPA)</p>' +
-        '<p><code>' + fmtNum(r.environmental.co2Reduced) + ' ÷ 48 = ' + fmtNum(r.environmental.treeEquivalents) + ' trees</code></p>';
+        '<p>' + t('<strong>CO₂ Reduced:</strong> Acreage × Automation% × Fuel{perArea} × CO₂{perVolume} × Mows/Week × Season Weeks') + '</p>' +
+        '<p><code>' + inUnits(i.acreage, 'area') + ' × ' + i.automationLevel + '% × ' + inUnits(i.fuelPerAcre, 'volumePerArea') +
+        ' × ' + inUnits(i.co2PerGallon, 'massPerVolume') + ' × ' + i.mowsPerWeek + ' × ' + i.seasonWeeks +
+        ' = ' + fmtQty(r.environmental.co2Reduced + r.environmental.chargingCo2, 'mass') + '</code></p>' +
+        (r.environmental.chargingCo2
+          ? '<p>' + t('<strong>Less Charging Emissions:</strong> Acreage × Automation% × kWh{perArea} × Grid CO₂/kWh × (1 − Solar%) × ' +
+            'Mows/Week × Season Weeks') + '</p>' +
+            '<p><code>' + inUnits(i.acreage, 'area') + ' × ' + i.automationLevel + '% × ' + inUnits(i.electricityPerAcre, 'perArea') +
+            ' × ' + inUnits(i.gridCo2PerKwh, 'mass') + ' × (1 − ' + i.solarOffset + '%) × ' + i.mowsPerWeek + ' × ' + i.seasonWeeks +
+            ' = ' + fmtQty(r.environmental.chargingCo2, 'mass') + ' → ' + t('{amount} net', { amount: fmtQty(r.environmental.co2Reduced, 'mass') }) + '</code></p>'
+          : '') +
+        '<p>' + t('<strong>Tree Equivalents:</strong> CO₂ Reduced ÷ {perTree}/tree/year (EPA)', { perTree: fmtQty(48, 'mass', 1) }) + '</p>' +
+        '<p><code>' + fmtQty(r.environmental.co2Reduced, 'mass') + ' ÷ ' + fmtQty(48, 'mass', 1) + ' = ' +
+        t('{n} trees', { n: fmtNum(r.environmental.treeEquivalents) }) + '</code></p>';
+    }
+
+    // Regional data source
+    var region = typeof Regions !== 'undefined' ? Regions.get(i.region) : null;
+    setVisible('#methodology-region-item', !!region);
+    if (region) {
+      $('#methodology-region').innerHTML =
+        '<p><strong>' + escapeHtml(region.name) + ':</strong> ' +
+        t('{wage}/hr wage, {fuel}{perVolume} fuel, {weeks}-week season, {rate}, {co2} CO₂/kWh grid', {
+          wage: fmtDecimal(region.hourlyRate),
+          fuel: fmtDecimal(Units.fromImperial(region.fuelCostPerGallon, 'perVolume')),
+          weeks: region.seasonWeeks,
+          rate: fmtRate(region.electricityRate),
+          co2: fmtQty(region.gridCo2PerKwh, 'mass', 2)
+        }) + '</p>' +
+        '<p>' + escapeHtml(Regions.source()) + '</p>' +
+        '<p>' + t('Values prefilled from the region can be changed; the analysis uses the values shown in the form.') + '</p>';
     }
   }
 
@@ -532,27 +1452,48 @@
 
     var propertyTypeLabels = { commercial: 'Commercial Property', golf: 'Golf Course', athletic: 'Athletic Fields' };
     var rows = [
-      ['Property Type', propertyTypeLabels[i.propertyType] || i.propertyType],
-      ['Total Acreage', i.acreage + ' acres'],
-      ['Season Length', i.seasonWeeks + ' weeks'],
-      ['Mows per Week', i.mowsPerWeek],
-      ['Maintenance Type', i.maintenanceType === 'outsourced' ? 'Outsourced' : 'In-House'],
+      [t('Property Type'), t(propertyTypeLabels[i.propertyType] || i.propertyType)],
+      [t('Total Acreage'), fmtQty(i.acreage, 'area', 2)],
+      [t('Season Length'), t('{n} weeks', { n: i.seasonWeeks })]
     ];
 
-    if (i.maintenanceType === 'inhouse') {
+    i.zones.forEach(function (z) {
+      rows.push([t('Zone: {name}', { name: escapeHtml(z.name) }), fmtQty(z.acres, 'area', 2) + ', ' +
+        t(ZONE_TERRAIN_LABELS[z.terrain]).toLowerCase() + ', ' + t('{n} mows/week', { n: z.mowsPerWeek }) +
+        (z.distanceFt ? ', ' + t('{distance} away', { distance: fmtQty(z.distanceFt, 'length') }) : '')]);
+    });
+
+    rows.push(
+      [t('Mows per Week'), i.mowsPerWeek],
+      [t('Maintenance Type'), t(MAINTENANCE_LABELS[i.maintenanceType])]
+    );
+
+    if (i.maintenanceType !== 'outsourced') {
       rows.push(
-        ['Employees', i.employees],
-        ['Hourly Rate', '$' + i.hourlyRate.toFixed(2)],
-        ['Mowing Time %', i.mowingTimePercent + '%'],
-        ['Equipment Leased', i.isLeased ? 'Yes' : 'No']
+        [t('Employees'), i.employees],
+        [t('Hourly Rate'), fmtDecimal(i.hourlyRate)],
+        [t('Mowing Time %'), i.mowingTimePercent + '%'],
+        [t('Equipment Leased'), i.isLeased ? t('Yes') : t('No')]
+      );
+      if (i.legacyMowers) {
+        rows.push([t('Current Mowers'), i.legacyMowers + ' \u00d7 ' + t(Calculator.LEGACY_MOWER_TYPES[i.legacyMowerType].label) +
+          ', ' + t('{n} yrs old', { n: i.legacyMowerAge })]);
+      }
+    }
+    if (i.maintenanceType !== 'inhouse') {
+      rows.push([t('Monthly Contract'), fmt(i.monthlyContract)]);
+    }
+    if (i.maintenanceType === 'hybrid') {
+      rows.push(
+        [t('In-House Acreage'), fmtQty(calculationResults.branches.inhouse.acres, 'area', 2)],
+        [t('Contractor Acreage'), fmtQty(i.outsourcedAcreage, 'area', 2)]
       );
-    } else {
-      rows.push(['Monthly Contract', fmt(i.monthlyContract)]);
     }
 
     rows.push(
-      ['Automation Level', i.automationLevel + '%'],
-      ['Desired Mowing Time', i.desiredMowingTime + '%']
+      [t('Automation Level'), i.automationLevel + '%'],
+      [t('Desired Mowing Time'), i.desiredMowingTime + '%'],
+      [t('Analysis Horizon'), t('{n} years', { n: i.analysisYears })]
     );
 
     tbody.innerHTML = '';
@@ -567,13 +1508,17 @@
     var r = calculationResults;
     var eq = equipmentRecommendation;
     var m = investmentMetrics;
+    var payback = m.paybackYears === Infinity
+      ? 'Not within ' + r.inputs.analysisYears + ' years'
+      : m.paybackYears.toFixed(1) + ' years';
 
     setHidden('lead-property-type', r.inputs.propertyType);
     setHidden('lead-acreage', r.inputs.acreage);
     setHidden('lead-annual-savings', Math.round(r.netAnnualSavings));
-    setHidden('lead-payback-period', m.paybackYears.toFixed(1) + ' years');
+    setHidden('lead-payback-period', payback);
     setHidden('lead-roi', Math.round(m.roi));
-    setHidden('lead-equipment-model', eq.model.name + ' x ' + eq.unitsNeeded);
+    var equipmentLabel = eq.fleet.length > 1 ? eq.fleetLabel : eq.model.name + ' x ' + eq.unitsNeeded;
+    setHidden('lead-equipment-model', equipmentLabel);
 
     // Set data for lead capture module
     if (typeof LeadCapture !== 'undefined') {
@@ -584,11 +1529,12 @@
         maintenanceType: r.inputs.maintenanceType,
         projectedSavings: Math.round(r.netAnnualSavings),
         roi: Math.round(m.roi),
-        paybackPeriod: m.paybackYears.toFixed(1) + ' years',
-        recommendedEquipment: eq.model.name + ' x ' + eq.unitsNeeded,
+        paybackPeriod: payback,
+        recommendedEquipment: equipmentLabel,
         totalInvestment: Math.round(eq.costs.totalInvestment),
         co2Reduced: Math.round(r.environmental.co2Reduced),
-        laborHoursSaved: r.labor.hoursSaved
+        laborHoursSaved: r.labor.hoursSaved,
+        currency: r.inputs.currency
       });
     }
   }
@@ -598,6 +1544,19 @@
     if (el) el.innerHTML = value;
   }
 
+  /** Show or hide an element with both the class and the attribute. */
+  function setVisible(selector, visible) {
+    var el = $(selector);
+    if (!el) return;
+    if (visible) {
+      el.classList.remove('hidden');
+      el.removeAttribute('hidden');
+    } else {
+      el.classList.add('hidden');
+      el.setAttribute('hidden', '');
+    }
+  }
+
   function setHidden(id, value) {
     var el = document.getElementById(id);
     if (el) el.value = value;
@@ -621,26 +1580,20 @@
 
           var value = card.getAttribute('data-value');
           $('#maintenance-type').value = value;
-
-          // Toggle field visibility
-          var inhouseFields = $('#inhouse-fields');
-          var outsourcedFields = $('#outsourced-fields');
-          if (value === 'outsourced') {
-            inhouseFields.classList.add('hidden');
-            inhouseFields.setAttribute('hidden', '');
-            outsourcedFields.classList.remove('hidden');
-            outsourcedFields.removeAttribute('hidden');
-          } else {
-            inhouseFields.classList.remove('hidden');
-            inhouseFields.removeAttribute('hidden');
-            outsourcedFields.classList.add('hidden');
-            outsourcedFields.setAttribute('hidden', '');
-          }
+          syncMaintenanceFields();
         });
       });
     });
   }
 
+  /** Show the in-house and/or outsourced fields for the maintenance type. */
+  function syncMaintenanceFields() {
+    var value = $('#maintenance-type').value;
+    setVisible('#inhouse-fields', value !== 'outsourced');
+    setVisible('#outsourced-fields', value !== 'in-house');
+    setVisible('#outsourced-acreage-group', value === 'hybrid');
+  }
+
   function initRangeSliders() {
     $$('input[type="range"]').forEach(function (slider) {
       var output = $('output[for="' + slider.id + '"]') || $('#' + slider.id + '-value');
@@ -659,8 +1612,10 @@
           slider.id === 'equipment-insurance-pct' ||
           slider.id === 'leasing-premium-pct' ||
           slider.id === 'labor-cost-increase' ||
-          slider.id === 'fuel-cost-increase';
-        output.textContent = val + (isPercent ? '%' : '');
+          slider.id === 'fuel-cost-increase' ||
+          slider.id === 'discount-rate';
+        var suffix = isPercent ? '%' : (slider.id === 'analysis-years' ? ' ' + t('yrs') : '');
+        output.textContent = val + suffix;
         slider.setAttribute('aria-valuenow', val);
 
         // Update slider fill
@@ -693,12 +1648,868 @@
         text = 'Full automation: robotic mowers handle nearly all mowing. Minimal staff needed for supervision and occasional edge work.';
       }
       var p = $('p', infoBox);
-      if (p) p.textContent = text;
+      if (p) p.textContent = t(text);
     }
 
     slider.addEventListener('input', updateInfo);
   }
 
+  function initPurchaseMode() {
+    var select = $('#purchase-mode');
+    if (!select) return;
+    select.addEventListener('change', syncPurchaseFields);
+    syncPurchaseFields();
+  }
+
+  /** Show the loan or lease fieldset matching the selected purchase option. */
+  function syncPurchaseFields() {
+    var mode = $('#purchase-mode').value;
+    $$('[data-purchase]').forEach(function (fieldset) {
+      if (fieldset.getAttribute('data-purchase') === mode) {
+        fieldset.classList.remove('hidden');
+        fieldset.removeAttribute('hidden');
+      } else {
+        fieldset.classList.add('hidden');
+        fieldset.setAttribute('hidden', '');
+      }
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Units, currency & locale
+  // ---------------------------------------------------------------------------
+
+  /** Form fields holding a unit-bearing value, and the Units kind of each */
+  var UNIT_FIELDS = {
+    '#total-acreage':           'area',
+    '#outsourced-acreage':      'area',
+    '.zone-acres':              'area',
+    '.zone-distance':           'length',
+    '#fuel-cost':               'perVolume',
+    '#fuel-consumption':        'volumePerArea',
+    '#equipment-cost-per-acre': 'perArea',
+    '#robotic-maintenance':     'perArea',
+    '#electricity-per-acre':    'perArea',
+    '#co2-per-gallon':          'massPerVolume',
+    '#grid-co2':                'mass',
+    '#mowing-time-per-acre':    'perArea'
+  };
+
+  function initUnitSettings() {
+    ['#unit-system', '#currency', '#locale'].forEach(function (sel) {
+      var select = $(sel);
+      if (select) select.addEventListener('change', syncUnitSettings);
+    });
+    syncUnitSettings();
+  }
+
+  /**
+   * Apply the unit, currency and locale selects. Switching the unit system
+   * converts the values already entered so the property stays the same.
+   */
+  function syncUnitSettings() {
+    var previous = Units.settings().unitSystem;
+    var units = Units.configure({
+      unitSystem: $('#unit-system').value,
+      currency: $('#currency').value,
+      locale: $('#locale').value
+    });
+
+    if (units.unitSystem !== previous) {
+      Object.keys(UNIT_FIELDS).forEach(function (sel) {
+        $$(sel).forEach(function (input) {
+          if (input.value === '' || isNaN(parseFloat(input.value))) return;
+          var imperial = Units.toImperial(parseFloat(input.value), UNIT_FIELDS[sel], previous);
+          input.value = Number(Units.fromImperial(imperial, UNIT_FIELDS[sel]).toPrecision(4));
+        });
+      });
+      syncZoneTotal();
+    }
+
+    // Translated labels can name units too
+    I18n.apply(document);
+    $$('[data-unit]').forEach(function (el) {
+      el.textContent = Units.template(el.getAttribute('data-unit'));
+    });
+    syncElectricityFields();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Language
+  // ---------------------------------------------------------------------------
+
+  function initLanguage() {
+    var select = $('#language');
+    if (!select) return;
+    select.addEventListener('change', function () {
+      I18n.setLanguage(select.value).then(applyLanguage);
+    });
+  }
+
+  /**
+   * Re-render the page in the language just selected. Numbers switch to the
+   * language's usual format; another format can still be picked afterwards.
+   */
+  function applyLanguage(language) {
+    $('#language').value = language;
+    $('#locale').value = I18n.LANGUAGES[language].locale;
+    syncUnitSettings();
+    syncCustomSelects();
+    syncAdvancedToggle();
+    $$('input[type="range"]').forEach(function (slider) {
+      slider.dispatchEvent(new Event('input'));
+    });
+
+    if (calculationResults) renderResults();
+    if (simulationData) renderSimulation();
+    if (portfolioData) renderPortfolio();
+    renderLibrary();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Form state (shared by share links and autosave)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Form fields a share link or saved session carries, keyed as in
+   * gatherInputs. The unit system and currency come first because the other
+   * values are entered in them; the language and number format are the
+   * reader's own choice.
+   */
+  var FORM_FIELDS = {
+    unitSystem:          '#unit-system',
+    currency:            '#currency',
+    region:              '#region',
+    propertyType:        '#property-type',
+    acreage:             '#total-acreage',
+    seasonWeeks:         '#season-length',
+    maintenanceType:     '#maintenance-type',
+    employees:           '#employee-count',
+    hourlyRate:          '#hourly-rate',
+    mowingTimePercent:   '#mowing-time-pct',
+    isLeased:            '#equipment-leased',
+    legacyMowers:        '#legacy-mowers',
+    legacyMowerType:     '#legacy-mower-type',
+    legacyMowerAge:      '#legacy-mower-age',
+    legacyResaleValue:   '#legacy-resale',
+    monthlyContract:     '#contract-cost',
+    outsourcedAcreage:   '#outsourced-acreage',
+    benefitsRate:        '#benefits-pct',
+    fuelCostPerGallon:   '#fuel-cost',
+    laborReduction:      '#labor-reduction',
+    bufferTime:          '#buffer-time',
+    annualLaborIncrease: '#labor-cost-increase',
+    fuelPerAcre:         '#fuel-consumption',
+    annualFuelIncrease:  '#fuel-cost-increase',
+    baseEquipmentCost:   '#base-equipment-cost',
+    equipmentCostPerAcre: '#equipment-cost-per-acre',
+    maintenanceRate:     '#annual-maintenance-pct',
+    insuranceRate:       '#equipment-insurance-pct',
+    leasingPremium:      '#leasing-premium-pct',
+    roboticMaintenance:  '#robotic-maintenance',
+    electricityPerAcre:  '#electricity-per-acre',
+    electricityRateMode: '#electricity-rate-mode',
+    electricityRate:     '#electricity-rate',
+    offPeakRate:         '#off-peak-rate',
+    offPeakShare:        '#off-peak-share',
+    solarOffset:         '#solar-offset',
+    co2PerGallon:        '#co2-per-gallon',
+    gridCo2PerKwh:       '#grid-co2',
+    mowingTimePerAcre:   '#mowing-time-per-acre',
+    discountRate:        '#discount-rate',
+    automationLevel:     '#automation-level',
+    fleetModel:          '#fleet-model',
+    desiredMowingTime:   '#desired-mowing-time',
+    analysisYears:       '#analysis-years',
+    purchaseMode:        '#purchase-mode',
+    loanApr:             '#loan-apr',
+    loanTermYears:       '#loan-term',
+    downPaymentPct:      '#down-payment-pct',
+    leaseMonthlyPayment: '#lease-payment',
+    leaseTermMonths:     '#lease-term',
+    leaseBuyoutPct:      '#lease-buyout-pct',
+    includeTax:          '#include-tax',
+    taxRate:             '#tax-rate',
+    depreciationMethod:  '#depreciation-method'
+  };
+
+  /** Value a field starts with on a fresh page. */
+  function fieldDefault(el) {
+    if (el.tagName !== 'SELECT') return el.defaultValue;
+    for (var i = 0; i < el.options.length; i++) {
+      if (el.options[i].defaultSelected) return el.options[i].value;
+    }
+    return el.options.length ? el.options[0].value : '';
+  }
+
+  /** The form fields changed from their defaults, plus the zones. */
+  function readFormState() {
+    var state = {};
+    Object.keys(FORM_FIELDS).forEach(function (key) {
+      var el = $(FORM_FIELDS[key]);
+      if (!el) return;
+      if (el.type === 'checkbox') {
+        if (el.checked !== el.defaultChecked) state[key] = el.checked;
+      } else if (el.type === 'hidden' || el.value !== fieldDefault(el)) {
+        // Hidden inputs keep no separate default, so they are always written
+        state[key] = el.value;
+      }
+    });
+    var zones = readZones();
+    if (zones.length) state.zones = zones;
+    return state;
+  }
+
+  function writeFormField(key, state) {
+    var el = $(FORM_FIELDS[key]);
+    if (!el || !Object.prototype.hasOwnProperty.call(state, key)) return;
+    if (el.type === 'checkbox') {
+      el.checked = state[key] === true;
+    } else {
+      el.value = String(state[key]);
+    }
+  }
+
+  /** Fill the wizard from a form state written by readFormState(). */
+  function writeFormState(state) {
+    // Switching units converts the defaults; the saved values then overwrite them
+    writeFormField('unitSystem', state);
+    writeFormField('currency', state);
+    syncUnitSettings();
+    Object.keys(FORM_FIELDS).forEach(function (key) {
+      writeFormField(key, state);
+    });
+
+    $('#zones-list').innerHTML = '';
+    $('#use-zones').checked = Array.isArray(state.zones) && state.zones.length > 0;
+    if ($('#use-zones').checked) state.zones.forEach(addZoneRow);
+
+    $$('.card-option').forEach(function (card) {
+      var selected = card.getAttribute('data-value') === $('#maintenance-type').value;
+      card.classList.toggle('selected', selected);
+      card.setAttribute('aria-checked', selected ? 'true' : 'false');
+    });
+    syncMaintenanceFields();
+    syncZoneFields();
+    syncPurchaseFields();
+    syncElectricityFields();
+    syncTaxFields();
+    syncCustomSelects();
+    $$('input[type="range"]').forEach(function (slider) {
+      slider.dispatchEvent(new Event('input'));
+    });
+  }
+
+  /**
+   * Open the wizard at a step once writeFormState() has filled it in. The
+   * steps before it are validated first, and the first one that fails opens
+   * instead so it can be fixed. Results are recalculated, never restored.
+   *
+   * @param {number} step          - 1-4
+   * @param {number} [completed=0] - Highest step the user had completed.
+   */
+  function reopenWizardAt(step, completed) {
+    var target = 1;
+    while (target < step && validateStep(target)) target++;
+
+    if (target === 4) {
+      runCalculation();
+      return;
+    }
+
+    // Results are not restored, so the results step stays locked
+    maxCompletedStep = target < step ? target - 1 : Math.min(Math.max(completed || 0, step - 1), 2);
+    goToStep(target);
+    if (target < step) validateStep(target);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Shareable links
+  // ---------------------------------------------------------------------------
+
+  /** Point the address bar at the calculation just run, so it can be copied and shared. */
+  function updateShareLink() {
+    if (typeof Share === 'undefined' || !window.history.replaceState) return;
+    window.history.replaceState(null, '', '#' + Share.encode(readFormState()));
+  }
+
+  function clearShareLink() {
+    if (!window.history.replaceState) return;
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    var status = $('#share-status');
+    if (status) status.textContent = '';
+  }
+
+  function initShareLink() {
+    var btn = $('#share-link-btn');
+    var status = $('#share-status');
+    if (!btn || !status) return;
+
+    btn.addEventListener('click', function () {
+      var url = window.location.href;
+      var copied = navigator.clipboard && navigator.clipboard.writeText
+        ? navigator.clipboard.writeText(url)
+        : Promise.reject(new Error('Clipboard unavailable'));
+      copied.then(function () {
+        status.textContent = t('Link copied. Anyone who opens it sees this calculation.');
+      }).catch(function () {
+        status.textContent = t('Copy this link to share the calculation: {url}', { url: url });
+      });
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Autosave
+  // ---------------------------------------------------------------------------
+
+  var AUTOSAVE_DELAY_MS = 500;
+  var autosaveTimer = null;
+  var formEdited = false;     // a fresh page has nothing worth saving
+  var resumeOffered = null;   // earlier save on offer; kept until the prompt is answered
+
+  /** Save the wizard's progress shortly after the latest change. */
+  function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    if (typeof Autosave === 'undefined' || !formEdited || resumeOffered) return;
+    autosaveTimer = setTimeout(function () {
+      Autosave.save({ step: currentStep, maxCompletedStep: maxCompletedStep, fields: readFormState() });
+    }, AUTOSAVE_DELAY_MS);
+  }
+
+  function clearAutosave() {
+    clearTimeout(autosaveTimer);
+    formEdited = false;
+    hideResumePrompt();
+    if (typeof Autosave !== 'undefined') Autosave.clear();
+  }
+
+  function hideResumePrompt() {
+    resumeOffered = null;
+    setVisible('#resume-prompt', false);
+  }
+
+  /**
+   * Offer to resume progress saved on an earlier visit. Editing the form
+   * instead of answering starts afresh, and that progress replaces the save.
+   */
+  function offerResume(saved) {
+    if (formEdited) return; // already started afresh while the page loaded
+    resumeOffered = saved;
+    setVisible('#resume-prompt', true);
+  }
+
+  function resumeProgress() {
+    var saved = resumeOffered;
+    if (!saved) return;
+    hideResumePrompt();
+    writeFormState(saved.fields);
+    reopenWizardAt(saved.step, saved.maxCompletedStep);
+    formEdited = true;
+    scheduleAutosave();
+  }
+
+  function initAutosave() {
+    function onEdit() {
+      formEdited = true;
+      if (resumeOffered) hideResumePrompt();
+      scheduleAutosave();
+    }
+
+    var resumeBtn = $('#resume-btn');
+    var dismissBtn = $('#resume-dismiss-btn');
+    if (resumeBtn) resumeBtn.addEventListener('click', resumeProgress);
+    if (dismissBtn) dismissBtn.addEventListener('click', clearAutosave);
+
+    $$('.wizard-step:not(.results)').forEach(function (step) {
+      step.addEventListener('input', onEdit);
+      step.addEventListener('change', onEdit);
+      // Cards and zone buttons change the form without an input event
+      step.addEventListener('click', function (e) {
+        if (e.target.closest('.card-option, #add-zone-btn, [data-remove-zone]')) onEdit();
+      });
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Saved calculation library
+  // ---------------------------------------------------------------------------
+
+  function libraryAvailable() {
+    return typeof ScenarioLibrary !== 'undefined' && ScenarioLibrary.isAvailable();
+  }
+
+  /** Keep the current results under a client name in the library. */
+  function saveToLibrary() {
+    var status = $('#library-save-status');
+    if (!calculationResults || !libraryAvailable()) return;
+
+    var clientName = $('#library-client').value.trim();
+    if (!clientName) {
+      status.textContent = t('Enter the client name to save this calculation.');
+      $('#library-client').focus();
+      return;
+    }
+
+    // Stored records must be plain data, so the results lose their method
+    var results = Object.assign({}, calculationResults);
+    delete results.withInvestment;
+
+    ScenarioLibrary.save({
+      clientName: clientName,
+      notes:      $('#library-notes').value.trim(),
+      fields:     readFormState(),
+      snapshot: {
+        results:     results,
+        equipment:   equipmentRecommendation,
+        metrics:     investmentMetrics,
+        projection:  projectionData,
+        sensitivity: sensitivityData
+      }
+    }).then(function () {
+      status.textContent = t('Saved "{name}" to the library.', { name: clientName });
+      $('#library-client').value = '';
+      $('#library-notes').value = '';
+      renderLibrary();
+    }).catch(function (err) {
+      console.error('[App] Could not save the calculation:', err);
+      status.textContent = t('The calculation could not be saved in this browser.');
+    });
+  }
+
+  /** Why a library record that ScenarioLibrary.migrate refused cannot be read. */
+  function unreadableRecordMessage(record) {
+    return record.version > ScenarioLibrary.RECORD_VERSION
+      ? t('That calculation was saved by a newer version of the calculator.')
+      : t('That calculation was saved by a version of the calculator that is no longer supported.');
+  }
+
+  /**
+   * Show the results saved in a library record, without recalculating.
+   * Records from another version of the calculator are migrated, or refused
+   * with a message when they cannot be.
+   *
+   * @returns {boolean} Whether the record was opened.
+   */
+  function openFromLibrary(record) {
+    var current = ScenarioLibrary.migrate(record);
+    if (!current) {
+      $('#library-status').textContent = unreadableRecordMessage(record);
+      return false;
+    }
+
+    var snapshot = current.snapshot;
+    hideResumePrompt();
+    writeFormState(current.fields);
+
+    calculationResults = snapshot.results;
+    // Rebuilt from the saved inputs, as it did not survive storage
+    calculationResults.withInvestment = Calculator.calculateROI(snapshot.results.inputs).withInvestment;
+    equipmentRecommendation = snapshot.equipment;
+    investmentMetrics = snapshot.metrics;
+    projectionData = snapshot.projection;
+    sensitivityData = snapshot.sensitivity;
+    if (sensitivityData && $('#sensitivity-variation')) {
+      $('#sensitivity-variation').value = String(sensitivityData.variation);
+    }
+
+    resetSimulation();
+    renderResults();
+    updateShareLink();
+    formEdited = true;
+
+    maxCompletedStep = 3;
+    goToStep(4);
+    return true;
+  }
+
+  function renderLibrary() {
+    var tbody = $('#library-table-body');
+    if (!tbody || !libraryAvailable()) return Promise.resolve();
+
+    return ScenarioLibrary.list().then(function (records) {
+      $('#library-count').textContent = '(' + records.length + ')';
+      tbody.innerHTML = records.map(function (r) {
+        var saved = new Date(r.updatedAt).toLocaleDateString(Units.settings().locale, { year: 'numeric', month: 'short', day: 'numeric' });
+        var name = escapeHtml(r.clientName);
+        return '<tr>' +
+          '<td>' + name + '</td>' +
+          '<td>' + saved + '</td>' +
+          '<td>' + escapeHtml(r.notes) + '</td>' +
+          '<td>' +
+            '<button type="button" class="btn btn-text" data-library-action="open" data-library-id="' + r.id + '" aria-label="' +
+              t('Open {name}', { name: name }) + '">' + t('Open') + '</button>' +
+            '<button type="button" class="btn btn-text" data-library-action="duplicate" data-library-id="' + r.id + '" aria-label="' +
+              t('Duplicate {name}', { name: name }) + '">' + t('Duplicate') + '</button>' +
+            '<button type="button" class="btn btn-text" data-library-action="rename" data-library-id="' + r.id + '" aria-label="' +
+              t('Rename {name}', { name: name }) + '">' + t('Rename') + '</button>' +
+            '<button type="button" class="btn btn-text" data-library-action="delete" data-library-id="' + r.id + '" aria-label="' +
+              t('Delete {name}', { name: name }) + '">' + t('Delete') + '</button>' +
+          '</td>' +
+        '</tr>';
+      }).join('');
+      setVisible('#library-panel', records.length > 0);
+    }).catch(function (err) {
+      console.warn('[App] Could not read the saved calculations:', err);
+      setVisible('#library-panel', false);
+    });
+  }
+
+  /** Carry out an Open / Duplicate / Rename / Delete button in the library list. */
+  function runLibraryAction(action, id) {
+    var status = $('#library-status');
+    status.textContent = '';
+
+    ScenarioLibrary.get(id).then(function (record) {
+      if (!record) return renderLibrary();
+
+      if (action === 'open') {
+        if (openFromLibrary(record)) $('#library-panel').open = false;
+        return;
+      }
+      if (action === 'duplicate') {
+        if (!ScenarioLibrary.migrate(record)) {
+          status.textContent = unreadableRecordMessage(record);
+          return;
+        }
+        return ScenarioLibrary.duplicate(id, { clientName: t('{name} (copy)', { name: record.clientName }) })
+          .then(renderLibrary);
+      }
+      if (action === 'rename') {
+        var name = window.prompt(t('Client name'), record.clientName);
+        if (name === null || !name.trim()) return;
+        return ScenarioLibrary.update(id, { clientName: name.trim() }).then(renderLibrary);
+      }
+      if (action === 'delete') {
+        if (!window.confirm(t('Delete the saved calculation for "{name}"? This cannot be undone.', { name: record.clientName }))) return;
+        return ScenarioLibrary.remove(id).then(renderLibrary);
+      }
+    }).catch(function (err) {
+      console.error('[App] Saved calculation action failed:', err);
+      status.textContent = t('That saved calculation could not be changed. Please try again.');
+    });
+  }
+
+  function initLibrary() {
+    if (!libraryAvailable()) {
+      // Nowhere to keep saved calculations in this browser
+      setVisible('#results-library', false);
+      return;
+    }
+
+    $('#save-library-btn').addEventListener('click', saveToLibrary);
+    $('#library-table-body').addEventListener('click', function (e) {
+      var btn = e.target.closest('[data-library-action]');
+      if (!btn) return;
+      runLibraryAction(btn.getAttribute('data-library-action'), Number(btn.getAttribute('data-library-id')));
+    });
+
+    renderLibrary();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scenario files (JSON export / import)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Form state for a set of resolved calculator inputs. Resolved quantities
+   * are in US units, so they go back into the unit system they were
+   * entered in.
+   */
+  function formStateFromInputs(inputs) {
+    function entered(value, kind) {
+      // Rounded so a converted 20 ha does not come back as 20.0000001
+      return Math.round(Units.fromImperial(Number(value), kind, inputs.unitSystem) * 1e6) / 1e6;
+    }
+
+    var state = {};
+    Object.keys(FORM_FIELDS).forEach(function (key) {
+      if (inputs[key] === undefined || inputs[key] === null) return;
+      state[key] = Units.INPUT_KINDS[key] ? entered(inputs[key], Units.INPUT_KINDS[key]) : inputs[key];
+    });
+
+    // The maintenance cards use their own values ('in-house' for 'inhouse')
+    state.maintenanceType = Object.keys(MAINTENANCE_TYPES).filter(function (card) {
+      return MAINTENANCE_TYPES[card] === inputs.maintenanceType;
+    })[0] || 'in-house';
+
+    state.zones = (inputs.zones || []).map(function (z) {
+      return {
+        name:         z.name,
+        acres:        entered(z.acres, 'area'),
+        terrain:      z.terrain,
+        propertyType: z.propertyType,
+        mowsPerWeek:  z.mowsPerWeek,
+        distanceFt:   entered(z.distanceFt || 0, 'length')
+      };
+    });
+    return state;
+  }
+
+  function exportScenario() {
+    if (!calculationResults) return;
+    var json = ScenarioFile.stringify({
+      inputs:         calculationResults.inputs,
+      recommendation: equipmentRecommendation,
+      projection:     projectionData
+    });
+    downloadFile('roi-scenario-' + new Date().toISOString().slice(0, 10) + '.json', json, 'application/json');
+  }
+
+  /** Load a scenario file into the wizard and show its results, recalculated. */
+  function importScenario(file) {
+    var status = $('#scenario-import-status');
+    var reader = new FileReader();
+    reader.onload = function () {
+      var parsed = ScenarioFile.parse(reader.result);
+      if (parsed.error) {
+        status.textContent = t('{file} could not be imported: {error}', { file: file.name, error: t(parsed.error) });
+        return;
+      }
+
+      status.textContent = '';
+      hideResumePrompt();
+      writeFormState(formStateFromInputs(parsed.scenario.inputs));
+      formEdited = true;
+      reopenWizardAt(4);
+    };
+    reader.onerror = function () {
+      status.textContent = t('{file} could not be read.', { file: file.name });
+    };
+    reader.readAsText(file);
+  }
+
+  function initScenarioFiles() {
+    var exportBtn = $('#export-scenario-btn');
+    var input = $('#scenario-import-input');
+    if (typeof ScenarioFile === 'undefined') {
+      setVisible('#export-scenario-btn', false);
+      setVisible('.scenario-import', false);
+      return;
+    }
+
+    if (exportBtn) exportBtn.addEventListener('click', exportScenario);
+    if (input) {
+      input.addEventListener('change', function (e) {
+        var file = e.target.files && e.target.files[0];
+        if (file) importScenario(file);
+        e.target.value = '';
+      });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Regional presets
+  // ---------------------------------------------------------------------------
+
+  /** Form fields each Regions preset value is written to */
+  var REGION_FIELDS = {
+    hourlyRate:        '#hourly-rate',
+    fuelCostPerGallon: '#fuel-cost',
+    seasonWeeks:       '#season-length',
+    electricityRate:   '#electricity-rate',
+    gridCo2PerKwh:     '#grid-co2'
+  };
+
+  /** Preset fields quoted in USD, converted to the selected currency */
+  var REGION_MONEY = ['hourlyRate', 'fuelCostPerGallon', 'electricityRate'];
+
+  /** @returns {Promise<void>} Resolves once the region list is filled in. */
+  function initRegionPicker() {
+    var select = $('#region');
+    var zip = $('#region-zip');
+    if (!select || typeof Regions === 'undefined') return Promise.resolve();
+
+    var loaded = Regions.init().then(function () {
+      Regions.list().forEach(function (region) {
+        var opt = document.createElement('option');
+        opt.value = region.code;
+        opt.textContent = region.name;
+        select.appendChild(opt);
+      });
+    });
+
+    select.addEventListener('change', function () {
+      applyRegion(Regions.get(select.value));
+    });
+
+    zip.addEventListener('input', function () {
+      var digits = zip.value.replace(/\D/g, '');
+      if (digits.length < 3) return;
+      var region = Regions.findByZip(digits);
+      if (region) {
+        select.value = region.code;
+        applyRegion(region);
+      } else {
+        $('#region-note').textContent = t('ZIP code not recognized \u2014 choose a state instead.');
+      }
+    });
+
+    return loaded;
+  }
+
+  /** Prefill the form with a region's averages; the user can still edit them. */
+  function applyRegion(region) {
+    var note = $('#region-note');
+    if (!region) {
+      note.textContent = '';
+      return;
+    }
+    var preset = Regions.preset(region);
+    Object.keys(REGION_FIELDS).forEach(function (key) {
+      var input = $(REGION_FIELDS[key]);
+      var kind = Units.INPUT_KINDS[key];
+      var value = REGION_MONEY.indexOf(key) !== -1 ? preset[key] * Units.usdRate() : preset[key];
+      if (input) input.value = Number((kind ? Units.fromImperial(value, kind) : value).toPrecision(4));
+    });
+    // Regional electricity prices are flat averages
+    $('#electricity-rate-mode').value = 'flat';
+    syncElectricityFields();
+    note.textContent = t('Wage, fuel, season, electricity and grid CO\u2082 prefilled from {region} averages. ' +
+      'Adjust any value to match your site.', { region: region.name });
+  }
+
+  function initElectricityRate() {
+    var select = $('#electricity-rate-mode');
+    if (!select) return;
+    select.addEventListener('change', syncElectricityFields);
+    syncElectricityFields();
+  }
+
+  /** Time-of-use rates take a peak and an off-peak price. */
+  function syncElectricityFields() {
+    var tou = $('#electricity-rate-mode').value === 'tou';
+    var fields = $('#tou-fields');
+    $('#electricity-rate-unit').textContent = t(tou ? 'peak {currency}/kWh' : '{currency}/kWh');
+    if (tou) {
+      fields.classList.remove('hidden');
+      fields.removeAttribute('hidden');
+    } else {
+      fields.classList.add('hidden');
+      fields.setAttribute('hidden', '');
+    }
+  }
+
+  function initTaxToggle() {
+    var toggle = $('#include-tax');
+    if (!toggle) return;
+    toggle.addEventListener('change', syncTaxFields);
+    syncTaxFields();
+  }
+
+  function syncTaxFields() {
+    var toggle = $('#include-tax');
+    var fields = $('#tax-fields');
+    toggle.setAttribute('aria-checked', toggle.checked ? 'true' : 'false');
+    if (toggle.checked) {
+      fields.classList.remove('hidden');
+      fields.removeAttribute('hidden');
+    } else {
+      fields.classList.add('hidden');
+      fields.setAttribute('hidden', '');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Mowing Zones
+  // ---------------------------------------------------------------------------
+  function initZoneEditor() {
+    var toggle = $('#use-zones');
+    var list = $('#zones-list');
+    if (!toggle || !list) return;
+
+    toggle.addEventListener('change', function () {
+      // Start the editor with one zone holding the acreage already entered
+      if (toggle.checked && !$$('.zone-row', list).length) {
+        addZoneRow({ name: t('Main Lawn'), acres: parseFloat($('#total-acreage').value) || '' });
+      }
+      syncZoneFields();
+    });
+
+    $('#add-zone-btn').addEventListener('click', function () {
+      addZoneRow({});
+      syncZoneTotal();
+    });
+
+    list.addEventListener('input', syncZoneTotal);
+    list.addEventListener('click', function (e) {
+      var btn = e.target.closest('[data-remove-zone]');
+      if (!btn) return;
+      btn.closest('.zone-row').remove();
+      syncZoneTotal();
+    });
+
+    syncZoneFields();
+  }
+
+  function zoneOptions(labels, selected) {
+    return Object.keys(labels).map(function (value) {
+      return '<option value="' + value + '"' + (value === selected ? ' selected' : '') + ' data-i18n="' + labels[value] + '">' +
+        labels[value] + '</option>';
+    }).join('');
+  }
+
+  function addZoneRow(zone) {
+    var list = $('#zones-list');
+    var count = $$('.zone-row', list).length + 1;
+    var terrain = zone.terrain || ($('#property-type').value === 'golf' ? 'hilly' : 'flat');
+
+    var row = document.createElement('div');
+    row.className = 'zone-row';
+    // English text goes in the markup; I18n.apply translates it now and on every language switch
+    row.innerHTML =
+      '<input type="text" class="form-input zone-name" aria-label="Zone name" placeholder="' + t('Zone {n}', { n: count }) + '" ' +
+        'data-i18n-attrs="aria-label">' +
+      '<input type="number" class="form-input zone-acres" aria-label="Zone area ({area})" min="0.5" step="0.5" placeholder="{area}" ' +
+        'data-i18n-attrs="aria-label placeholder">' +
+      '<select class="form-select zone-terrain" aria-label="Zone terrain" data-i18n-attrs="aria-label">' +
+        zoneOptions(ZONE_TERRAIN_LABELS, terrain) + '</select>' +
+      '<select class="form-select zone-use" aria-label="Zone property type" data-i18n-attrs="aria-label">' +
+        zoneOptions(ZONE_USE_LABELS, zone.propertyType || '') + '</select>' +
+      '<input type="number" class="form-input zone-mows" aria-label="Zone mows per week" min="0.5" max="7" step="0.5" placeholder="Default" ' +
+        'data-i18n-attrs="aria-label placeholder">' +
+      '<input type="number" class="form-input zone-distance" aria-label="Zone distance from main area ({length})" min="0" step="100" placeholder="0" ' +
+        'title="Distance from the main mowing area. Zones beyond the reference station range need their own station." ' +
+        'data-i18n-attrs="aria-label title">' +
+      '<button type="button" class="btn btn-text" data-remove-zone aria-label="Remove zone" data-i18n-attrs="aria-label" data-i18n>Remove</button>';
+    I18n.apply(row);
+
+    $('.zone-name', row).value = zone.name || '';
+    $('.zone-acres', row).value = zone.acres || '';
+    $('.zone-mows', row).value = zone.mowsPerWeek || '';
+    $('.zone-distance', row).value = zone.distanceFt || '';
+    list.appendChild(row);
+  }
+
+  /** Zones entered in step 1, or [] when the property is a single acreage. */
+  function readZones() {
+    if (!$('#use-zones').checked) return [];
+    return $$('.zone-row', $('#zones-list')).map(function (row) {
+      return {
+        name:         $('.zone-name', row).value.trim(),
+        acres:        parseFloat($('.zone-acres', row).value) || 0,
+        terrain:      $('.zone-terrain', row).value,
+        propertyType: $('.zone-use', row).value || undefined,
+        mowsPerWeek:  parseFloat($('.zone-mows', row).value) || undefined,
+        distanceFt:   parseFloat($('.zone-distance', row).value) || 0
+      };
+    });
+  }
+
+  /** With zones on, the total acreage field shows the sum of the zones. */
+  function syncZoneTotal() {
+    if (!$('#use-zones').checked) return;
+    var total = readZones().reduce(function (sum, z) { return sum + z.acres; }, 0);
+    $('#total-acreage').value = total > 0 ? Math.round(total * 100) / 100 : '';
+  }
+
+  function syncZoneFields() {
+    var toggle = $('#use-zones');
+    toggle.setAttribute('aria-checked', toggle.checked ? 'true' : 'false');
+    setVisible('#zones-fields', toggle.checked);
+    $('#total-acreage').readOnly = toggle.checked;
+    syncZoneTotal();
+  }
+
   function initAssumptionsToggle() {
     var toggle = $('.assumptions-toggle');
     var content = $('#assumptions-content');
@@ -722,7 +2533,7 @@
     advToggle.addEventListener('click', function () {
       var expanded = advToggle.getAttribute('aria-expanded') === 'true';
       advToggle.setAttribute('aria-expanded', !expanded);
-      advToggle.textContent = expanded ? 'Show all assumptions' : 'Hide advanced assumptions';
+      syncAdvancedToggle();
       if (expanded) {
         advContent.setAttribute('hidden', '');
       } else {
@@ -731,6 +2542,15 @@
     });
   }
 
+  /** Label the advanced toggle for whether the assumptions are showing. */
+  function syncAdvancedToggle() {
+    var advToggle = $('.advanced-toggle');
+    if (!advToggle) return;
+    advToggle.textContent = advToggle.getAttribute('aria-expanded') === 'true'
+      ? t('Hide advanced assumptions')
+      : t('Show all assumptions');
+  }
+
   function initNavigation() {
     // Next buttons
     $$('.btn-next').forEach(function (btn) {
@@ -779,11 +2599,18 @@
     if (pdfBtn) {
       pdfBtn.addEventListener('click', function () {
         if (typeof PDFGenerator !== 'undefined' && calculationResults) {
+          var region = typeof Regions !== 'undefined' ? Regions.get(calculationResults.inputs.region) : null;
           PDFGenerator.generate(
             calculationResults,
             equipmentRecommendation,
             projectionData,
-            calculationResults.inputs
+            calculationResults.inputs,
+            {
+              sensitivity: sensitivityData,
+              simulation: simulationData,
+              scenarios: listScenarios(),
+              region: region ? { name: region.name, source: Regions.source() } : null
+            }
           );
         }
       });
@@ -797,6 +2624,18 @@
     equipmentRecommendation = null;
     investmentMetrics = null;
     projectionData = null;
+    sensitivityData = null;
+    resetSimulation();
+    savedScenarios = {};
+    optimizerData = null;
+    renderScenarios();
+    var scenarioStatus = $('#scenario-status');
+    if (scenarioStatus) scenarioStatus.textContent = '';
+    var libraryStatus = $('#library-save-status');
+    if (libraryStatus) libraryStatus.textContent = '';
+    var importStatus = $('#scenario-import-status');
+    if (importStatus) importStatus.textContent = '';
+    clearShareLink();
 
     if (typeof Charts !== 'undefined') Charts.destroyAll();
 
@@ -816,7 +2655,13 @@
     });
     $$('select').forEach(function (el) {
       el.selectedIndex = 0;
+      for (var i = 0; i < el.options.length; i++) {
+        if (el.options[i].defaultSelected) el.selectedIndex = i;
+      }
     });
+    // The language stays; the number format goes back to the language's own
+    $('#language').value = I18n.language();
+    $('#locale').value = I18n.LANGUAGES[I18n.language()].locale;
     $$('textarea').forEach(function (el) {
       el.value = '';
     });
@@ -833,13 +2678,18 @@
       }
     });
     $('#maintenance-type').value = 'in-house';
-    $('#inhouse-fields').classList.remove('hidden');
-    $('#inhouse-fields').removeAttribute('hidden');
-    $('#outsourced-fields').classList.add('hidden');
-    $('#outsourced-fields').setAttribute('hidden', '');
+    syncMaintenanceFields();
+    $('#zones-list').innerHTML = '';
+    syncZoneFields();
 
-    // Re-init range displays
+    // Re-init range displays and dependent selects
     initRangeSliders();
+    syncCustomSelects();
+    syncPurchaseFields();
+    Units.configure({ unitSystem: $('#unit-system').value }); // fields are back at their US defaults
+    syncUnitSettings();
+    syncTaxFields();
+    $('#region-note').textContent = '';
 
     // Hide lead form status
     var status = $('#lead-form-status');
@@ -850,6 +2700,7 @@
     if (leadForm) leadForm.style.display = '';
 
     goToStep(1);
+    clearAutosave();
   }
 
   // ---------------------------------------------------------------------------
@@ -862,9 +2713,7 @@
     $resultsSection = $('#results-section');
 
     // Initialize equipment data
-    Equipment.init().then(function () {
-      // Equipment data loaded
-    });
+    var equipmentLoaded = Equipment.init();
 
     // Initialize lead capture
     if (typeof LeadCapture !== 'undefined') {
@@ -878,9 +2727,44 @@
     initAssumptionsToggle();
     initNavigation();
     initCustomSelects();
+    initPurchaseMode();
+    initUnitSettings();
+    initLanguage();
+    var regionsLoaded = initRegionPicker();
+    initElectricityRate();
+    initTaxToggle();
+    initZoneEditor();
+    initSensitivityControls();
+    initSimulationControls();
+    initScenarioControls();
+    initGoalSeekControls();
+    initOptimizerControls();
+    initPortfolioControls();
+    initShareLink();
+    initAutosave();
+    initLibrary();
+    initScenarioFiles();
 
     // Start on step 1
     goToStep(1);
+
+    // A share link reopens its calculation, or else progress saved on an
+    // earlier visit is offered, once the equipment catalog and region list
+    // they refer to have loaded
+    var shared = typeof Share !== 'undefined' ? Share.decode(window.location.hash) : null;
+    if (shared) {
+      Promise.all([equipmentLoaded, regionsLoaded]).then(function () {
+        writeFormState(shared);
+        reopenWizardAt(4);
+      });
+    } else if (typeof Autosave !== 'undefined') {
+      var saved = Autosave.load();
+      if (saved) {
+        Promise.all([equipmentLoaded, regionsLoaded]).then(function () {
+          offerResume(saved);
+        });
+      }
+    }
   }
 
   // ---------------------------------------------------------------------------
@@ -896,8 +2780,10 @@
       var optionsList = wrapper.querySelector('.custom-select-options');
       var options = wrapper.querySelectorAll('.custom-select-option');
 
-      // Set initial placeholder state
-      valueSpan.classList.add('placeholder');
+      // Set initial placeholder state (selects with a preselected value show it)
+      if (!nativeSelect || !nativeSelect.value) {
+        valueSpan.classList.add('placeholder');
+      }
 
       // Toggle open/close
       trigger.addEventListener('click', function (e) {
@@ -955,6 +2841,31 @@
     });
   }
 
+  /** Refresh each custom select's label and selection from its native select. */
+  function syncCustomSelects() {
+    $$('.custom-select').forEach(function (wrapper) {
+      var nativeSelect = document.getElementById(wrapper.getAttribute('data-for'));
+      var valueSpan = $('.custom-select-value', wrapper);
+      if (!nativeSelect || !valueSpan) return;
+
+      var match = null;
+      $$('.custom-select-option', wrapper).forEach(function (opt) {
+        var selected = opt.getAttribute('data-value') === nativeSelect.value;
+        opt.classList.toggle('selected', selected);
+        if (selected) match = opt;
+      });
+
+      if (match) {
+        valueSpan.textContent = $('.option-label', match).textContent;
+        valueSpan.classList.remove('placeholder');
+      } else {
+        var placeholder = nativeSelect.options[0];
+        valueSpan.textContent = placeholder ? placeholder.textContent : '';
+        valueSpan.classList.add('placeholder');
+      }
+    });
+  }
+
   function closeAllSelects() {
     document.querySelectorAll('.custom-select.open').forEach(function (s) {
       s.classList.remove('open');
@@ -0,0 +1,145 @@
+/**
+ * Autosave
+ * Autonomous Mowing Solutions ROI Calculator
+ *
+ * Keeps the wizard's progress in localStorage so a prospect who closes the
+ * tab mid-wizard can pick up where they left off. Every save is stamped with
+ * a schema version. Saves from an older schema are migrated when they are
+ * loaded; saves that are unreadable, from a newer schema or without a
+ * migration path are discarded.
+ *
+ * Storage can be unavailable (private browsing, blocked cookies, a full
+ * quota); saving then quietly does nothing and load() finds nothing.
+ *
+ * Usage:
+ *   Autosave.save({ step: 2, maxCompletedStep: 1, fields: { acreage: '20' } });
+ *   var saved = Autosave.load();   // { step, maxCompletedStep, fields, savedAt } or null
+ *   Autosave.clear();
+ */
+const Autosave = (function () {
+  'use strict';
+
+  var STORAGE_KEY = 'ams-roi-calculator.progress';
+  var SCHEMA_VERSION = 1;
+
+  // Upgrades keyed by the version they read: MIGRATIONS[1] would turn a
+  // version 1 save into a version 2 one. Add an entry whenever the shape of
+  // a save changes, so progress saved before a release survives it.
+  var MIGRATIONS = {};
+
+  // ---------------------------------------------------------------------------
+  // Storage
+  // ---------------------------------------------------------------------------
+
+  /** localStorage, or null where it is missing or blocked (reading it can throw). */
+  function storage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Save the wizard's progress, replacing any earlier save.
+   *
+   * @param {Object} progress
+   * @param {number} progress.step             - Step on screen (1-4).
+   * @param {number} progress.maxCompletedStep - Highest step completed (0-3).
+   * @param {Object} progress.fields           - Form state, as written by app.js.
+   * @returns {boolean} Whether the save was stored.
+   */
+  function save(progress) {
+    var store = storage();
+    if (!store) return false;
+
+    try {
+      store.setItem(STORAGE_KEY, JSON.stringify({
+        version:          SCHEMA_VERSION,
+        savedAt:          new Date().toISOString(),
+        step:             progress.step,
+        maxCompletedStep: progress.maxCompletedStep,
+        fields:           progress.fields || {}
+      }));
+      return true;
+    } catch (err) {
+      console.warn('[Autosave] Could not save progress.', err);
+      return false;
+    }
+  }
+
+  /** Bring a save up to the current schema, or return null if it cannot be. */
+  function migrate(record) {
+    while (record && record.version < SCHEMA_VERSION) {
+      var upgrade = MIGRATIONS[record.version];
+      record = upgrade ? upgrade(record) : null;
+    }
+    return record && record.version === SCHEMA_VERSION ? record : null;
+  }
+
+  function isValid(record) {
+    return record.step >= 1 && record.step <= 4 && Math.floor(record.step) === record.step &&
+      record.maxCompletedStep >= 0 && record.maxCompletedStep <= 3 &&
+      record.fields !== null && typeof record.fields === 'object' && !Array.isArray(record.fields);
+  }
+
+  /**
+   * The saved progress, migrated to the current schema. A save that cannot
+   * be used is removed so it is not offered again.
+   *
+   * @returns {Object|null} { version, savedAt, step, maxCompletedStep, fields }
+   */
+  function load() {
+    var store = storage();
+    if (!store) return null;
+
+    var record = null;
+    try {
+      var raw = store.getItem(STORAGE_KEY);
+      if (raw === null) return null;
+      record = migrate(JSON.parse(raw));
+    } catch (err) {
+      record = null;
+    }
+
+    if (!record || !isValid(record)) {
+      console.warn('[Autosave] Discarding saved progress that could not be read.');
+      clear();
+      return null;
+    }
+    return record;
+  }
+
+  /** Forget the saved progress. */
+  function clear() {
+    var store = storage();
+    if (!store) return;
+    try {
+      store.removeItem(STORAGE_KEY);
+    } catch (err) {
+      // Nothing to clear when storage is blocked
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  return {
+    SCHEMA_VERSION: SCHEMA_VERSION,
+    save:           save,
+    load:           load,
+    clear:          clear
+  };
+
+})();
+
+// Make available on window for non-module environments
+if (typeof window !== 'undefined') {
+  window.Autosave = Autosave;
+}
+
+// Support CommonJS / Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Autosave;
+}
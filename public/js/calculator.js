@@ -3,10 +3,15 @@
  *
  * Pure calculation functions for robotic mowing ROI analysis.
  * No DOM manipulation -- all functions take inputs and return outputs.
+ *
+ * All figures are worked in US units (acres, gallons, lbs, feet). Metric
+ * inputs (`inputUnits: 'metric'`) are converted on the way in by Units.
  */
 const Calculator = (function () {
   'use strict';
 
+  var U = typeof Units !== 'undefined' ? Units : require('./units.js');
+
   // ---------------------------------------------------------------------------
   // Property-type defaults
   // ---------------------------------------------------------------------------
@@ -17,6 +22,35 @@ const Calculator = (function () {
     athletic:   { mowingTimePerAcre: 50, mowsPerWeek: 2, fuelPerAcre: 0.85 }
   };
 
+  // Mowing zone terrains (the equipment module picks a model series for each)
+  var ZONE_TERRAINS = ['flat', 'hilly', 'rough'];
+
+  // Mowers an in-house crew may be running today: new price (USD) and useful
+  // life (years), used to estimate resale and the replacements the robots avoid
+  var LEGACY_MOWER_TYPES = {
+    ztr:        { label: 'Commercial Zero-Turn',      newPrice: 14000, lifeYears: 6 },
+    rideon:     { label: 'Ride-On / Lawn Tractor',    newPrice: 5000,  lifeYears: 8 },
+    walkbehind: { label: 'Commercial Walk-Behind',    newPrice: 4000,  lifeYears: 6 },
+    widearea:   { label: 'Wide-Area / Fairway Mower', newPrice: 55000, lifeYears: 10 }
+  };
+
+  // Floor on the estimated resale value, as a share of the new price
+  var LEGACY_RESALE_FLOOR = 0.15;
+
+  // Implicit annual rate used to estimate a lease payment when none is quoted
+  var LEASE_IMPLICIT_RATE = 9;
+
+  // Highest rate the IRR search tries (as a fraction: 1,000,000 = 100,000,000%)
+  var IRR_MAX = 1e6;
+
+  // Tax depreciation schedules (% of basis per year, year 1 first).
+  // MACRS 5-year property uses the half-year convention (IRS Pub. 946, Table A-1).
+  var DEPRECIATION_SCHEDULES = {
+    section179:   [100],
+    macrs5:       [20, 32, 19.2, 11.52, 11.52, 5.76],
+    straightline: [20, 20, 20, 20, 20]
+  };
+
   // ---------------------------------------------------------------------------
   // Internal helpers
   // ---------------------------------------------------------------------------
@@ -33,23 +67,364 @@ const Calculator = (function () {
     return Math.max(min, Math.min(max, value));
   }
 
+  /**
+   * Normalise a list of mowing zones. Zones without acreage are dropped; a
+   * zone's property type defaults to the site's and drives its default
+   * mowing frequency and terrain (golf zones default to hilly).
+   *
+   * @returns {Array<Object>} [{ name, acres, terrain, propertyType, mowsPerWeek }]
+   */
+  function resolveZones(rawZones, sitePropertyType) {
+    if (!Array.isArray(rawZones)) return [];
+    return rawZones
+      .filter(function (z) { return z && Number(z.acres) > 0; })
+      .map(function (z, idx) {
+        var zpt = PROPERTY_DEFAULTS[z.propertyType] ? z.propertyType : sitePropertyType;
+        var zoneDefaults = PROPERTY_DEFAULTS[zpt] || PROPERTY_DEFAULTS.commercial;
+        return {
+          name:         String(z.name || '').trim() || 'Zone ' + (idx + 1),
+          acres:        Number(z.acres),
+          terrain:      ZONE_TERRAINS.indexOf(z.terrain) !== -1 ? z.terrain : (zpt === 'golf' ? 'hilly' : 'flat'),
+          propertyType: zpt,
+          mowsPerWeek:  clamp(Number(z.mowsPerWeek) || zoneDefaults.mowsPerWeek, 0.5, 7),
+          distanceFt:   Math.max(0, Number(z.distanceFt) || 0)
+        };
+      });
+  }
+
+  /**
+   * The zones a calculation runs over. A property entered as a single
+   * acreage is treated as one zone covering all of it.
+   */
+  function propertyZones(i) {
+    if (i.zones.length) return i.zones;
+    return [{
+      name:         'Entire Property',
+      acres:        i.acreage,
+      terrain:      i.propertyType === 'golf' ? 'hilly' : 'flat',
+      propertyType: i.propertyType,
+      mowsPerWeek:  i.mowsPerWeek
+    }];
+  }
+
+  /**
+   * A per-acre rate (fuelPerAcre, mowingTimePerAcre) for one zone. Zones of
+   * another property type scale the site's rate by the ratio of the two
+   * property-type defaults, so user overrides still carry through.
+   */
+  function zoneRate(i, zone, key) {
+    if (zone.propertyType === i.propertyType) return i[key];
+    var site = PROPERTY_DEFAULTS[i.propertyType] || PROPERTY_DEFAULTS.commercial;
+    return i[key] * PROPERTY_DEFAULTS[zone.propertyType][key] / site[key];
+  }
+
+  /** Sum fn(zone) over a list of zones. */
+  function sumZones(zones, fn) {
+    var total = 0;
+    for (var z = 0; z < zones.length; z++) total += fn(zones[z]);
+    return total;
+  }
+
+  /**
+   * Net present value of a cash-flow series, where cashFlows[0] occurs today
+   * and cashFlows[n] at the end of year n.
+   */
+  function npv(rate, cashFlows) {
+    var total = 0;
+    for (var t = 0; t < cashFlows.length; t++) {
+      total += cashFlows[t] / Math.pow(1 + rate, t);
+    }
+    return total;
+  }
+
+  /**
+   * Internal rate of return by bisection. Returns the rate as a fraction;
+   * Infinity when NPV stays positive at any rate (little or nothing paid up
+   * front, so there is no outlay for the savings to be a return on); or
+   * null when the cash flows never change sign otherwise (IRR undefined).
+   */
+  function irr(cashFlows) {
+    var lo = -0.99;
+    var hi = 10;
+    var npvLo = npv(lo, cashFlows);
+    var npvHi = npv(hi, cashFlows);
+
+    // Widen the bracket while NPV is still positive at the top
+    while (npvLo > 0 && npvHi > 0) {
+      if (hi >= IRR_MAX) return Infinity;
+      lo = hi;
+      npvLo = npvHi;
+      hi *= 10;
+      npvHi = npv(hi, cashFlows);
+    }
+
+    if (isNaN(npvLo) || isNaN(npvHi) || npvLo * npvHi > 0) return null;
+
+    for (var iter = 0; iter < 200; iter++) {
+      var mid = (lo + hi) / 2;
+      var npvMid = npv(mid, cashFlows);
+      if (Math.abs(npvMid) < 0.005) return mid;
+      if (npvLo * npvMid < 0) {
+        hi = mid;
+      } else {
+        lo = mid;
+        npvLo = npvMid;
+      }
+    }
+    return (lo + hi) / 2;
+  }
+
+  /**
+   * Years until the cumulative discounted cash flow turns non-negative once
+   * the yearly flows have started, interpolated within the crossing year.
+   * With no up-front outlay (a lease, a loan with nothing down) the first
+   * year counts in full. Infinity if never reached.
+   */
+  function discountedPayback(rate, cashFlows) {
+    var cumulative = cashFlows[0];
+
+    for (var t = 1; t < cashFlows.length; t++) {
+      var discounted = cashFlows[t] / Math.pow(1 + rate, t);
+      if (cumulative + discounted >= 0) {
+        return cumulative < 0 && discounted > 0 ? (t - 1) + (-cumulative / discounted) : t;
+      }
+      cumulative += discounted;
+    }
+    return Infinity;
+  }
+
+  /**
+   * Years until cumulative net cash (savings less the up-front outlay) turns
+   * non-negative, walking the projection year by year and interpolating
+   * within the crossing year. With no up-front outlay the first year counts
+   * in full, so financing payments are weighed before anything is called
+   * paid back. Infinity if not reached within the horizon.
+   */
+  function projectionPayback(upfront, projection, field) {
+    field = field || 'annualSavings';
+    var cumulative = -upfront;
+
+    for (var t = 0; t < projection.length; t++) {
+      var savings = projection[t][field];
+      if (cumulative + savings >= 0) {
+        return cumulative < 0 && savings > 0 ? t + (-cumulative / savings) : t + 1;
+      }
+      cumulative += savings;
+    }
+    return Infinity;
+  }
+
+  /**
+   * The current mowers the robots make redundant. The share of the crew's
+   * fleet matching the automation level is sold in year 1, and the
+   * replacements those mowers would have needed over the horizon are
+   * avoided. Leased fleets go back to the lessor (nothing to sell or
+   * replace), and contractors bring their own mowers.
+   *
+   * Resale defaults to the straight-line value left in a mower of that type
+   * and age, never less than LEGACY_RESALE_FLOOR of the new price.
+   *
+   * @returns {Object} { retired, type, resalePerMower, resaleCredit,
+   *   replacements: [{ year, cost }], avoidedCapex }
+   */
+  function buildLegacyFleet(i) {
+    var type = LEGACY_MOWER_TYPES[i.legacyMowerType];
+    var newPrice = type.newPrice * i.exchangeRate;
+    var retired = i.maintenanceType !== 'outsourced' && !i.isLeased
+      ? Math.floor(i.legacyMowers * i.automationLevel / 100)
+      : 0;
+    var resalePerMower = i.legacyResaleValue ||
+      newPrice * Math.max(LEGACY_RESALE_FLOOR, 1 - i.legacyMowerAge / type.lifeYears);
+
+    var replacements = [];
+    var avoidedCapex = 0;
+    if (retired > 0) {
+      var firstYear = Math.max(1, Math.ceil(type.lifeYears - i.legacyMowerAge));
+      for (var year = firstYear; year <= i.analysisYears; year += type.lifeYears) {
+        replacements.push({ year: year, cost: round(retired * newPrice) });
+        avoidedCapex += retired * newPrice;
+      }
+    }
+
+    return {
+      retired:        retired,
+      type:           type.label,
+      resalePerMower: round(resalePerMower),
+      resaleCredit:   round(retired * resalePerMower),
+      replacements:   replacements,
+      avoidedCapex:   round(avoidedCapex)
+    };
+  }
+
+  /**
+   * Price of the electricity the mowers charge on, in $/kWh. Under
+   * time-of-use, `offPeakShare` % of charging is scheduled off-peak and the
+   * rest pays `electricityRate` (the peak rate). On-site solar covers
+   * `solarOffset` % of the charging at no cost.
+   */
+  function electricityPrice(i) {
+    var rate = i.electricityRateMode === 'tou'
+      ? i.offPeakRate * i.offPeakShare / 100 + i.electricityRate * (1 - i.offPeakShare / 100)
+      : i.electricityRate;
+    return rate * (1 - i.solarOffset / 100);
+  }
+
+  /**
+   * Build the cash-outflow schedule for acquiring the fleet.
+   *
+   *   cash  -- full investment paid up front.
+   *   loan  -- down payment up front, then a fixed monthly payment amortizing
+   *            the balance at `loanApr` over `loanTermYears`.
+   *   lease -- no up-front outlay; a monthly payment for `leaseTermMonths`
+   *            and a buyout (% of investment) when the lease ends. When no
+   *            payment is quoted, it is estimated at LEASE_IMPLICIT_RATE.
+   *
+   * `payments` and `interest` are per projection year (index 0 = year 1);
+   * the buyout is included in the payments of the year the lease ends.
+   * `buyouts` is the part of each year's payments spent on the buyout.
+   *
+   * Financing that runs past the analysis horizon is settled in its last
+   * year, so a long term cannot push cost out of the analysis: the loan
+   * balance still owed, or the remaining lease payments and buyout
+   * discounted at LEASE_IMPLICIT_RATE. `settlement` is that amount.
+   */
+  function buildFinancing(i, totalInvestment) {
+    var payments = [];
+    var interest = [];
+    var buyouts  = [];
+    for (var y = 0; y < i.analysisYears; y++) {
+      payments.push(0);
+      interest.push(0);
+      buyouts.push(0);
+    }
+
+    var horizonMonths = i.analysisYears * 12;
+    var last = i.analysisYears - 1;
+
+    var upfront = totalInvestment;
+    var monthlyPayment = 0;
+    var termMonths = 0;
+    var buyout = 0;
+    var totalPaid = totalInvestment;
+    var settlement = 0;
+    var m, year;
+
+    if (i.purchaseMode === 'loan') {
+      var down      = totalInvestment * (i.downPaymentPct / 100);
+      var principal = totalInvestment - down;
+      var r         = i.loanApr / 100 / 12;
+
+      termMonths     = i.loanTermYears * 12;
+      monthlyPayment = r === 0
+        ? principal / termMonths
+        : principal * r / (1 - Math.pow(1 + r, -termMonths));
+
+      var balance = principal;
+      for (m = 1; m <= termMonths; m++) {
+        var monthInterest = balance * r;
+        balance -= (monthlyPayment - monthInterest);
+        year = Math.ceil(m / 12);
+        if (year <= i.analysisYears) {
+          payments[year - 1] += monthlyPayment;
+          interest[year - 1] += monthInterest;
+        }
+        if (m === horizonMonths && m < termMonths) settlement = balance;
+      }
+      payments[last] += settlement;
+
+      upfront   = down;
+      totalPaid = down + monthlyPayment * termMonths;
+    } else if (i.purchaseMode === 'lease') {
+      var lr = LEASE_IMPLICIT_RATE / 100 / 12;
+      termMonths = i.leaseTermMonths;
+      buyout     = totalInvestment * (i.leaseBuyoutPct / 100);
+
+      if (i.leaseMonthlyPayment > 0) {
+        monthlyPayment = i.leaseMonthlyPayment;
+      } else {
+        monthlyPayment = (totalInvestment - buyout / Math.pow(1 + lr, termMonths))
+          * lr / (1 - Math.pow(1 + lr, -termMonths));
+      }
+
+      for (m = 1; m <= termMonths; m++) {
+        year = Math.ceil(m / 12);
+        if (year <= i.analysisYears) payments[year - 1] += monthlyPayment;
+        else settlement += monthlyPayment / Math.pow(1 + lr, m - horizonMonths);
+      }
+      year = Math.ceil(termMonths / 12);
+      if (year <= i.analysisYears) {
+        payments[year - 1] += buyout;
+        buyouts[year - 1]  += buyout;
+      } else {
+        var buyoutValue = buyout / Math.pow(1 + lr, termMonths - horizonMonths);
+        settlement    += buyoutValue;
+        buyouts[last] += buyoutValue;
+      }
+      payments[last] += settlement;
+
+      upfront   = 0;
+      totalPaid = monthlyPayment * termMonths + buyout;
+    }
+
+    return {
+      mode:               i.purchaseMode,
+      upfront:            round(upfront),
+      monthlyPayment:     round(monthlyPayment),
+      termMonths:         termMonths,
+      buyout:             round(buyout),
+      totalPaid:          round(totalPaid),
+      financingCost:      round(totalPaid - totalInvestment),
+      estimatedPayment:   i.purchaseMode === 'lease' && !(i.leaseMonthlyPayment > 0),
+      settlement:         round(settlement),
+      payments:           payments.map(function (p) { return round(p); }),
+      interest:           interest.map(function (p) { return round(p); }),
+      buyouts:            buyouts.map(function (p) { return round(p); })
+    };
+  }
+
   /**
    * Resolve all inputs, applying defaults where values are missing.
-   * Returns a new plain object -- never mutates the original.
+   * Returns a new plain object in US units -- never mutates the original.
    */
   function resolveInputs(raw) {
+    raw = U.convertInputs(raw);
+    var currency = U.CURRENCIES[raw.currency] ? raw.currency : 'USD';
     var pt = raw.propertyType || 'commercial';
     var propDefaults = PROPERTY_DEFAULTS[pt] || PROPERTY_DEFAULTS.commercial;
+    var acreage = Math.max(Number(raw.acreage) || 0, 0);
+    var zones = resolveZones(raw.zones, pt);
+    var mowsPerWeek = propDefaults.mowsPerWeek;
+
+    // With zones, the property is the sum of its zones and the headline
+    // mowing frequency is the acre-weighted average
+    if (zones.length) {
+      acreage = sumZones(zones, function (z) { return z.acres; });
+      mowsPerWeek = round(sumZones(zones, function (z) { return z.acres * z.mowsPerWeek; }) / acreage);
+    }
+    var maintenanceType = raw.maintenanceType === 'outsourced' || raw.maintenanceType === 'hybrid'
+      ? raw.maintenanceType
+      : 'inhouse';
 
     return {
-      // Step 1
+      // Display settings. Resolved figures are always in US units
+      // (inputUnits); unitSystem is how they are shown. Amounts are in
+      // `currency`; exchangeRate converts built-in USD prices into it.
+      unitSystem:          U.SYSTEMS[raw.unitSystem] ? raw.unitSystem : 'imperial',
+      inputUnits:          'imperial',
+      currency:            currency,
+      locale:              U.LOCALES[raw.locale] ? raw.locale : 'en-US',
+      exchangeRate:        Number(raw.exchangeRate) > 0 ? Number(raw.exchangeRate) : U.usdRate(currency),
+
+      // Step 1 (region is the Regions preset code the defaults came from, '' = none)
+      region:              typeof raw.region === 'string' ? raw.region : '',
       propertyType:        pt,
-      acreage:             Math.max(Number(raw.acreage) || 0, 0),
+      acreage:             acreage,
       seasonWeeks:         Math.max(Number(raw.seasonWeeks) || 30, 1),
-      mowsPerWeek:         propDefaults.mowsPerWeek,
+      mowsPerWeek:         mowsPerWeek,
+      zones:               zones,
 
       // Step 2
-      maintenanceType:     raw.maintenanceType === 'outsourced' ? 'outsourced' : 'inhouse',
+      maintenanceType:     maintenanceType,
 
       // In-house fields
       employees:           Math.max(Number(raw.employees) || 0, 0),
@@ -57,9 +432,18 @@ const Calculator = (function () {
       mowingTimePercent:   clamp(Number(raw.mowingTimePercent) || 0, 0, 100),
       isLeased:            Boolean(raw.isLeased),
 
+      // Current mower fleet (in-house); legacyResaleValue is per mower, 0 = estimate
+      legacyMowers:        Math.max(Math.round(Number(raw.legacyMowers) || 0), 0),
+      legacyMowerType:     LEGACY_MOWER_TYPES[raw.legacyMowerType] ? raw.legacyMowerType : 'ztr',
+      legacyMowerAge:      clamp(Number(raw.legacyMowerAge) || 0, 0, 30),
+      legacyResaleValue:   Math.max(Number(raw.legacyResaleValue) || 0, 0),
+
       // Outsourced fields
       monthlyContract:     Math.max(Number(raw.monthlyContract) || 0, 0),
 
+      // Hybrid: acres the contractor mows (the crew mows the rest)
+      outsourcedAcreage:   maintenanceType === 'hybrid' ? clamp(Number(raw.outsourcedAcreage) || 0, 0, acreage) : 0,
+
       // Assumptions
       benefitsRate:        clamp(Number(raw.benefitsRate  !== undefined ? raw.benefitsRate  : 12),  0, 100),
       fuelCostPerGallon:   Math.max(Number(raw.fuelCostPerGallon !== undefined ? raw.fuelCostPerGallon : 3.50), 0),
@@ -75,11 +459,37 @@ const Calculator = (function () {
       leasingPremium:      clamp(Number(raw.leasingPremium !== undefined ? raw.leasingPremium : 7), 0, 20),
       roboticMaintenance:  Math.max(Number(raw.roboticMaintenance !== undefined ? raw.roboticMaintenance : 3), 0),
       electricityPerAcre:  Math.max(Number(raw.electricityPerAcre !== undefined ? raw.electricityPerAcre : 1.5), 0),
+
+      // Electricity price: flat, or time-of-use with electricityRate as the peak rate
+      electricityRateMode: raw.electricityRateMode === 'tou' ? 'tou' : 'flat',
+      electricityRate:     Math.max(Number(raw.electricityRate !== undefined ? raw.electricityRate : 0.12), 0),
+      offPeakRate:         Math.max(Number(raw.offPeakRate !== undefined ? raw.offPeakRate : 0.08), 0),
+      offPeakShare:        clamp(Number(raw.offPeakShare !== undefined ? raw.offPeakShare : 80), 0, 100),
+      solarOffset:         clamp(Number(raw.solarOffset) || 0, 0, 100),
+
       co2PerGallon:        Math.max(Number(raw.co2PerGallon !== undefined ? raw.co2PerGallon : 19.59), 0),
+      gridCo2PerKwh:       Math.max(Number(raw.gridCo2PerKwh) || 0, 0),
       mowingTimePerAcre:   Math.max(Number(raw.mowingTimePerAcre !== undefined ? raw.mowingTimePerAcre : propDefaults.mowingTimePerAcre), 0),
+      discountRate:        clamp(Number(raw.discountRate !== undefined ? raw.discountRate : 8), 0, 20),
+      analysisYears:       clamp(Math.round(Number(raw.analysisYears !== undefined ? raw.analysisYears : 5)) || 5, 1, 15),
+
+      // Financing
+      purchaseMode:        raw.purchaseMode === 'loan' || raw.purchaseMode === 'lease' ? raw.purchaseMode : 'cash',
+      loanApr:             clamp(Number(raw.loanApr !== undefined ? raw.loanApr : 7.5), 0, 30),
+      loanTermYears:       clamp(Math.round(Number(raw.loanTermYears !== undefined ? raw.loanTermYears : 5)) || 5, 1, 10),
+      downPaymentPct:      clamp(Number(raw.downPaymentPct !== undefined ? raw.downPaymentPct : 10), 0, 100),
+      leaseMonthlyPayment: Math.max(Number(raw.leaseMonthlyPayment) || 0, 0),
+      leaseTermMonths:     clamp(Math.round(Number(raw.leaseTermMonths !== undefined ? raw.leaseTermMonths : 36)) || 36, 12, 84),
+      leaseBuyoutPct:      clamp(Number(raw.leaseBuyoutPct !== undefined ? raw.leaseBuyoutPct : 10), 0, 50),
+
+      // Tax
+      includeTax:          Boolean(raw.includeTax),
+      taxRate:             clamp(Number(raw.taxRate !== undefined ? raw.taxRate : 21), 0, 60),
+      depreciationMethod:  DEPRECIATION_SCHEDULES[raw.depreciationMethod] ? raw.depreciationMethod : 'macrs5',
 
       // Step 3
       automationLevel:     clamp(Number(raw.automationLevel !== undefined ? raw.automationLevel : 50), 25, 100),
+      fleetModel:          typeof raw.fleetModel === 'string' && raw.fleetModel ? raw.fleetModel : 'auto',
       desiredMowingTime:   clamp(Number(raw.desiredMowingTime !== undefined ? raw.desiredMowingTime : 20), 5, 60)
     };
   }
@@ -98,26 +508,51 @@ const Calculator = (function () {
    * @returns {Object} result.currentCosts        - { labor, fuel, equipment, total }
    * @returns {Object} result.savings              - { labor, fuel, equipment, gross }
    * @returns {Object} result.newCosts             - { maintenance, electricity, total }
+   * @returns {number} result.electricityRate      - Effective $/kWh after time-of-use and solar offset
    * @returns {number} result.netAnnualSavings
-   * @returns {Object} result.labor                - { currentHours, hoursSaved, currentFTE, reducedFTE }
-   * @returns {Object} result.environmental        - { co2Reduced, fuelGallonsSaved, treeEquivalents, noiseReduction }
+   * @returns {Object} result.branches             - Per-branch split: { inhouse: { acres, labor, fuel,
+   *   equipment, total, savings }, outsourced: { acres, contract, savings } } -- a branch
+   *   that does not apply to the maintenance type is all zeros
+   * @returns {Array}  result.zones                - Per-zone figures: [{ name, acres, terrain, propertyType,
+   *   mowsPerWeek, mowingHours, electricity, fuelGallonsSaved }] -- one 'Entire Property' zone
+   *   when no zones were entered
+   * @returns {Object} result.labor                - { currentHours, hoursSaved, currentFTE, reducedFTE,
+   *   inhouseHours, outsourcedHours }
+   * @returns {Object} result.environmental        - { co2Reduced, chargingCo2, fuelGallonsSaved, treeEquivalents,
+   *   noiseReduction } -- co2Reduced is net of chargingCo2
+   * @returns {Object} result.legacyFleet          - Current mowers retired: { retired, type, resalePerMower,
+   *   resaleCredit, replacements: [{ year, cost }], avoidedCapex } (see buildLegacyFleet)
    * @returns {Object} result.inputs               - Fully resolved inputs with all defaults applied
-   * @returns {Function} result.withInvestment     - (totalInvestment, annualServiceCost) => metrics
+   * @returns {Function} result.withInvestment     - (totalInvestment, annualServiceCost, lifecycle) => metrics
    */
   function calculateROI(rawInputs) {
     var i = resolveInputs(rawInputs || {});
 
     // ------ Current Annual Costs ------
 
-    var laborCost, fuelCost, equipmentAnnualCost;
+    // In-house crews pay wages, fuel and equipment; contractors are one
+    // contract line (reported under labor). Hybrid properties have both,
+    // with the crew's fuel and equipment scaled to the acres it mows.
+    var hasCrew      = i.maintenanceType !== 'outsourced';
+    var hasContract  = i.maintenanceType !== 'inhouse';
+    var inhouseAcres = hasCrew ? i.acreage - i.outsourcedAcreage : 0;
+    var outsourcedAcres = i.maintenanceType === 'outsourced' ? i.acreage : i.outsourcedAcreage;
+
+    // Acreage-driven figures are worked out zone by zone (each zone has its
+    // own mowing frequency and property type) and summed. The crew's share
+    // of every zone is the same as its share of the whole property.
+    var zones     = propertyZones(i);
+    var crewShare = i.acreage > 0 ? inhouseAcres / i.acreage : 0;
+    var automated = i.automationLevel / 100;
+
+    var crewLaborCost = 0, contractCost = 0, fuelCost = 0, equipmentAnnualCost = 0;
+
+    if (hasContract) {
+      contractCost = i.monthlyContract * 12;
+    }
 
-    if (i.maintenanceType === 'outsourced') {
-      laborCost           = i.monthlyContract * 12;
-      fuelCost            = 0;
-      equipmentAnnualCost = 0;
-    } else {
-      // In-house
-      laborCost = i.employees
+    if (hasCrew) {
+      crewLaborCost = i.employees
         * i.hourlyRate
         * (1 + i.benefitsRate / 100)
         * 40
@@ -125,38 +560,38 @@ const Calculator = (function () {
         * (i.mowingTimePercent / 100)
         * (1 + i.bufferTime / 100);
 
-      fuelCost = i.acreage
-        * i.fuelPerAcre
-        * i.mowsPerWeek
-        * i.seasonWeeks
-        * i.fuelCostPerGallon;
+      fuelCost = sumZones(zones, function (z) {
+        return z.acres * crewShare
+          * zoneRate(i, z, 'fuelPerAcre')
+          * z.mowsPerWeek
+          * i.seasonWeeks
+          * i.fuelCostPerGallon;
+      });
 
-      var equipmentBaseCost = i.baseEquipmentCost + (i.equipmentCostPerAcre * i.acreage);
+      var equipmentBaseCost = i.baseEquipmentCost + (i.equipmentCostPerAcre * inhouseAcres);
       equipmentAnnualCost = equipmentBaseCost * (i.maintenanceRate / 100 + i.insuranceRate / 100);
       if (i.isLeased) {
         equipmentAnnualCost *= (1 + i.leasingPremium / 100);
       }
     }
 
-    laborCost           = round(laborCost);
+    crewLaborCost       = round(crewLaborCost);
+    contractCost        = round(contractCost);
     fuelCost            = round(fuelCost);
     equipmentAnnualCost = round(equipmentAnnualCost);
 
+    var laborCost        = round(crewLaborCost + contractCost);
     var totalCurrentCost = round(laborCost + fuelCost + equipmentAnnualCost);
 
     // ------ Savings from Automation ------
 
-    var laborSavings, fuelSavings, equipmentSavings;
-
-    if (i.maintenanceType === 'outsourced') {
-      laborSavings     = round(laborCost * (i.automationLevel / 100) * 0.85);
-      fuelSavings      = 0;
-      equipmentSavings = 0;
-    } else {
-      laborSavings     = round(laborCost * (i.automationLevel / 100) * (i.laborReduction / 100));
-      fuelSavings      = round(fuelCost * (i.automationLevel / 100));
-      equipmentSavings = round(equipmentAnnualCost * (i.automationLevel / 100) * 0.5);
-    }
+    // Contract savings assume 85% of the automated share of the contract
+    // can be renegotiated away; crew savings use the labor reduction rate.
+    var crewLaborSavings = round(crewLaborCost * (i.automationLevel / 100) * (i.laborReduction / 100));
+    var contractSavings  = round(contractCost * (i.automationLevel / 100) * 0.85);
+    var laborSavings     = round(crewLaborSavings + contractSavings);
+    var fuelSavings      = round(fuelCost * (i.automationLevel / 100));
+    var equipmentSavings = round(equipmentAnnualCost * (i.automationLevel / 100) * 0.5);
 
     var grossSavings = round(laborSavings + fuelSavings + equipmentSavings);
 
@@ -166,9 +601,11 @@ const Calculator = (function () {
       i.acreage * (i.automationLevel / 100) * i.roboticMaintenance * 12
     );
 
-    var electricityCost = round(
-      i.acreage * (i.automationLevel / 100) * i.electricityPerAcre * 0.12 * i.mowsPerWeek * i.seasonWeeks
-    );
+    var kwhPrice = electricityPrice(i);
+    function zoneElectricity(z) {
+      return z.acres * automated * i.electricityPerAcre * kwhPrice * z.mowsPerWeek * i.seasonWeeks;
+    }
+    var electricityCost = round(sumZones(zones, zoneElectricity));
 
     var totalNewCosts = round(roboticMaintenanceCost + electricityCost);
 
@@ -178,34 +615,44 @@ const Calculator = (function () {
 
     // ------ Labor Analysis ------
 
-    var currentMowingHours = Math.round(
-      i.acreage * (i.mowingTimePerAcre / 60) * i.mowsPerWeek * i.seasonWeeks
-    );
+    function zoneMowingHours(z) {
+      return z.acres * (zoneRate(i, z, 'mowingTimePerAcre') / 60) * z.mowsPerWeek * i.seasonWeeks;
+    }
+    var currentMowingHours = Math.round(sumZones(zones, zoneMowingHours));
 
     var laborHoursSaved = Math.round(
       currentMowingHours * (i.automationLevel / 100) * (i.laborReduction / 100)
     );
 
-    var currentFTE = i.maintenanceType === 'outsourced' ? 0 : i.employees;
-    var reducedFTE = i.maintenanceType === 'outsourced'
-      ? 0
-      : Math.max(0, round(currentFTE * (1 - (i.automationLevel / 100) * (i.laborReduction / 100)), 1));
+    // Split of those hours between the crew and the contractor, by acreage
+    var inhouseHours = i.acreage > 0 ? Math.round(currentMowingHours * inhouseAcres / i.acreage) : 0;
+
+    var currentFTE = hasCrew ? i.employees : 0;
+    var reducedFTE = hasCrew
+      ? Math.max(0, round(currentFTE * (1 - (i.automationLevel / 100) * (i.laborReduction / 100)), 1))
+      : 0;
 
     // ------ Environmental Impact ------
 
-    var co2Reduced = round(
-      i.acreage * (i.automationLevel / 100) * i.fuelPerAcre * i.co2PerGallon * i.mowsPerWeek * i.seasonWeeks
-    );
+    function zoneGallonsSaved(z) {
+      return z.acres * automated * zoneRate(i, z, 'fuelPerAcre') * z.mowsPerWeek * i.seasonWeeks;
+    }
+    // Charging is not emission-free: grid power drawn (after any solar
+    // offset) is charged at the grid's CO2 intensity
+    var chargingCo2 = round(sumZones(zones, function (z) {
+      return z.acres * automated * i.electricityPerAcre * z.mowsPerWeek * i.seasonWeeks;
+    }) * i.gridCo2PerKwh * (1 - i.solarOffset / 100));
+    var co2Reduced = round(sumZones(zones, function (z) {
+      return z.acres * automated * zoneRate(i, z, 'fuelPerAcre') * i.co2PerGallon * z.mowsPerWeek * i.seasonWeeks;
+    }) - chargingCo2);
 
-    var fuelGallonsSaved = round(
-      i.acreage * (i.automationLevel / 100) * i.fuelPerAcre * i.mowsPerWeek * i.seasonWeeks
-    );
+    var fuelGallonsSaved = round(sumZones(zones, zoneGallonsSaved));
 
     var treeEquivalents = round(co2Reduced / 48);
 
     // ------ Assemble Result ------
 
-    return {
+    var result = {
       currentCosts: {
         labor:     laborCost,
         fuel:      fuelCost,
@@ -228,20 +675,56 @@ const Calculator = (function () {
 
       netAnnualSavings: netAnnualSavings,
 
+      electricityRate: round(kwhPrice, 4),
+
+      branches: {
+        inhouse: {
+          acres:     round(inhouseAcres),
+          labor:     crewLaborCost,
+          fuel:      fuelCost,
+          equipment: equipmentAnnualCost,
+          total:     round(crewLaborCost + fuelCost + equipmentAnnualCost),
+          savings:   round(crewLaborSavings + fuelSavings + equipmentSavings)
+        },
+        outsourced: {
+          acres:     round(outsourcedAcres),
+          contract:  contractCost,
+          savings:   contractSavings
+        }
+      },
+
+      zones: zones.map(function (z) {
+        return {
+          name:             z.name,
+          acres:            round(z.acres),
+          terrain:          z.terrain,
+          propertyType:     z.propertyType,
+          mowsPerWeek:      z.mowsPerWeek,
+          mowingHours:      Math.round(zoneMowingHours(z)),
+          electricity:      round(zoneElectricity(z)),
+          fuelGallonsSaved: round(zoneGallonsSaved(z))
+        };
+      }),
+
       labor: {
-        currentHours: currentMowingHours,
-        hoursSaved:   laborHoursSaved,
-        currentFTE:   currentFTE,
-        reducedFTE:   reducedFTE
+        currentHours:    currentMowingHours,
+        hoursSaved:      laborHoursSaved,
+        currentFTE:      currentFTE,
+        reducedFTE:      reducedFTE,
+        inhouseHours:    inhouseHours,
+        outsourcedHours: currentMowingHours - inhouseHours
       },
 
       environmental: {
         co2Reduced:      co2Reduced,
+        chargingCo2:     chargingCo2,
         fuelGallonsSaved: fuelGallonsSaved,
         treeEquivalents: treeEquivalents,
         noiseReduction:  30
       },
 
+      legacyFleet: buildLegacyFleet(i),
+
       inputs: i,
 
       // Internal values needed by projection & withInvestment
@@ -252,65 +735,206 @@ const Calculator = (function () {
         roboticMaintenanceCost: roboticMaintenanceCost,
         electricityCost:        electricityCost,
         totalNewCosts:          totalNewCosts
-      },
+      }
+    };
 
-      /**
-       * Complete the ROI metrics once the equipment investment is known.
-       *
-       * @param {number} totalInvestment   - Up-front equipment cost ($).
-       * @param {number} annualServiceCost - Optional recurring service cost ($/year).
-       * @returns {Object} { roi, paybackYears, paybackMonths, totalInvestment, annualServiceCost }
-       */
-      withInvestment: function (totalInvestment, annualServiceCost) {
-        totalInvestment   = Math.max(Number(totalInvestment)   || 0, 0);
-        annualServiceCost = Math.max(Number(annualServiceCost) || 0, 0);
-
-        var effectiveSavings = netAnnualSavings - annualServiceCost;
-
-        var roi, paybackYears, paybackMonths;
-
-        if (totalInvestment === 0) {
-          roi           = effectiveSavings > 0 ? Infinity : 0;
-          paybackYears  = 0;
-          paybackMonths = 0;
-        } else if (effectiveSavings <= 0) {
-          roi           = round((effectiveSavings / totalInvestment) * 100);
-          paybackYears  = Infinity;
-          paybackMonths = Infinity;
-        } else {
-          roi           = round((effectiveSavings / totalInvestment) * 100);
-          paybackYears  = round(totalInvestment / effectiveSavings, 2);
-          paybackMonths = round(paybackYears * 12, 1);
-        }
+    /**
+     * Complete the ROI metrics once the equipment investment is known.
+     *
+     * Discounted metrics (NPV, IRR, discounted payback) are computed from the
+     * year-by-year projection at the resolved `discountRate`, with the
+     * up-front outlay as the year-0 outflow. `irr` is a percentage, Infinity
+     * when it is unbounded (little or nothing paid up front) and null when
+     * it is undefined.
+     *
+     * For a cash purchase, ROI and payback use the flat annual savings; the
+     * simple payback is not limited to the horizon. When the fleet is
+     * financed, or nothing is left to recover after the resale credit,
+     * payback is read from the projection (where loan or lease payments are
+     * part of the automated cost) and is Infinity if not reached within the
+     * horizon. Financed ROI is reduced by the financing cost (interest or
+     * lease premium) spread over the term.
+     *
+     * When `includeTax` is set, after-tax payback is read from the
+     * projection's after-tax savings (see calculateProjection), and
+     * `afterTaxAnnualSavings` is their average over the horizon, so one-off
+     * year-1 items (first-year depreciation, the resale credit) are not
+     * presented as recurring; otherwise both are null.
+     *
+     * Retiring the current fleet (see `legacyFleet`) lowers the investment
+     * ROI and payback are measured against by the resale credit, and adds
+     * the avoided replacement spend, averaged over the horizon, to the
+     * annual savings. The projection books both in the years they happen.
+     *
+     * @param {number} totalInvestment   - Equipment cost ($) before financing.
+     * @param {number} annualServiceCost - Optional recurring service cost ($/year).
+     * @param {Object} [lifecycle]       - Lifecycle schedule for the projection
+     *                                     (see calculateProjection); NPV, IRR and
+     *                                     projection-based paybacks include it.
+     *
+     * @returns {Object} { roi, paybackYears, paybackMonths, npv, irr,
+     *   discountedPaybackYears, discountRate, afterTaxPaybackYears,
+     *   afterTaxAnnualSavings, financing, totalInvestment, annualServiceCost,
+     *   resaleCredit, avoidedCapexPerYear, netInvestment }
+     */
+    result.withInvestment = function (totalInvestment, annualServiceCost, lifecycle) {
+      totalInvestment   = Math.max(Number(totalInvestment)   || 0, 0);
+      annualServiceCost = Math.max(Number(annualServiceCost) || 0, 0);
+
+      var legacy              = result.legacyFleet;
+      var avoidedCapexPerYear = round(legacy.avoidedCapex / i.analysisYears);
+      var netInvestment       = Math.max(totalInvestment - legacy.resaleCredit, 0);
+      var effectiveSavings    = netAnnualSavings - annualServiceCost + avoidedCapexPerYear;
+
+      var financing  = buildFinancing(i, totalInvestment);
+      var projection = calculateProjection(result, totalInvestment, annualServiceCost, lifecycle);
+      var financed   = financing.mode !== 'cash' && totalInvestment > 0;
+
+      var roi, paybackYears;
+
+      if (financed) {
+        var financedYears = financing.termMonths / 12;
+        roi = netInvestment > 0
+          ? round(((effectiveSavings - financing.financingCost / financedYears) / netInvestment) * 100)
+          : Infinity;
+      } else if (netInvestment === 0) {
+        roi = effectiveSavings > 0 ? Infinity : 0;
+      } else {
+        roi = round((effectiveSavings / netInvestment) * 100);
+      }
 
-        return {
-          roi:                roi,
-          paybackYears:       paybackYears,
-          paybackMonths:      paybackMonths,
-          totalInvestment:    totalInvestment,
-          annualServiceCost:  annualServiceCost
-        };
+      if (!financed && netInvestment > 0) {
+        paybackYears = effectiveSavings > 0 ? round(netInvestment / effectiveSavings, 2) : Infinity;
+      } else {
+        paybackYears = projectionPayback(financing.upfront, projection);
+        paybackYears = paybackYears === Infinity ? Infinity : round(paybackYears, 2);
       }
+      var paybackMonths = paybackYears === Infinity ? Infinity : round(paybackYears * 12, 1);
+
+      // ------ Discounted cash flow ------
+
+      var cashFlows  = [-financing.upfront].concat(projection.map(function (p) { return p.annualSavings; }));
+      var rate       = i.discountRate / 100;
+      var irrRate    = irr(cashFlows);
+      var dPayback   = discountedPayback(rate, cashFlows);
+
+      var afterTaxPayback = null;
+      var afterTaxAverage = null;
+      if (i.includeTax) {
+        afterTaxPayback = projectionPayback(financing.upfront, projection, 'afterTaxSavings');
+        afterTaxPayback = afterTaxPayback === Infinity ? Infinity : round(afterTaxPayback, 2);
+
+        var afterTaxTotal = 0;
+        projection.forEach(function (p) { afterTaxTotal += p.afterTaxSavings; });
+        afterTaxAverage = projection.length ? round(afterTaxTotal / projection.length) : null;
+      }
+
+      return {
+        roi:                    roi,
+        paybackYears:           paybackYears,
+        paybackMonths:          paybackMonths,
+        npv:                    round(npv(rate, cashFlows)),
+        irr:                    irrRate === null || irrRate === Infinity ? irrRate : round(irrRate * 100, 1),
+        discountedPaybackYears: dPayback === Infinity ? Infinity : round(dPayback, 2),
+        discountRate:           i.discountRate,
+        afterTaxPaybackYears:   afterTaxPayback,
+        afterTaxAnnualSavings:  afterTaxAverage,
+        financing:              financing,
+        totalInvestment:        totalInvestment,
+        annualServiceCost:      annualServiceCost,
+        resaleCredit:           legacy.resaleCredit,
+        avoidedCapexPerYear:    avoidedCapexPerYear,
+        netInvestment:          round(netInvestment)
+      };
     };
+
+    return result;
   }
 
   // ---------------------------------------------------------------------------
-  // 5-Year Projection
+  // Multi-Year Projection
   // ---------------------------------------------------------------------------
 
   /**
-   * Build a 5-year cost and savings projection.
+   * Lifecycle costs falling due in one projection year, and the fleet's
+   * residual value when it is the last year of the horizon.
+   *
+   * `capital` is the part of `cost` spent on new mowers, which is
+   * depreciated rather than expensed.
+   *
+   * @returns {Object} { cost, capital, items: [{ name, cost }], residualValue }
+   */
+  function lifecycleDue(lifecycle, year, horizonYears) {
+    var due = { cost: 0, capital: 0, items: [], residualValue: 0 };
+    if (!lifecycle) return due;
+
+    var life = Number(lifecycle.usefulLifeYears) || 0;
+    var replacementCost = Number(lifecycle.replacementCost) || 0;
+
+    if (life > 0 && year % life === 0) {
+      due.items.push({ name: lifecycle.replacementName || 'Mower Replacement', cost: round(replacementCost) });
+      due.capital = round(replacementCost);
+    } else {
+      (lifecycle.items || []).forEach(function (item) {
+        if (item.intervalYears > 0 && year % item.intervalYears === 0 && item.cost > 0) {
+          due.items.push({ name: item.name, cost: round(item.cost) });
+        }
+      });
+    }
+    due.items.forEach(function (item) { due.cost += item.cost; });
+
+    // Straight-line value of the fleet's remaining life (a fleet replaced
+    // this year is worth what it cost)
+    if (year === horizonYears && life > 0) {
+      due.residualValue = replacementCost * (1 - (year % life) / life);
+    }
+    return due;
+  }
+
+  /**
+   * Build a year-by-year cost and savings projection over the resolved
+   * analysis horizon (`inputs.analysisYears`, 1-15 years).
+   *
+   * The cumulative automated total starts from the up-front outlay of the
+   * chosen purchase mode; loan and lease payments are added to each year's
+   * automated cost.
+   *
+   * With `includeTax`, each year's savings are taxed at `taxRate`, less the
+   * deductions the robotic fleet brings: depreciation of the investment on
+   * the chosen schedule plus loan interest when owned, or the lease payments
+   * when leased. Mower replacements and a lease buyout are fleet purchases
+   * too: each is depreciated on the same schedule from the year it is
+   * bought. The fleet's residual value, the current fleet's resale and the
+   * replacements it no longer needs move capital rather than earn income,
+   * so they are left out of the taxed savings. A negative `taxEffect` is a
+   * tax benefit.
+   *
+   * With `lifecycle` (Equipment.recommend().lifecycle), each item's cost is
+   * added to the automated cost every `intervalYears`, the mowers are bought
+   * again every `usefulLifeYears` (other items are skipped that year -- a new
+   * mower comes with them), and the fleet's remaining straight-line value is
+   * credited in the final year.
+   *
+   * Mowers retired from the current fleet (`baseResults.legacyFleet`) are
+   * sold in year 1 -- a credit against the automated cost -- and the
+   * replacements they would have needed are added to the traditional cost
+   * in the years they fall due.
    *
    * @param {Object} baseResults       - The object returned by calculateROI().
-   * @param {number} totalInvestment   - Up-front equipment investment ($).
+   * @param {number} totalInvestment   - Equipment investment ($) before financing.
    * @param {number} [annualServiceCost=0] - Recurring annual service cost ($/year).
+   * @param {Object} [lifecycle]       - { items: [{ name, intervalYears, cost }],
+   *                                       replacementName, replacementCost, usefulLifeYears }
    *
-   * @returns {Array<Object>} Five objects (year 1-5), each containing:
+   * @returns {Array<Object>} One object per year (1..analysisYears), each containing:
    *   { year, laborMultiplier, fuelMultiplier,
-   *     traditionalCost, automatedCost,
-   *     annualSavings, cumulativeTraditional, cumulativeAutomated, cumulativeSavings }
+   *     traditionalCost, automatedCost, lifecycleCost, lifecycleItems, residualValue,
+   *     avoidedCapex, legacyCredit,
+   *     financingPayment, annualSavings, cumulativeTraditional, cumulativeAutomated,
+   *     cumulativeSavings, discountedSavings, cumulativeDiscountedSavings,
+   *     depreciation, taxEffect, afterTaxSavings, cumulativeAfterTaxSavings }
    */
-  function calculateProjection(baseResults, totalInvestment, annualServiceCost) {
+  function calculateProjection(baseResults, totalInvestment, annualServiceCost, lifecycle) {
     totalInvestment   = Math.max(Number(totalInvestment)   || 0, 0);
     annualServiceCost = Math.max(Number(annualServiceCost) || 0, 0);
 
@@ -321,12 +945,33 @@ const Calculator = (function () {
     var fuelCost            = raw.fuelCost;
     var equipmentAnnualCost = raw.equipmentAnnualCost;
     var totalNewCosts       = raw.totalNewCosts;
+    var legacy              = baseResults.legacyFleet || { resaleCredit: 0, replacements: [] };
+
+    var financing         = buildFinancing(i, totalInvestment);
+    var upfront           = financing.upfront;
 
     var projection        = [];
     var cumTraditional    = 0;
     var cumAutomated      = 0;
+    var cumDiscounted     = -upfront;
+    var cumAfterTax       = -upfront;
+
+    var schedule   = DEPRECIATION_SCHEDULES[i.depreciationMethod];
+
+    // Fleet purchases being depreciated: the investment when owned, then
+    // mower replacements and a lease buyout as they happen
+    var purchases  = financing.mode === 'lease' ? [] : [{ year: 1, cost: totalInvestment }];
+
+    for (var year = 1; year <= i.analysisYears; year++) {
+      var due = lifecycleDue(lifecycle, year, i.analysisYears);
+
+      // Current fleet: replacements the status quo would buy, resale in year 1
+      var avoidedCapex = 0;
+      for (var r = 0; r < legacy.replacements.length; r++) {
+        if (legacy.replacements[r].year === year) avoidedCapex += legacy.replacements[r].cost;
+      }
+      var legacyCredit = year === 1 ? legacy.resaleCredit : 0;
 
-    for (var year = 1; year <= 5; year++) {
       var laborMultiplier = Math.pow(1 + i.annualLaborIncrease / 100, year);
       var fuelMultiplier  = Math.pow(1 + i.annualFuelIncrease  / 100, year);
 
@@ -335,6 +980,7 @@ const Calculator = (function () {
         (laborCost * laborMultiplier)
         + (fuelCost * fuelMultiplier)
         + equipmentAnnualCost
+        + avoidedCapex
       );
 
       // Automated cost for this year
@@ -344,18 +990,44 @@ const Calculator = (function () {
         + (equipmentAnnualCost * (1 - (i.automationLevel / 100) * 0.5))
         + totalNewCosts
         + annualServiceCost
+        + due.cost
+        - due.residualValue
+        - legacyCredit
+        + financing.payments[year - 1]
       );
 
       var annualSavings = round(traditionalCost - automatedCost);
 
+      var discountedSavings = annualSavings / Math.pow(1 + i.discountRate / 100, year);
+
+      // ------ Tax effect ------
+      var depreciation = 0;
+      var taxEffect    = 0;
+      if (i.includeTax) {
+        var payment = financing.payments[year - 1];
+        if (due.capital > 0) purchases.push({ year: year, cost: due.capital });
+        if (financing.buyouts[year - 1] > 0) purchases.push({ year: year, cost: financing.buyouts[year - 1] });
+
+        for (var p = 0; p < purchases.length; p++) {
+          depreciation += purchases[p].cost * (schedule[year - purchases[p].year] || 0) / 100;
+        }
+
+        // Purchases are added back and recovered through depreciation. The
+        // residual value, the resale credit and the avoided replacements
+        // are capital, not operating income, so they are not taxed.
+        var operatingSavings = annualSavings + payment + due.capital
+          - due.residualValue - legacyCredit - avoidedCapex;
+        var deductions = depreciation + (financing.mode === 'lease'
+          ? payment - financing.buyouts[year - 1]
+          : financing.interest[year - 1]);
+        taxEffect = (operatingSavings - deductions) * (i.taxRate / 100);
+      }
+      var afterTaxSavings = annualSavings - taxEffect;
+      cumAfterTax += afterTaxSavings;
+
       cumTraditional += traditionalCost;
       cumAutomated   += automatedCost;
-
-      // Investment is added only in year 1
-      var cumAutomatedWithInvestment = cumAutomated + (year >= 1 ? totalInvestment : 0);
-      // Since we add totalInvestment once in year 1 and it persists in cumulative:
-      // We handle it by adding it only once outside the loop -- but since we are
-      // inside the loop, add it to the running total after year 1 calculation.
+      cumDiscounted  += discountedSavings;
 
       projection.push({
         year:                 year,
@@ -363,24 +1035,233 @@ const Calculator = (function () {
         fuelMultiplier:       round(fuelMultiplier, 4),
         traditionalCost:      traditionalCost,
         automatedCost:        automatedCost,
+        lifecycleCost:        round(due.cost),
+        lifecycleItems:       due.items,
+        residualValue:        round(due.residualValue),
+        avoidedCapex:         round(avoidedCapex),
+        legacyCredit:         round(legacyCredit),
+        financingPayment:     financing.payments[year - 1],
         annualSavings:        annualSavings,
         cumulativeTraditional: round(cumTraditional),
-        cumulativeAutomated:  round(cumAutomated + totalInvestment),
-        cumulativeSavings:    round(cumTraditional - (cumAutomated + totalInvestment))
+        cumulativeAutomated:  round(cumAutomated + upfront),
+        cumulativeSavings:    round(cumTraditional - (cumAutomated + upfront)),
+        discountedSavings:    round(discountedSavings),
+        cumulativeDiscountedSavings: round(cumDiscounted),
+        depreciation:         round(depreciation),
+        taxEffect:            round(taxEffect),
+        afterTaxSavings:      round(afterTaxSavings),
+        cumulativeAfterTaxSavings: round(cumAfterTax)
       });
     }
 
     return projection;
   }
 
+  // ---------------------------------------------------------------------------
+  // Goal-Seek Solver
+  // ---------------------------------------------------------------------------
+  //
+  // Inverse questions ("what would it take?"). The fleet depends on the
+  // automation level, so the solvers take a `recommend` callback,
+  // (resolvedInputs) => Equipment.recommend() result, and re-size the fleet
+  // wherever the varied input changes it.
+
+  /** Shallow copy of an inputs object with one key overridden. */
+  function withInput(inputs, key, value) {
+    var copy = {};
+    for (var k in inputs) {
+      if (Object.prototype.hasOwnProperty.call(inputs, k)) copy[k] = inputs[k];
+    }
+    copy[key] = value;
+    return copy;
+  }
+
+  /**
+   * Bisection search on a monotonic yes/no test. Returns the boundary within
+   * `tolerance`: the smallest x that passes when the test flips false -> true
+   * as x grows, or the largest x that passes when it flips true -> false.
+   */
+  function bisect(test, lo, hi, tolerance, increasing) {
+    for (var n = 0; n < 100 && hi - lo > tolerance; n++) {
+      var mid = (lo + hi) / 2;
+      if (test(mid) === increasing) {
+        hi = mid;
+      } else {
+        lo = mid;
+      }
+    }
+    return increasing ? hi : lo;
+  }
+
+  /**
+   * Lowest automation level (25-100%, whole percent) whose recommended fleet
+   * pays back within `targetYears`. Payback is not monotonic in automation
+   * level (fleets grow in whole units), so every level is checked.
+   *
+   * @param {Object} rawInputs
+   * @param {number} targetYears - Maximum acceptable payback (years).
+   * @param {Function} recommend - (resolvedInputs) => Equipment.recommend() result.
+   * @returns {Object|null} { automationLevel, paybackYears, equipment }, or
+   *   null when no automation level reaches the target.
+   */
+  function solveMinAutomation(rawInputs, targetYears, recommend) {
+    var base = calculateROI(rawInputs).inputs;
+    for (var level = 25; level <= 100; level++) {
+      var results = calculateROI(withInput(base, 'automationLevel', level));
+      var eq = recommend(results.inputs);
+      var metrics = results.withInvestment(eq.costs.totalInvestment, eq.costs.annualService, eq.lifecycle);
+      if (metrics.paybackYears <= targetYears) {
+        return { automationLevel: level, paybackYears: metrics.paybackYears, equipment: eq };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Hourly labor rate at which the robotic fleet just breaks even: cumulative
+   * savings at the end of the analysis horizon are zero, so the investment
+   * is recovered exactly by the last projected year. The fleet does not
+   * depend on the labor rate, so it is sized once.
+   *
+   * @param {Object} rawInputs
+   * @param {Function} recommend - (resolvedInputs) => Equipment.recommend() result.
+   * @returns {Object|null} { hourlyRate, horizonYears }, or null when mowing is
+   *   outsourced (no labor rate) or no rate up to $1,000/hr breaks even.
+   */
+  function solveBreakEvenRate(rawInputs, recommend) {
+    var base = calculateROI(rawInputs).inputs;
+    if (base.maintenanceType === 'outsourced') return null;
+
+    var eq = recommend(base);
+    function breaksEven(rate) {
+      var results = calculateROI(withInput(base, 'hourlyRate', rate));
+      var projection = calculateProjection(results, eq.costs.totalInvestment, eq.costs.annualService, eq.lifecycle);
+      return projection[projection.length - 1].cumulativeSavings >= 0;
+    }
+
+    if (breaksEven(0)) return { hourlyRate: 0, horizonYears: base.analysisYears };
+    if (!breaksEven(1000)) return null;
+    return {
+      hourlyRate:   round(bisect(breaksEven, 0, 1000, 0.005, true), 2),
+      horizonYears: base.analysisYears
+    };
+  }
+
+  /**
+   * Largest up-front investment that still earns `targetRoi` percent, given
+   * the annual service cost of the recommended fleet and the chosen
+   * purchase option.
+   *
+   * @param {Object} rawInputs
+   * @param {number} targetRoi - Target annual ROI (%).
+   * @param {Function} recommend - (resolvedInputs) => Equipment.recommend() result.
+   * @returns {Object|null} { totalInvestment, annualServiceCost, targetRoi }, or
+   *   null when savings do not cover the service cost.
+   */
+  function solveMaxInvestment(rawInputs, targetRoi, recommend) {
+    var results = calculateROI(rawInputs);
+    var eq = recommend(results.inputs);
+    var service = eq.costs.annualService;
+    var effectiveSavings = results.netAnnualSavings - service;
+    if (effectiveSavings <= 0 || !(targetRoi > 0)) return null;
+
+    // The cash-purchase answer is an upper bound; financing costs only lower it
+    var upper = effectiveSavings * 100 / targetRoi;
+    var investment = bisect(function (amount) {
+      return results.withInvestment(amount, service, eq.lifecycle).roi >= targetRoi;
+    }, 0, upper + 1, 0.5, false);
+
+    return {
+      totalInvestment:   Math.floor(investment),
+      annualServiceCost: service,
+      targetRoi:         targetRoi
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Automation Level Optimizer
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Sweep the automation level and evaluate the recommended fleet at each
+   * step. Unit counts jump in whole mowers, so some levels use their fleet
+   * far better than their neighbours.
+   *
+   * A level is on the efficient frontier when no other level earns a higher
+   * NPV for the same or a smaller investment.
+   *
+   * @param {Object} rawInputs
+   * @param {Function} recommend - (resolvedInputs) => Equipment.recommend() result.
+   * @param {Object} [options]
+   * @param {number} [options.step=5] - Sweep increment (matches the Step 3 slider).
+   *
+   * @returns {Object} {
+   *   points: [{ automationLevel, model, unitsNeeded, fleet, totalInvestment,
+   *              netAnnualSavings, roi, npv, paybackYears, efficient }],
+   *   best: { npv, roi, payback }  // automation level that maximises each
+   * }
+   */
+  function optimizeAutomation(rawInputs, recommend, options) {
+    options = options || {};
+    var step = Math.max(1, Number(options.step) || 5);
+    var base = calculateROI(rawInputs).inputs;
+
+    var points = [];
+    for (var level = 25; level <= 100; level += step) {
+      var results = calculateROI(withInput(base, 'automationLevel', level));
+      var eq = recommend(results.inputs);
+      var metrics = results.withInvestment(eq.costs.totalInvestment, eq.costs.annualService, eq.lifecycle);
+      points.push({
+        automationLevel:  level,
+        model:            eq.model.shortName,
+        unitsNeeded:      eq.unitsNeeded,
+        fleet:            eq.fleetLabel,
+        totalInvestment:  eq.costs.totalInvestment,
+        netAnnualSavings: results.netAnnualSavings,
+        roi:              metrics.roi,
+        npv:              metrics.npv,
+        paybackYears:     metrics.paybackYears,
+        efficient:        false
+      });
+    }
+
+    points.forEach(function (p) {
+      p.efficient = !points.some(function (q) {
+        return q !== p && q.totalInvestment <= p.totalInvestment && q.npv > p.npv;
+      });
+    });
+
+    // Ties go to the lower automation level (smaller fleet)
+    function pick(better) {
+      return points.reduce(function (best, p) { return better(p, best) ? p : best; }).automationLevel;
+    }
+
+    return {
+      points: points,
+      best: {
+        npv:     pick(function (p, b) { return p.npv > b.npv; }),
+        roi:     pick(function (p, b) { return p.roi > b.roi; }),
+        payback: pick(function (p, b) { return p.paybackYears < b.paybackYears; })
+      }
+    };
+  }
+
   // ---------------------------------------------------------------------------
   // Public API
   // ---------------------------------------------------------------------------
 
   return {
     PROPERTY_DEFAULTS:    PROPERTY_DEFAULTS,
+    DEPRECIATION_SCHEDULES: DEPRECIATION_SCHEDULES,
+    LEGACY_MOWER_TYPES:   LEGACY_MOWER_TYPES,
     calculateROI:         calculateROI,
-    calculateProjection:  calculateProjection
+    calculateProjection:  calculateProjection,
+    projectionPayback:    projectionPayback,
+    withInput:            withInput,
+    solveMinAutomation:   solveMinAutomation,
+    solveBreakEvenRate:   solveBreakEvenRate,
+    solveMaxInvestment:   solveMaxInvestment,
+    optimizeAutomation:   optimizeAutomation
   };
 
 })();
@@ -1,7 +1,9 @@
 /**
  * charts.js
- * Renders 3 charts (Donut, Stacked Bar, Projection Line) using Chart.js v4
- * and chartjs-plugin-annotation. Exposed via window.Charts namespace.
+ * Renders the results charts (Donut, Stacked Bar, Projection Line, Tornado,
+ * Histogram, Efficient Frontier)
+ * using Chart.js v4 and chartjs-plugin-annotation. Exposed via window.Charts
+ * namespace.
  */
 
 (function () {
@@ -15,11 +17,20 @@
   // ---------------------------------------------------------------------------
   // Helpers
   // ---------------------------------------------------------------------------
+  /** Message in the selected language (see I18n.t) */
+  function t(key, params) {
+    return I18n.t(key, params);
+  }
+
+  /** Whole currency units in the Units currency and locale */
   function formatCurrency(value) {
-    return '$' + value.toLocaleString('en-US', {
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    });
+    return Units.money(value);
+  }
+
+  /** An input value (US units) as shown in the selected unit system */
+  function formatInput(key, value) {
+    var kind = Units.INPUT_KINDS[key];
+    return Units.number(kind ? Units.fromImperial(value, kind) : value, 2);
   }
 
   /** Safely check that Chart.js is available */
@@ -78,6 +89,9 @@
     white:         '#FFFFFF'
   };
 
+  // Line colours for overlaid scenarios, in save order
+  var SCENARIO_COLORS = [COLOR.orange, '#2563EB', '#059669'];
+
   // ---------------------------------------------------------------------------
   // Chart 1 : Cost Breakdown Donut
   // ---------------------------------------------------------------------------
@@ -96,7 +110,7 @@
     var chart = new Chart(ctx, {
       type: 'doughnut',
       data: {
-        labels: ['Labor', 'Fuel', 'Equipment'],
+        labels: [t('Labor'), t('Fuel'), t('Equipment')],
         datasets: [{
           data: [data.labor || 0, data.fuel || 0, data.equipment || 0],
           backgroundColor: [COLOR.orange, COLOR.orangeLight, COLOR.black],
@@ -158,7 +172,7 @@
           // "Total" label
           ctxDraw.font = '400 ' + labelFontSize + 'px ' + FONT_FAMILY;
           ctxDraw.fillStyle = COLOR.gray;
-          ctxDraw.fillText('Total', centerX, centerY - fontSize * 0.55);
+          ctxDraw.fillText(t('Total'), centerX, centerY - fontSize * 0.55);
 
           // Dollar amount
           ctxDraw.font = '700 ' + fontSize + 'px ' + FONT_FAMILY;
@@ -197,7 +211,7 @@
 
     var datasets = categories.map(function (cat) {
       return {
-        label: cat.label,
+        label: t(cat.label),
         data: [
           currentCosts[cat.key]   || 0,
           automatedCosts[cat.key] || 0
@@ -212,7 +226,7 @@
     var chart = new Chart(ctx, {
       type: 'bar',
       data: {
-        labels: ['Current', 'Automated'],
+        labels: [t('Current'), t('Automated')],
         datasets: datasets
       },
       options: {
@@ -276,9 +290,16 @@
   }
 
   // ---------------------------------------------------------------------------
-  // Chart 3 : 5-Year Cumulative Projection Line
+  // Chart 3 : Multi-Year Cumulative Projection Line
   // ---------------------------------------------------------------------------
-  function renderProjection(canvasId, projection, paybackYear) {
+  /**
+   * @param {string} canvasId
+   * @param {Array}  projection  - Output from Calculator.calculateProjection()
+   * @param {number} [paybackYear] - Draws a payback marker when finite
+   * @param {Array}  [scenarios] - [{ name, projection }] -- when given, one
+   *   automated line per scenario is overlaid instead of the single automated line
+   */
+  function renderProjection(canvasId, projection, paybackYear, scenarios) {
     if (!chartReady()) return null;
     ensureAnnotationPlugin();
     destroyByCanvas(canvasId);
@@ -289,10 +310,19 @@
       return null;
     }
 
-    var labels = projection.map(function (p) { return 'Year ' + p.year; });
+    // Scenarios may use different horizons; label the longest one
+    var longest = projection;
+    (scenarios || []).forEach(function (s) {
+      if (s.projection.length > longest.length) longest = s.projection;
+    });
+
+    var labels = longest.map(function (p) { return t('Year {n}', { n: p.year }); });
     var traditionalData = projection.map(function (p) { return p.cumulativeTraditional; });
     var automatedData   = projection.map(function (p) { return p.cumulativeAutomated; });
 
+    // Shrink point markers on long horizons so the lines stay readable
+    var pointRadius = longest.length > 10 ? 3 : 5;
+
     // Build annotation config for the payback line
     var annotations = {};
     if (paybackYear != null && isFinite(paybackYear)) {
@@ -309,7 +339,7 @@
         borderDash: [6, 4],
         label: {
           display: true,
-          content: 'Payback: ' + paybackYear.toFixed(1) + ' yrs',
+          content: t('Payback: {years} yrs', { years: Units.fixed(paybackYear, 1) }),
           position: 'start',
           backgroundColor: COLOR.orange,
           color: COLOR.white,
@@ -324,40 +354,45 @@
       };
     }
 
+    function line(label, data, color, background, dash) {
+      return {
+        label: label,
+        data: data,
+        borderColor: color,
+        backgroundColor: background,
+        pointBackgroundColor: color,
+        pointBorderColor: COLOR.white,
+        pointBorderWidth: 2,
+        pointRadius: pointRadius,
+        pointHoverRadius: 7,
+        tension: 0.3,
+        borderWidth: 3,
+        borderDash: dash || [],
+        fill: false
+      };
+    }
+
+    var datasets = [line(t('Traditional Mowing'), traditionalData, COLOR.black, COLOR.black)];
+    if (scenarios && scenarios.length) {
+      scenarios.forEach(function (s, idx) {
+        var color = SCENARIO_COLORS[idx % SCENARIO_COLORS.length];
+        datasets.push(line(
+          t('Automated \u2013 {name}', { name: s.name }),
+          s.projection.map(function (p) { return p.cumulativeAutomated; }),
+          color,
+          color,
+          idx > 0 ? [8, 4 * idx] : null
+        ));
+      });
+    } else {
+      datasets.push(line(t('Automated Mowing'), automatedData, COLOR.orange, 'rgba(227, 118, 39, 0.08)'));
+    }
+
     var chart = new Chart(ctx, {
       type: 'line',
       data: {
         labels: labels,
-        datasets: [
-          {
-            label: 'Traditional Mowing',
-            data: traditionalData,
-            borderColor: COLOR.black,
-            backgroundColor: COLOR.black,
-            pointBackgroundColor: COLOR.black,
-            pointBorderColor: COLOR.white,
-            pointBorderWidth: 2,
-            pointRadius: 5,
-            pointHoverRadius: 7,
-            tension: 0.3,
-            borderWidth: 3,
-            fill: false
-          },
-          {
-            label: 'Automated Mowing',
-            data: automatedData,
-            borderColor: COLOR.orange,
-            backgroundColor: 'rgba(227, 118, 39, 0.08)',
-            pointBackgroundColor: COLOR.orange,
-            pointBorderColor: COLOR.white,
-            pointBorderWidth: 2,
-            pointRadius: 5,
-            pointHoverRadius: 7,
-            tension: 0.3,
-            borderWidth: 3,
-            fill: false
-          }
-        ]
+        datasets: datasets
       },
       options: {
         responsive: true,
@@ -424,6 +459,400 @@
     return chart;
   }
 
+  // ---------------------------------------------------------------------------
+  // Chart 4 : Sensitivity Tornado
+  // ---------------------------------------------------------------------------
+  /**
+   * @param {string} canvasId
+   * @param {Object} sensitivity - Output from Sensitivity.analyze()
+   */
+  function renderTornado(canvasId, sensitivity) {
+    if (!chartReady()) return null;
+    ensureAnnotationPlugin();
+    destroyByCanvas(canvasId);
+
+    var ctx = document.getElementById(canvasId);
+    if (!ctx) {
+      console.error('[charts.js] Canvas #' + canvasId + ' not found.');
+      return null;
+    }
+
+    var base = sensitivity.base.netAnnualSavings;
+    var rows = sensitivity.rows;
+    var pct  = sensitivity.variation;
+
+    // Floating bars: each runs from the base case to the varied result
+    var chart = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: rows.map(function (r) { return t(r.label); }),
+        datasets: [
+          {
+            label: '\u2212' + pct + '%',
+            data: rows.map(function (r) { return [base, r.low.netAnnualSavings]; }),
+            backgroundColor: COLOR.black,
+            borderRadius: 2,
+            grouped: false
+          },
+          {
+            label: '+' + pct + '%',
+            data: rows.map(function (r) { return [base, r.high.netAnnualSavings]; }),
+            backgroundColor: COLOR.orange,
+            borderRadius: 2,
+            grouped: false
+          }
+        ]
+      },
+      options: {
+        indexAxis: 'y',
+        responsive: true,
+        maintainAspectRatio: true,
+        aspectRatio: 1.6,
+        animation: {
+          duration: 800,
+          easing: 'easeOutQuart'
+        },
+        plugins: {
+          legend: {
+            position: 'top',
+            labels: {
+              font: { family: FONT_FAMILY, size: 12 },
+              padding: 14,
+              usePointStyle: true,
+              pointStyleWidth: 12
+            }
+          },
+          tooltip: {
+            titleFont: { family: FONT_FAMILY },
+            bodyFont: { family: FONT_FAMILY },
+            callbacks: {
+              label: function (context) {
+                var row = rows[context.dataIndex];
+                var side = context.datasetIndex === 0 ? row.low : row.high;
+                return context.dataset.label + ' (' + formatInput(row.key, side.value) +
+                  '): ' + formatCurrency(side.netAnnualSavings);
+              }
+            }
+          },
+          annotation: {
+            annotations: {
+              baseLine: {
+                type: 'line',
+                scaleID: 'x',
+                value: base,
+                borderColor: COLOR.gray,
+                borderWidth: 2,
+                borderDash: [6, 4]
+              }
+            }
+          }
+        },
+        scales: {
+          x: {
+            ticks: {
+              font: { family: FONT_FAMILY, size: 11 },
+              callback: function (value) {
+                return formatCurrency(value);
+              }
+            },
+            grid: {
+              color: 'rgba(0,0,0,0.06)'
+            }
+          },
+          y: {
+            ticks: {
+              font: { family: FONT_FAMILY, size: 12 }
+            },
+            grid: {
+              display: false
+            }
+          }
+        }
+      }
+    });
+
+    _instances.push(chart);
+    return chart;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Chart 5 : Simulation Histogram
+  // ---------------------------------------------------------------------------
+  /**
+   * @param {string} canvasId
+   * @param {Object} simulation - Output from Simulation.run()
+   */
+  function renderHistogram(canvasId, simulation) {
+    if (!chartReady()) return null;
+    ensureAnnotationPlugin();
+    destroyByCanvas(canvasId);
+
+    var ctx = document.getElementById(canvasId);
+    if (!ctx) {
+      console.error('[charts.js] Canvas #' + canvasId + ' not found.');
+      return null;
+    }
+
+    var bins = simulation.histogram;
+    var savings = simulation.netAnnualSavings;
+
+    // Bars sit on a category axis, so percentile markers are placed at the
+    // fractional bin index where each value falls.
+    function binPosition(value) {
+      if (bins.length < 2) return 0;
+      var width = bins[1].from - bins[0].from;
+      return (value - bins[0].from) / width - 0.5;
+    }
+
+    function marker(value, label, position) {
+      return {
+        type: 'line',
+        scaleID: 'x',
+        value: binPosition(value),
+        borderColor: COLOR.gray,
+        borderWidth: 2,
+        borderDash: [6, 4],
+        label: {
+          display: true,
+          content: label + ': ' + formatCurrency(value),
+          position: position,
+          backgroundColor: COLOR.black,
+          color: COLOR.white,
+          font: { family: FONT_FAMILY, size: 11, weight: '600' },
+          padding: { top: 3, bottom: 3, left: 6, right: 6 },
+          borderRadius: 4
+        }
+      };
+    }
+
+    var chart = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: bins.map(function (b) { return formatCurrency((b.from + b.to) / 2); }),
+        datasets: [{
+          label: t('Simulated outcomes'),
+          data: bins.map(function (b) { return b.count; }),
+          backgroundColor: COLOR.orange,
+          borderRadius: 2,
+          barPercentage: 1,
+          categoryPercentage: 0.95
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: true,
+        animation: {
+          duration: 800,
+          easing: 'easeOutQuart'
+        },
+        plugins: {
+          legend: {
+            display: false
+          },
+          tooltip: {
+            titleFont: { family: FONT_FAMILY },
+            bodyFont: { family: FONT_FAMILY },
+            callbacks: {
+              title: function (items) {
+                var b = bins[items[0].dataIndex];
+                return formatCurrency(b.from) + ' \u2013 ' + formatCurrency(b.to);
+              },
+              label: function (context) {
+                var pct = context.parsed.y / simulation.iterations * 100;
+                return t('{n} runs ({pct}%)', { n: Units.number(context.parsed.y), pct: Units.fixed(pct, 1) });
+              }
+            }
+          },
+          annotation: {
+            annotations: {
+              p10: marker(savings.p10, 'P10', 'start'),
+              p50: marker(savings.p50, 'P50', 'center'),
+              p90: marker(savings.p90, 'P90', 'end')
+            }
+          }
+        },
+        scales: {
+          x: {
+            title: {
+              display: true,
+              text: t('Net annual savings'),
+              font: { family: FONT_FAMILY, size: 12 }
+            },
+            ticks: {
+              font: { family: FONT_FAMILY, size: 10 },
+              maxRotation: 45,
+              autoSkip: true
+            },
+            grid: {
+              display: false
+            }
+          },
+          y: {
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: t('Runs'),
+              font: { family: FONT_FAMILY, size: 12 }
+            },
+            ticks: {
+              font: { family: FONT_FAMILY, size: 11 },
+              precision: 0
+            },
+            grid: {
+              color: 'rgba(0,0,0,0.06)'
+            }
+          }
+        }
+      }
+    });
+
+    _instances.push(chart);
+    return chart;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Chart 6 : Automation Efficient Frontier
+  // ---------------------------------------------------------------------------
+  /**
+   * @param {string} canvasId
+   * @param {Object} optimization - Output from Calculator.optimizeAutomation()
+   * @param {number} [highlightLevel] - Automation level to mark as suggested
+   * @param {number} [currentLevel]   - Automation level currently selected
+   */
+  function renderFrontier(canvasId, optimization, highlightLevel, currentLevel) {
+    if (!chartReady()) return null;
+    destroyByCanvas(canvasId);
+
+    var ctx = document.getElementById(canvasId);
+    if (!ctx) {
+      console.error('[charts.js] Canvas #' + canvasId + ' not found.');
+      return null;
+    }
+
+    function toPoint(p) {
+      return { x: p.totalInvestment, y: p.npv, level: p.automationLevel, fleet: p.fleet };
+    }
+
+    var points = optimization.points;
+    var frontier = points.filter(function (p) { return p.efficient; })
+      .sort(function (a, b) { return a.totalInvestment - b.totalInvestment; })
+      .map(toPoint);
+
+    var chart = new Chart(ctx, {
+      type: 'scatter',
+      data: {
+        datasets: [
+          {
+            label: t('Efficient frontier'),
+            data: frontier,
+            showLine: true,
+            borderColor: COLOR.orange,
+            backgroundColor: COLOR.orange,
+            borderWidth: 2,
+            pointRadius: 5,
+            pointHoverRadius: 7
+          },
+          {
+            label: t('Other automation levels'),
+            data: points.filter(function (p) { return !p.efficient; }).map(toPoint),
+            borderColor: COLOR.gray,
+            backgroundColor: COLOR.gray,
+            pointRadius: 4,
+            pointHoverRadius: 6
+          },
+          {
+            label: t('Suggested'),
+            data: points.filter(function (p) { return p.automationLevel === highlightLevel; }).map(toPoint),
+            borderColor: COLOR.black,
+            backgroundColor: COLOR.orangeLight,
+            borderWidth: 2,
+            pointStyle: 'star',
+            pointRadius: 12,
+            pointHoverRadius: 14
+          },
+          {
+            label: t('Current'),
+            data: points.filter(function (p) { return p.automationLevel === currentLevel; }).map(toPoint),
+            borderColor: COLOR.black,
+            backgroundColor: COLOR.white,
+            borderWidth: 2,
+            pointStyle: 'rectRot',
+            pointRadius: 8,
+            pointHoverRadius: 10
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: true,
+        animation: {
+          duration: 800,
+          easing: 'easeOutQuart'
+        },
+        plugins: {
+          legend: {
+            position: 'top',
+            labels: {
+              font: { family: FONT_FAMILY, size: 12 },
+              padding: 14,
+              usePointStyle: true,
+              pointStyleWidth: 12
+            }
+          },
+          tooltip: {
+            titleFont: { family: FONT_FAMILY },
+            bodyFont: { family: FONT_FAMILY },
+            callbacks: {
+              label: function (context) {
+                var p = context.raw;
+                return t('{level}% automation \u2013 {fleet}: {investment} invested, NPV {npv}', {
+                  level: p.level, fleet: p.fleet, investment: formatCurrency(p.x), npv: formatCurrency(p.y)
+                });
+              }
+            }
+          }
+        },
+        scales: {
+          x: {
+            title: {
+              display: true,
+              text: t('Total investment'),
+              font: { family: FONT_FAMILY, size: 12 }
+            },
+            ticks: {
+              font: { family: FONT_FAMILY, size: 11 },
+              callback: function (value) {
+                return formatCurrency(value);
+              }
+            },
+            grid: {
+              color: 'rgba(0,0,0,0.04)'
+            }
+          },
+          y: {
+            title: {
+              display: true,
+              text: t('Net present value'),
+              font: { family: FONT_FAMILY, size: 12 }
+            },
+            ticks: {
+              font: { family: FONT_FAMILY, size: 11 },
+              callback: function (value) {
+                return formatCurrency(value);
+              }
+            },
+            grid: {
+              color: 'rgba(0,0,0,0.06)'
+            }
+          }
+        }
+      }
+    });
+
+    _instances.push(chart);
+    return chart;
+  }
+
   // ---------------------------------------------------------------------------
   // Destroy all tracked chart instances
   // ---------------------------------------------------------------------------
@@ -443,6 +872,9 @@
     renderDonut: renderDonut,
     renderComparison: renderComparison,
     renderProjection: renderProjection,
+    renderTornado: renderTornado,
+    renderHistogram: renderHistogram,
+    renderFrontier: renderFrontier,
     destroyAll: destroyAll
   };
 
@@ -23,6 +23,8 @@
         shortName: '520 EPOS',
         price: 3299.99,
         coverage: 1.25,
+        acresPerHour: 0.09,
+        workHoursPerWeek: 100,
         description: 'Best for small commercial properties',
         terrain: 'flat',
         categories: ['commercial']
@@ -33,6 +35,8 @@
         shortName: '520H EPOS',
         price: 3299.99,
         coverage: 1.25,
+        acresPerHour: 0.09,
+        workHoursPerWeek: 100,
         description: 'Best for hilly commercial properties and golf courses',
         terrain: 'hilly',
         categories: ['commercial', 'golf']
@@ -43,6 +47,8 @@
         shortName: '535 AWD EPOS',
         price: 4999.99,
         coverage: 1.25,
+        acresPerHour: 0.09,
+        workHoursPerWeek: 100,
         description: 'Best for rough terrain and challenging landscapes',
         terrain: 'rough',
         categories: ['commercial']
@@ -53,6 +59,8 @@
         shortName: '550 EPOS',
         price: 5829.99,
         coverage: 2.5,
+        acresPerHour: 0.14,
+        workHoursPerWeek: 130,
         description: 'Best for large commercial properties and athletic fields',
         terrain: 'flat',
         categories: ['commercial', 'athletic']
@@ -63,6 +71,8 @@
         shortName: '550H EPOS',
         price: 5299.99,
         coverage: 2.5,
+        acresPerHour: 0.14,
+        workHoursPerWeek: 130,
         description: 'Best for large hilly properties and golf courses',
         terrain: 'hilly',
         categories: ['commercial', 'golf']
@@ -73,7 +83,8 @@
       referenceStation: {
         name: 'EPOS RS5 Reference Station',
         price: 899.99,
-        perSite: true
+        perSite: true,
+        rangeFt: 3000
       },
       housing: {
         name: 'Automower House (400/500 series)',
@@ -109,6 +120,25 @@
         name: 'Training & App Configuration',
         price: 500
       }
+    },
+
+    lifecycle: {
+      blades: {
+        name: 'Replacement Blades',
+        price: 34.99,
+        intervalYears: 1,
+        perUnit: true
+      },
+      battery: {
+        name: 'Battery Replacement',
+        price: 299.99,
+        intervalYears: 4,
+        perUnit: true
+      },
+      replacement: {
+        name: 'Mower Replacement',
+        usefulLifeYears: 8
+      }
     }
   };
 
@@ -117,19 +147,24 @@
   // ---------------------------------------------------------------------------
   var _data = null;
   var _initialized = false;
+  var _priced = { source: null, factor: 1, data: null }; // last catalog converted to another currency
 
   // ---------------------------------------------------------------------------
   // Helpers
   // ---------------------------------------------------------------------------
 
   /**
-   * Format a number as US currency.
+   * Format a number as currency with cents, in the Units currency and locale
+   * when that module is loaded.
    * @param {number} num
    * @returns {string} e.g. "$5,829.99"
    */
   function formatCurrency(num) {
     if (typeof num !== 'number' || isNaN(num)) {
-      return '$0.00';
+      num = 0;
+    }
+    if (typeof Units !== 'undefined') {
+      return Units.money(num, 2);
     }
     return '$' + num.toFixed(2).replace(/\d(?=(\d{3})+\.)/g, '$&,');
   }
@@ -153,16 +188,316 @@
   // Core recommendation logic
   // ---------------------------------------------------------------------------
 
+  // Models allowed on each terrain. The AWD handles slopes as well as rough
+  // ground; H-series models are not offered for flat ground, where the
+  // standard series does the same job.
+  var TERRAIN_MODELS = {
+    flat:  ['flat'],
+    hilly: ['hilly', 'rough'],
+    rough: ['rough']
+  };
+
+  var DEFAULT_HORIZON_YEARS = 5;
+  var HOURS_PER_WEEK = 168;
+
+  function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+  }
+
+  /** Lifecycle items, falling back to the built-in schedule for older data files. */
+  function lifecycleData() {
+    return _data.lifecycle || FALLBACK_DATA.lifecycle;
+  }
+
+  /**
+   * Per-unit lifecycle items ({ name, price, intervalYears }) -- everything
+   * in the lifecycle data except the mower replacement itself.
+   */
+  function lifecycleItems() {
+    var data = lifecycleData();
+    return Object.keys(data)
+      .filter(function (key) { return key !== 'replacement' && data[key].intervalYears > 0; })
+      .map(function (key) { return data[key]; });
+  }
+
+  /**
+   * Cost of one more unit of a model over the horizon: the mower, its
+   * housing and installation, the per-unit services for every year, and
+   * the lifecycle items (blades, batteries, replacement) that fall due.
+   * Per-site costs (reference station, setup, remote support) are the same
+   * for every mix and are left out.
+   */
+  function unitHorizonCost(model, horizonYears) {
+    var life = lifecycleData().replacement.usefulLifeYears;
+    var cost = model.price +
+      _data.accessories.housing.price +
+      _data.installation.perUnit.price +
+      horizonYears * (_data.services.annualMaintenance.price + _data.services.winterStorage.price);
+
+    var items = lifecycleItems();
+    for (var year = 1; year <= horizonYears; year++) {
+      if (life > 0 && year % life === 0) {
+        cost += model.price;
+        continue;
+      }
+      items.forEach(function (item) {
+        if (year % item.intervalYears === 0) cost += item.price;
+      });
+    }
+    return cost;
+  }
+
+  /**
+   * Lowest-cost mix of models whose combined coverage meets the target.
+   * Unbounded covering knapsack over coverage steps (the gcd of the model
+   * coverages), so a 3-acre target can come out as one 550 and one 520
+   * rather than two 550s. Always returns at least one unit.
+   *
+   * @param {Array<object>} models        - candidate models, preferred first on cost ties
+   * @param {number}        targetAcreage - acres to cover
+   * @param {number}        horizonYears  - years of service to include
+   * @returns {Array<object>} [{ model, unitsNeeded }] in candidate order
+   */
+  function cheapestFleet(models, targetAcreage, horizonYears) {
+    var sizes = models.map(function (m) { return Math.round(m.coverage * 100); });
+    var step = sizes.reduce(gcd);
+    sizes = sizes.map(function (size) { return size / step; });
+    var costs = models.map(function (m) { return unitHorizonCost(m, horizonYears); });
+    var need = Math.max(1, Math.ceil(Math.round(targetAcreage * 100) / step));
+
+    // best[c] = cheapest way to cover at least c steps; choice[c] = last model added
+    var best = [0];
+    var choice = [-1];
+    for (var c = 1; c <= need; c++) {
+      best[c] = Infinity;
+      for (var m = 0; m < models.length; m++) {
+        var cost = best[Math.max(0, c - sizes[m])] + costs[m];
+        if (cost < best[c] - 0.005) {
+          best[c] = cost;
+          choice[c] = m;
+        }
+      }
+    }
+
+    var counts = models.map(function () { return 0; });
+    for (c = need; c > 0; c = Math.max(0, c - sizes[choice[c]])) {
+      counts[choice[c]]++;
+    }
+
+    return models
+      .map(function (model, idx) { return { model: model, unitsNeeded: counts[idx] }; })
+      .filter(function (group) { return group.unitsNeeded > 0; });
+  }
+
+  /**
+   * Acres one unit can mow per week when allowed `scheduledHours` of running
+   * time: its cutting rate times the scheduled hours, capped at the hours it
+   * can work between charges. Models without a cutting rate fall back to
+   * their rated coverage at the zone's mowing frequency.
+   */
+  function weeklyCapacity(model, scheduledHours, mowsPerWeek) {
+    if (!(model.acresPerHour > 0)) return model.coverage * mowsPerWeek;
+    var hours = model.workHoursPerWeek > 0 ? Math.min(scheduledHours, model.workHoursPerWeek) : scheduledHours;
+    return model.acresPerHour * hours;
+  }
+
+  /**
+   * Check that a zone's fleet can mow the zone on schedule -- every acre
+   * `mowsPerWeek` times within the scheduled hours -- and top it up with the
+   * candidate that adds capacity most cheaply when it cannot. `zoneFleet`
+   * is updated in place.
+   *
+   * @returns {object} { neededAcresPerWeek, initialCapacityAcresPerWeek,
+   *                     capacityAcresPerWeek, availableHours, addedUnits }
+   */
+  function checkZoneCapacity(zoneFleet, candidates, acres, mowsPerWeek, scheduledHours, horizonYears) {
+    var needed = acres * mowsPerWeek;
+    var capacity = 0;
+    var availableHours = 0;
+    zoneFleet.forEach(function (group) {
+      capacity += group.unitsNeeded * weeklyCapacity(group.model, scheduledHours, mowsPerWeek);
+    });
+    var initialCapacity = capacity;
+    var added = 0;
+
+    if (capacity < needed - 1e-9) {
+      var best = null;
+      var bestCost = Infinity;
+      candidates.forEach(function (m) {
+        var cost = unitHorizonCost(m, horizonYears) / weeklyCapacity(m, scheduledHours, mowsPerWeek);
+        if (cost < bestCost - 1e-9) {
+          best = m;
+          bestCost = cost;
+        }
+      });
+
+      var unitCapacity = weeklyCapacity(best, scheduledHours, mowsPerWeek);
+      added = Math.ceil((needed - capacity) / unitCapacity - 1e-9);
+      capacity += added * unitCapacity;
+
+      var group = null;
+      zoneFleet.forEach(function (g) {
+        if (g.model.shortName === best.shortName) group = g;
+      });
+      if (group) {
+        group.unitsNeeded += added;
+      } else {
+        zoneFleet.push({ model: best, unitsNeeded: added });
+      }
+    }
+
+    zoneFleet.forEach(function (g) {
+      var hours = g.model.workHoursPerWeek > 0 ? Math.min(scheduledHours, g.model.workHoursPerWeek) : scheduledHours;
+      availableHours += g.unitsNeeded * hours;
+    });
+
+    return {
+      neededAcresPerWeek: needed,
+      initialCapacityAcresPerWeek: initialCapacity,
+      capacityAcresPerWeek: capacity,
+      availableHours: availableHours,
+      addedUnits: added
+    };
+  }
+
+  /**
+   * Candidate models for a terrain, models built for that terrain first.
+   * @param {string} terrain - 'flat', 'hilly' or 'rough'
+   * @returns {Array<object>}
+   */
+  function modelsForTerrain(terrain) {
+    var allowed = TERRAIN_MODELS[terrain] || TERRAIN_MODELS.flat;
+    var candidates = [];
+    allowed.forEach(function (t) {
+      _data.models.forEach(function (m) {
+        if (m.terrain === t) candidates.push(m);
+      });
+    });
+    return candidates.length ? candidates : [_data.models[0]];
+  }
+
+  /**
+   * Reference stations a site needs. A station covers the circle within its
+   * planning range (`rangeFt`); zones no further than that from the main
+   * mowing area share the main station(s), zones further out get their own.
+   * Each group needs enough stations to cover its acreage. A station shared
+   * with a neighboring site replaces one of the main stations.
+   *
+   * @param {Array<object>} zones         - [{ acres, distanceFt }] automated acres per zone
+   * @param {boolean}       sharedStation - a neighboring site's station covers this one
+   * @returns {object} { total, main, perZone: [count], shared }
+   */
+  function referenceStationPlan(zones, sharedStation) {
+    var range = Number(_data.accessories.referenceStation.rangeFt) || 0;
+    var coverageAcres = range > 0 ? Math.PI * range * range / 43560 : Infinity;
+    var mainAcres = 0;
+    var hasMain = false;
+
+    var perZone = zones.map(function (zone) {
+      var acres = Number(zone.acres) || 0;
+      if (range > 0 && Number(zone.distanceFt) > range) {
+        return Math.max(1, Math.ceil(acres / coverageAcres));
+      }
+      hasMain = true;
+      mainAcres += acres;
+      return 0;
+    });
+
+    var main = hasMain ? Math.max(1, Math.ceil(mainAcres / coverageAcres)) : 0;
+    var shared = !!sharedStation && main > 0;
+    if (shared) main -= 1;
+
+    return {
+      total: main + perZone.reduce(function (sum, n) { return sum + n; }, 0),
+      main: main,
+      perZone: perZone,
+      shared: shared
+    };
+  }
+
+  /** "550 EPOS × 3 + 535 AWD EPOS × 1" for a list of { model, unitsNeeded }. */
+  function fleetLabel(fleet) {
+    return fleet.map(function (group) {
+      return group.model.shortName + ' \u00d7 ' + group.unitsNeeded;
+    }).join(' + ');
+  }
+
+  /** Deep copy of the catalog with every price multiplied by `factor`. */
+  function convertPrices(value, factor) {
+    if (Array.isArray(value)) {
+      return value.map(function (v) { return convertPrices(v, factor); });
+    }
+    if (value && typeof value === 'object') {
+      var out = {};
+      Object.keys(value).forEach(function (key) {
+        out[key] = key === 'price' && typeof value[key] === 'number'
+          ? Math.round(value[key] * factor * 100) / 100
+          : convertPrices(value[key], factor);
+      });
+      return out;
+    }
+    return value;
+  }
+
+  /**
+   * recommendEquipment with the catalog's USD prices converted by
+   * `options.priceFactor` (units of the quote currency per USD).
+   */
+  function recommendPriced(propertyType, acreage, automationLevel, isHilly, options) {
+    var factor = Number(options && options.priceFactor) || 1;
+    if (factor === 1) {
+      return recommendEquipment(propertyType, acreage, automationLevel, isHilly, options);
+    }
+
+    var catalog = _data || FALLBACK_DATA;
+    if (_priced.source !== catalog || _priced.factor !== factor) {
+      _priced = { source: catalog, factor: factor, data: convertPrices(catalog, factor) };
+    }
+    _data = _priced.data;
+    try {
+      return recommendEquipment(propertyType, acreage, automationLevel, isHilly, options);
+    } finally {
+      _data = catalog;
+    }
+  }
+
   /**
    * Recommend equipment based on property parameters.
    *
+   * Each zone gets the lowest-cost mix of the models suited to its terrain
+   * that covers its automated acreage, costed over the analysis horizon
+   * (purchase + installation + per-unit service). When `options.zones` is given, a fleet is sized for each zone from its own
+   * terrain and acreage and the results are combined into a single site
+   * (shared reference stations and installation setup). `unitsNeeded` and
+   * `costs` then cover the whole fleet and `model` is the model with the most
+   * units.
+   *
    * @param {string}  propertyType     - 'commercial', 'athletic', or 'golf'
    * @param {number}  acreage          - total property acreage
    * @param {number}  automationLevel  - percentage (0-100) of property to automate
    * @param {boolean} [isHilly=false]  - whether the terrain is hilly
+   * @param {object}  [options]
+   * @param {string}  [options.model]  - shortName of a model to use instead of
+   *                                     the automatic choice ('auto' or unknown
+   *                                     names fall back to the automatic choice)
+   * @param {Array}   [options.zones]  - [{ name, acres, terrain, distanceFt }]
+   *                                     mowing zones; distanceFt is the zone's
+   *                                     distance from the main mowing area
+   * @param {number}  [options.horizonYears=5] - years of service used to
+   *                                     compare fleet mixes
+   * @param {boolean} [options.sharedStation] - a neighboring site's reference
+   *                                     station covers this site's main area
+   * @param {object}  [options.schedule] - { mowingTimePercent, mowsPerWeek,
+   *                                     seasonWeeks }; when given, the fleet is
+   *                                     checked against the weekly mowing
+   *                                     schedule (share of the week the mowers
+   *                                     may run) and units are added if it
+   *                                     cannot keep up
+   * @param {number}  [options.priceFactor=1] - currency units per USD; catalog
+   *                                     prices are converted (see recommendPriced)
    * @returns {object} recommendation object (see module docs for shape)
    */
-  function recommendEquipment(propertyType, acreage, automationLevel, isHilly) {
+  function recommendEquipment(propertyType, acreage, automationLevel, isHilly, options) {
     if (!_data) {
       _data = FALLBACK_DATA;
     }
@@ -173,42 +508,116 @@
     isHilly = !!isHilly;
     propertyType = (propertyType || 'commercial').toLowerCase();
 
-    // Target acreage to be mowed autonomously
-    var targetAcreage = acreage * (automationLevel / 100);
-
-    // ---- Model selection ----
-    var modelShortName;
+    var override = options && options.model ? getModelByShortName(options.model) : null;
+    var horizonYears = Math.max(1, Number(options && options.horizonYears) || DEFAULT_HORIZON_YEARS);
+    var schedule = options && options.schedule ? options.schedule : null;
+    var scheduledHours = schedule
+      ? HOURS_PER_WEEK * Math.min(100, Math.max(1, Number(schedule.mowingTimePercent) || 0)) / 100
+      : 0;
+
+    var zones = (options && Array.isArray(options.zones) ? options.zones : []).filter(function (z) {
+      return z && Number(z.acres) > 0;
+    });
+    if (zones.length === 0) {
+      zones = [{
+        name: 'Entire Property',
+        acres: acreage,
+        terrain: propertyType === 'golf' || isHilly ? 'hilly' : 'flat'
+      }];
+    }
 
-    if (propertyType === 'golf' || isHilly) {
-      // Hilly / golf terrain -- use H-series
-      if (targetAcreage <= 2) {
-        modelShortName = '520H EPOS';
-      } else {
-        modelShortName = '550H EPOS';
-      }
-    } else {
-      // Commercial or athletic, flat terrain
-      if (targetAcreage <= 2) {
-        modelShortName = '520 EPOS';
-      } else {
-        modelShortName = '550 EPOS';
+    // ---- Size a fleet for each zone ----
+    var targetAcreage = 0;
+    var fleet = [];          // [{ model, unitsNeeded }] grouped by model
+    var capacityTotals = { needed: 0, initial: 0, capacity: 0, hours: 0, added: 0 };
+    var zoneFleets = zones.map(function (zone) {
+      var zoneTarget = Number(zone.acres) * (automationLevel / 100);
+      var candidates = override ? [override] : modelsForTerrain(zone.terrain);
+      var zoneFleet = override
+        ? [{ model: override, unitsNeeded: Math.max(1, Math.ceil(zoneTarget / override.coverage)) }]
+        : cheapestFleet(candidates, zoneTarget, horizonYears);
+      var units = 0;
+
+      var capacity = null;
+      if (schedule) {
+        var mows = Number(zone.mowsPerWeek) || Number(schedule.mowsPerWeek) || 1;
+        capacity = checkZoneCapacity(zoneFleet, candidates, zoneTarget, mows, scheduledHours, horizonYears);
+        capacityTotals.needed   += capacity.neededAcresPerWeek;
+        capacityTotals.initial  += capacity.initialCapacityAcresPerWeek;
+        capacityTotals.capacity += capacity.capacityAcresPerWeek;
+        capacityTotals.hours    += capacity.availableHours;
+        capacityTotals.added    += capacity.addedUnits;
       }
-    }
+      targetAcreage += zoneTarget;
 
-    var model = getModelByShortName(modelShortName);
+      zoneFleet.forEach(function (item) {
+        var group = null;
+        for (var i = 0; i < fleet.length; i++) {
+          if (fleet[i].model.shortName === item.model.shortName) group = fleet[i];
+        }
+        if (!group) {
+          group = { model: item.model, unitsNeeded: 0 };
+          fleet.push(group);
+        }
+        group.unitsNeeded += item.unitsNeeded;
+        units += item.unitsNeeded;
+      });
 
-    // Safety: fall back to first model if lookup somehow fails
-    if (!model) {
-      model = _data.models[0];
-    }
+      return {
+        name: zone.name,
+        terrain: zone.terrain,
+        targetAcreage: zoneTarget,
+        fleetLabel: fleetLabel(zoneFleet),
+        unitsNeeded: units,
+        houses: units,                // one house per mower, placed in its zone
+        capacityAddedUnits: capacity ? capacity.addedUnits : 0
+      };
+    });
+
+    // Primary model -- the one carrying the most units
+    var primary = fleet[0];
+    fleet.forEach(function (group) {
+      if (group.unitsNeeded > primary.unitsNeeded) primary = group;
+    });
+    var model = primary.model;
 
     // ---- Units needed ----
-    var unitsNeeded = Math.ceil(targetAcreage / model.coverage);
-    unitsNeeded = Math.max(1, unitsNeeded);
+    var unitsNeeded = 0;
+    var equipmentCost = 0;
+    fleet.forEach(function (group) {
+      unitsNeeded += group.unitsNeeded;
+      equipmentCost += group.unitsNeeded * group.model.price;
+    });
+
+    // ---- Schedule capacity (when a schedule was given) ----
+    var capacity = null;
+    if (schedule) {
+      var utilization = capacityTotals.capacity > 0 ? capacityTotals.needed / capacityTotals.capacity : 0;
+      capacity = {
+        scheduledHoursPerWeek: Math.round(scheduledHours * 10) / 10,
+        neededAcresPerWeek: Math.round(capacityTotals.needed * 100) / 100,
+        initialCapacityAcresPerWeek: Math.round(capacityTotals.initial * 100) / 100,
+        capacityAcresPerWeek: Math.round(capacityTotals.capacity * 100) / 100,
+        utilization: Math.round(utilization * 1000) / 10,
+        // average running hours per mower over the mowing season
+        seasonHoursPerUnit: Math.round(utilization * capacityTotals.hours / Math.max(1, unitsNeeded) *
+          (Number(schedule.seasonWeeks) || 0)),
+        addedUnits: capacityTotals.added,
+        sufficient: capacityTotals.added === 0
+      };
+    }
+
+    // ---- Reference stations ----
+    var stations = referenceStationPlan(zoneFleets.map(function (zone, idx) {
+      return { acres: zone.targetAcreage, distanceFt: zones[idx].distanceFt };
+    }), options && options.sharedStation);
+    zoneFleets.forEach(function (zone, idx) {
+      zone.remote = stations.perZone[idx] > 0;
+      zone.referenceStations = stations.perZone[idx];
+    });
 
     // ---- Cost calculations ----
-    var equipmentCost = unitsNeeded * model.price;
-    var referenceStationCost = _data.accessories.referenceStation.price;  // 1 per site
+    var referenceStationCost = stations.total * _data.accessories.referenceStation.price;
     var housingCost = unitsNeeded * _data.accessories.housing.price;
     var totalEquipmentCost = equipmentCost + referenceStationCost + housingCost;
 
@@ -220,11 +629,32 @@
     var winterStorageCost = unitsNeeded * _data.services.winterStorage.price;
     var annualServiceCost = annualMaintenanceCost + remoteSupportCost + winterStorageCost;
 
+    // ---- Lifecycle (added to the projection in the years they fall due) ----
+    var lifecycle = {
+      items: lifecycleItems().map(function (item) {
+        return {
+          name: item.name,
+          intervalYears: item.intervalYears,
+          cost: unitsNeeded * item.price
+        };
+      }),
+      replacementName: lifecycleData().replacement.name,
+      replacementCost: equipmentCost,
+      usefulLifeYears: lifecycleData().replacement.usefulLifeYears
+    };
+
     var totalInvestment = totalEquipmentCost + installationCost + setupCost;
 
     // ---- Build the label suffix for quantities > 1 ----
     var unitSuffix = unitsNeeded > 1 ? ' \u00d7 ' + unitsNeeded : '';
 
+    var mowerLines = fleet.map(function (group) {
+      return {
+        label: group.model.name + (group.unitsNeeded > 1 ? ' \u00d7 ' + group.unitsNeeded : ''),
+        amount: group.unitsNeeded * group.model.price
+      };
+    });
+
     // ---- Assemble return object ----
     return {
       model: {
@@ -237,6 +667,31 @@
 
       unitsNeeded: unitsNeeded,
       targetAcreage: targetAcreage,
+      referenceStations: stations.total,
+      sharedReferenceStation: stations.shared,
+
+      // null unless options.schedule was given; `sufficient` is false when
+      // units were added to keep up with the schedule
+      capacity: capacity,
+
+      // e.g. "550 EPOS × 3 + 535 AWD EPOS × 1"
+      fleetLabel: fleetLabel(fleet),
+      horizonYears: horizonYears,
+
+      fleet: fleet.map(function (group) {
+        return {
+          model: {
+            name: group.model.name,
+            shortName: group.model.shortName,
+            price: group.model.price,
+            coverage: group.model.coverage,
+            description: group.model.description
+          },
+          unitsNeeded: group.unitsNeeded
+        };
+      }),
+
+      zones: zoneFleets,
 
       costs: {
         mowers: equipmentCost,
@@ -246,16 +701,22 @@
         setup: setupCost,
         totalEquipment: totalEquipmentCost,
         totalInvestment: totalInvestment,
-        annualService: annualServiceCost
+        annualService: annualServiceCost,
+        horizonTotal: totalInvestment + annualServiceCost * horizonYears
       },
 
-      breakdown: [
-        {
-          label: model.name + unitSuffix,
-          amount: equipmentCost
-        },
+      // { items: [{ name, intervalYears, cost }], replacementName, replacementCost,
+      //   usefulLifeYears }
+      // -- pass to Calculator.calculateProjection / withInvestment
+      lifecycle: lifecycle,
+
+      breakdown: mowerLines.concat([
         {
-          label: _data.accessories.referenceStation.name,
+          label: _data.accessories.referenceStation.name +
+            (stations.total > 1 ? ' \u00d7 ' + stations.total : ''),
+          // Renderers append the translated '(main area shared with a
+          // neighboring site)' note when set
+          shared: stations.shared,
           amount: referenceStationCost
         },
         {
@@ -270,7 +731,7 @@
           label: _data.installation.flat.name,
           amount: setupCost
         }
-      ],
+      ]),
 
       annualBreakdown: [
         {
@@ -345,14 +806,16 @@
      * @param {number}  acreage         - total property acreage
      * @param {number}  automationLevel - percentage (0-100)
      * @param {boolean} [isHilly=false] - hilly terrain flag
+     * @param {object}  [options]       - { model } to override the model choice,
+     *                                    { priceFactor } to quote in another currency
      * @returns {object} recommendation object
      */
-    recommend: function (propertyType, acreage, automationLevel, isHilly) {
-      return recommendEquipment(propertyType, acreage, automationLevel, isHilly);
+    recommend: function (propertyType, acreage, automationLevel, isHilly, options) {
+      return recommendPriced(propertyType, acreage, automationLevel, isHilly, options);
     },
 
     /**
-     * Format a number as US currency string.
+     * Format a number as a currency string.
      * @param {number} num
      * @returns {string} e.g. "$5,829.99"
      */
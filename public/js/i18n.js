@@ -0,0 +1,192 @@
+/**
+ * Translations
+ * Autonomous Mowing Solutions ROI Calculator
+ *
+ * Message catalogs are keyed by the English text, so English needs no
+ * catalog and a missing translation falls back to English. Catalogs for the
+ * other languages are loaded from /data/i18n/<language>.json on first use.
+ *
+ * Messages may contain {name} placeholders filled from `params`, and unit
+ * placeholders ({area}, {currency}, {volume:name}) filled by Units.template.
+ *
+ * Markup opts in with attributes; the English text is recorded as the key
+ * the first time apply() sees an element:
+ *   <h2 data-i18n>Current Costs</h2>
+ *   <label data-i18n="Fuel Cost per {volume:name}">Fuel Cost per Gallon</label>
+ *   <p data-i18n-html>Savings are <strong>net</strong> of service.</p>
+ *   <input data-i18n-attrs="placeholder aria-label" placeholder="Estimate">
+ *
+ * Usage:
+ *   I18n.setLanguage('es').then(function () { I18n.apply(document); });
+ *   I18n.t('{n} units', { n: 3 });   // "3 unidades"
+ */
+const I18n = (function () {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Languages -- each with the number format it defaults to
+  // ---------------------------------------------------------------------------
+
+  var LANGUAGES = {
+    en: { label: 'English',  locale: 'en-US' },
+    es: { label: 'Español',  locale: 'es-ES' },
+    fr: { label: 'Français', locale: 'fr-FR' }
+  };
+
+  var _language = 'en';
+  var _catalogs = { en: {} };
+
+  // ---------------------------------------------------------------------------
+  // Catalogs
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Load a language's catalog (once). A catalog that cannot be fetched is
+   * treated as empty, so the page stays in English.
+   *
+   * @param {string} language
+   * @returns {Promise<void>}
+   */
+  function load(language) {
+    if (_catalogs[language]) {
+      return Promise.resolve();
+    }
+
+    return fetch('/data/i18n/' + language + '.json')
+      .then(function (response) {
+        if (!response.ok) {
+          throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+      })
+      .then(function (json) {
+        _catalogs[language] = json && typeof json === 'object' ? json : {};
+      })
+      .catch(function (err) {
+        console.warn('[I18n] Could not load the ' + language + ' catalog, using English.', err);
+        _catalogs[language] = {};
+      });
+  }
+
+  /**
+   * Switch language, loading its catalog first. Unknown languages are
+   * ignored.
+   *
+   * @param {string} language - 'en', 'es' or 'fr'
+   * @returns {Promise<string>} The language now in use.
+   */
+  function setLanguage(language) {
+    if (!LANGUAGES[language]) {
+      return Promise.resolve(_language);
+    }
+    return load(language).then(function () {
+      _language = language;
+      return _language;
+    });
+  }
+
+  function getLanguage() {
+    return _language;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lookup
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Translate a message and fill in its placeholders. Unit placeholders are
+   * filled in the message only, so a value such as a client named
+   * "{currency} Lawns" is shown as it was typed.
+   *
+   * @param {string} key      - English text of the message.
+   * @param {Object} [params] - Values for {name} placeholders.
+   * @returns {string}
+   */
+  function t(key, params) {
+    var catalog = _catalogs[_language] || {};
+    var text = Object.prototype.hasOwnProperty.call(catalog, key) ? catalog[key] : key;
+    return String(text).replace(/\{(\w+)(:name)?\}/g, function (match, name, suffix) {
+      if (!suffix && params && Object.prototype.hasOwnProperty.call(params, name)) return params[name];
+      return typeof Units !== 'undefined' ? Units.template(match) : match;
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Markup
+  // ---------------------------------------------------------------------------
+
+  function normalize(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+  }
+
+  function each(root, selector, fn) {
+    var list = (root || document).querySelectorAll(selector);
+    for (var i = 0; i < list.length; i++) fn(list[i]);
+    if (root && root.matches && root.matches(selector)) fn(root);
+  }
+
+  /**
+   * Translate every opted-in element under `root` into the current
+   * language. Safe to call repeatedly -- keys are kept on the elements.
+   *
+   * @param {Element|Document} [root=document]
+   */
+  function apply(root) {
+    root = root || document;
+
+    each(root, '[data-i18n]', function (el) {
+      var key = el.getAttribute('data-i18n');
+      if (!key) {
+        key = normalize(el.textContent);
+        el.setAttribute('data-i18n', key);
+      }
+      el.textContent = t(key);
+    });
+
+    each(root, '[data-i18n-html]', function (el) {
+      var key = el.getAttribute('data-i18n-html');
+      if (!key) {
+        key = normalize(el.innerHTML);
+        el.setAttribute('data-i18n-html', key);
+      }
+      el.innerHTML = t(key);
+    });
+
+    each(root, '[data-i18n-attrs]', function (el) {
+      el.getAttribute('data-i18n-attrs').split(/\s+/).forEach(function (attr) {
+        if (!attr) return;
+        var store = 'data-i18n-' + attr;
+        if (!el.hasAttribute(store)) {
+          if (!el.hasAttribute(attr)) return;
+          el.setAttribute(store, el.getAttribute(attr));
+        }
+        el.setAttribute(attr, t(el.getAttribute(store)));
+      });
+    });
+
+    if (root.documentElement) root.documentElement.setAttribute('lang', _language);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  return {
+    LANGUAGES:   LANGUAGES,
+    setLanguage: setLanguage,
+    language:    getLanguage,
+    t:           t,
+    apply:       apply
+  };
+
+})();
+
+// Make available on window for non-module environments
+if (typeof window !== 'undefined') {
+  window.I18n = I18n;
+}
+
+// Support CommonJS / Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+}
@@ -13,6 +13,11 @@
 
   var calculatorData = null;
 
+  /** Message in the selected language (see I18n.t) */
+  function t(key) {
+    return I18n.t(key);
+  }
+
   /**
    * Store calculator results so they can be included in the lead submission.
    * Called by app.js after calculation completes.
@@ -110,13 +115,13 @@
    */
   function validate(fields) {
     if (!fields.name || fields.name.trim() === '') {
-      return 'Please enter your name.';
+      return t('Please enter your name.');
     }
     if (!fields.email || fields.email.trim() === '') {
-      return 'Please enter your email address.';
+      return t('Please enter your email address.');
     }
     if (!EMAIL_REGEX.test(fields.email.trim())) {
-      return 'Please enter a valid email address.';
+      return t('Please enter a valid email address.');
     }
     // Phone is optional; accept any format when provided
     return null;
@@ -163,7 +168,6 @@
     var statusEl = document.getElementById('lead-form-status');
     var statusMsg = document.getElementById('lead-status-message');
     var submitBtn = form.querySelector('button[type="submit"]');
-    var originalBtnHTML = submitBtn ? submitBtn.innerHTML : 'Request Custom Proposal';
 
     form.addEventListener('submit', function (e) {
       e.preventDefault();
@@ -190,10 +194,12 @@
         return;
       }
 
-      // Show loading state and prevent double-submit
+      // Show loading state and prevent double-submit. The button is captured
+      // now so it is restored in the language it was shown in.
+      var originalBtnHTML = submitBtn ? submitBtn.innerHTML : '';
       if (submitBtn) {
         submitBtn.disabled = true;
-        submitBtn.textContent = 'Sending...';
+        submitBtn.textContent = t('Sending...');
       }
 
       // Collect calculator data from all available sources
@@ -206,7 +212,7 @@
           form.reset();
           form.style.display = 'none';
           if (statusEl && statusMsg) {
-            statusMsg.textContent = 'Thank you! Chuck will be in touch within 24 hours.';
+            statusMsg.textContent = t('Thank you! Chuck will be in touch within 24 hours.');
             statusEl.className = 'form-status form-success';
             statusEl.removeAttribute('hidden');
           }
@@ -214,7 +220,7 @@
         .catch(function () {
           // Error: show error message, restore button
           if (statusEl && statusMsg) {
-            statusMsg.textContent = 'Something went wrong. Please try again or call us directly.';
+            statusMsg.textContent = t('Something went wrong. Please try again or call us directly.');
             statusEl.className = 'form-status form-error';
             statusEl.removeAttribute('hidden');
           }
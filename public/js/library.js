@@ -0,0 +1,244 @@
+/**
+ * Saved Calculation Library
+ * Autonomous Mowing Solutions ROI Calculator
+ *
+ * Named, saved calculations kept in the browser's IndexedDB, so a sales rep
+ * can reopen a client's numbers on a later visit. Each record holds the
+ * client name, notes, the form state that produced it and a snapshot of the
+ * results (calculator results, equipment recommendation, investment metrics,
+ * projection and sensitivity), so it reopens without recalculating.
+ *
+ * Records must be structured-cloneable: plain data, no functions.
+ *
+ * Usage:
+ *   ScenarioLibrary.save({ clientName: 'Oak Park', notes: '', fields: {...}, snapshot: {...} })
+ *     .then(function (id) { ... });
+ *   ScenarioLibrary.list().then(function (records) { ... });   // newest first
+ *   ScenarioLibrary.update(id, { clientName: 'Oak Park HOA' });
+ *   ScenarioLibrary.duplicate(id, { clientName: 'Oak Park (copy)' });
+ *   ScenarioLibrary.remove(id);
+ */
+const ScenarioLibrary = (function () {
+  'use strict';
+
+  var DB_NAME = 'ams-roi-calculator';
+  var DB_VERSION = 1;
+  var STORE = 'calculations';
+
+  // Shape of a saved record; bump it (and add a migration) when the fields
+  // or snapshot change
+  var RECORD_VERSION = 1;
+
+  // Upgrades keyed by the version they read: MIGRATIONS[1] would turn a
+  // version 1 record into a version 2 one. Records that cannot be brought up
+  // to RECORD_VERSION are not opened.
+  var MIGRATIONS = {};
+
+  var _db = null;
+
+  // ---------------------------------------------------------------------------
+  // IndexedDB plumbing
+  // ---------------------------------------------------------------------------
+
+  /** Whether the browser offers IndexedDB at all. */
+  function isAvailable() {
+    try {
+      return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /** @returns {Promise<IDBDatabase>} The database, opened (and created) once. */
+  function open() {
+    if (_db) return _db;
+    if (!isAvailable()) return Promise.reject(new Error('IndexedDB is not available'));
+
+    _db = new Promise(function (resolve, reject) {
+      var req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = function () {
+        var db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      req.onsuccess = function () { resolve(req.result); };
+      req.onerror = function () { reject(req.error); };
+      req.onblocked = function () { reject(new Error('The saved calculations are open in another tab')); };
+    });
+
+    // Let a later call try again after a failure
+    _db.catch(function () { _db = null; });
+    return _db;
+  }
+
+  /**
+   * Run `work(store)` in a transaction and resolve with the result of the
+   * request it returns, once the transaction has committed.
+   */
+  function withStore(mode, work) {
+    return open().then(function (db) {
+      return new Promise(function (resolve, reject) {
+        var tx = db.transaction(STORE, mode);
+        var req = work(tx.objectStore(STORE));
+        tx.oncomplete = function () { resolve(req ? req.result : undefined); };
+        tx.onerror = function () { reject(tx.error); };
+        tx.onabort = function () { reject(tx.error || new Error('Transaction aborted')); };
+      });
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Records
+  // ---------------------------------------------------------------------------
+
+  /**
+   * All saved calculations, most recently changed first.
+   *
+   * @returns {Promise<Array<Object>>}
+   */
+  function list() {
+    return withStore('readonly', function (store) {
+      return store.getAll();
+    }).then(function (records) {
+      return (records || []).sort(function (a, b) {
+        return a.updatedAt < b.updatedAt ? 1 : a.updatedAt > b.updatedAt ? -1 : 0;
+      });
+    });
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  function get(id) {
+    return withStore('readonly', function (store) {
+      return store.get(id);
+    }).then(function (record) {
+      return record || null;
+    });
+  }
+
+  /**
+   * Save a new calculation.
+   *
+   * @param {Object} record
+   * @param {string} record.clientName
+   * @param {string} [record.notes]
+   * @param {Object} record.fields   - Form state that produced the results.
+   * @param {Object} record.snapshot - { results, equipment, metrics, projection, sensitivity }
+   * @returns {Promise<number>} The new record's id.
+   */
+  function save(record) {
+    var now = new Date().toISOString();
+    var entry = {
+      version:    RECORD_VERSION,
+      clientName: String(record.clientName || ''),
+      notes:      String(record.notes || ''),
+      createdAt:  now,
+      updatedAt:  now,
+      fields:     record.fields || {},
+      snapshot:   record.snapshot || {}
+    };
+    return withStore('readwrite', function (store) {
+      return store.add(entry);
+    });
+  }
+
+  /**
+   * Bring a record up to RECORD_VERSION, or return null if it cannot be:
+   * it was saved by a newer version of the calculator, or by one too old
+   * to migrate.
+   *
+   * @param {Object} record
+   * @returns {Object|null}
+   */
+  function migrate(record) {
+    while (record && record.version < RECORD_VERSION) {
+      var upgrade = MIGRATIONS[record.version];
+      record = upgrade ? upgrade(record) : null;
+    }
+    return record && record.version === RECORD_VERSION ? record : null;
+  }
+
+  /**
+   * Change a saved calculation's client name and/or notes.
+   *
+   * @param {number} id
+   * @param {Object} changes - { clientName, notes }
+   * @returns {Promise<Object>} The updated record.
+   */
+  function update(id, changes) {
+    return get(id).then(function (record) {
+      if (!record) throw new Error('Saved calculation ' + id + ' not found');
+      if (changes.clientName !== undefined) record.clientName = String(changes.clientName);
+      if (changes.notes !== undefined) record.notes = String(changes.notes);
+      record.updatedAt = new Date().toISOString();
+      return withStore('readwrite', function (store) {
+        return store.put(record);
+      }).then(function () {
+        return record;
+      });
+    });
+  }
+
+  /**
+   * Copy a saved calculation under a new id.
+   *
+   * @param {number} id
+   * @param {Object} [changes] - { clientName, notes } for the copy.
+   * @returns {Promise<number>} The copy's id.
+   */
+  function duplicate(id, changes) {
+    changes = changes || {};
+    return get(id).then(function (found) {
+      if (!found) throw new Error('Saved calculation ' + id + ' not found');
+      // The copy is stamped with RECORD_VERSION, so it must be in that shape
+      var record = migrate(found);
+      if (!record) throw new Error('Saved calculation ' + id + ' is version ' + found.version);
+      return save({
+        clientName: changes.clientName !== undefined ? changes.clientName : record.clientName,
+        notes:      changes.notes !== undefined ? changes.notes : record.notes,
+        fields:     record.fields,
+        snapshot:   record.snapshot
+      });
+    });
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  function remove(id) {
+    return withStore('readwrite', function (store) {
+      store.delete(id);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  return {
+    RECORD_VERSION: RECORD_VERSION,
+    isAvailable:    isAvailable,
+    list:           list,
+    get:            get,
+    migrate:        migrate,
+    save:           save,
+    update:         update,
+    duplicate:      duplicate,
+    remove:         remove
+  };
+
+})();
+
+// Make available on window for non-module environments
+if (typeof window !== 'undefined') {
+  window.ScenarioLibrary = ScenarioLibrary;
+}
+
+// Support CommonJS / Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScenarioLibrary;
+}
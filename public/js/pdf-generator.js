@@ -8,10 +8,13 @@
  *
  * Usage:
  *   PDFGenerator.generate(results, equipment, projection, inputs);
+ *   PDFGenerator.generatePortfolio(Portfolio.evaluate(sites, options));
  *
  * Depends on:
  *   - Calculator  (calculator.js)   -- for data shapes
  *   - Equipment   (equipment.js)    -- for data shapes
+ *   - Units       (units.js)        -- for currency, units and locale
+ *   - I18n        (i18n.js)         -- for the report language
  *   - A hidden    #pdf-export       div in the DOM
  *   - A button    #download-pdf-btn in the DOM
  */
@@ -26,25 +29,94 @@
   var DARK     = '#1a1a2e';
   var LIGHT_BG = '#f9f9f9';
 
-  var FOOTER_HTML =
-    '<div style="margin-top:24px;padding-top:12px;border-top:2px solid ' + ORANGE + ';' +
-    'font-size:10px;color:#666;text-align:center;font-family:Arial,sans-serif;">' +
-      'Autonomous Mowing Solutions &nbsp;|&nbsp; autonomousmowingsolutions.com &nbsp;|&nbsp; (833) 554-2696' +
-      '<br>This analysis is an estimate. Actual results may vary based on property conditions and usage.' +
-    '</div>';
-
   // ---------------------------------------------------------------------------
   // Helpers
   // ---------------------------------------------------------------------------
 
-  /** Format a number as whole-dollar US currency: $12,345 */
+  /** Message in the selected language (see I18n.t) */
+  function t(key, params) {
+    return I18n.t(key, params);
+  }
+
+  /** Page footer, in the report language */
+  function footerHtml() {
+    return '<div style="margin-top:24px;padding-top:12px;border-top:2px solid ' + ORANGE + ';' +
+      'font-size:10px;color:#666;text-align:center;font-family:Arial,sans-serif;">' +
+        'Autonomous Mowing Solutions &nbsp;|&nbsp; autonomousmowingsolutions.com &nbsp;|&nbsp; (833) 554-2696' +
+        '<br>' + t('This analysis is an estimate. Actual results may vary based on property conditions and usage.') +
+      '</div>';
+  }
+
+  /** Format a number as whole currency units: $12,345 */
   function fmt(n) {
-    return '$' + Math.round(n).toLocaleString('en-US');
+    return Units.money(Math.round(n));
   }
 
   /** Format with two decimals: $5,829.99 */
   function fmtCents(n) {
-    return '$' + Number(n).toFixed(2).replace(/\d(?=(\d{3})+\.)/g, '$&,');
+    return Units.money(n, 2);
+  }
+
+  /** Format an electricity price: $0.12, or $0.078 when it needs the third decimal */
+  function fmtRate(n) {
+    return Units.money(n, Math.round(n * 1000) % 10 ? 3 : 2);
+  }
+
+  /** Format a whole number in the current locale: 1,240 */
+  function fmtNum(n) {
+    return Units.number(Math.round(n));
+  }
+
+  /** Format a US-unit quantity in the current unit system: 12.5 acres / 5.06 ha */
+  function qty(n, kind, decimals) {
+    return Units.quantity(n, kind, decimals);
+  }
+
+  /** US-unit value in the current unit system, without the unit */
+  function inUnits(n, kind, decimals) {
+    return Units.number(Units.fromImperial(Number(n), kind), decimals === undefined ? 2 : decimals);
+  }
+
+  /** Today's date, spelled out in the current locale */
+  function today() {
+    return new Date().toLocaleDateString(Units.settings().locale, {
+      year: 'numeric', month: 'long', day: 'numeric'
+    });
+  }
+
+  /** Electricity rate as entered, with the effective $/kWh when it differs */
+  function electricityRateLabel(inputs, effective) {
+    var label = inputs.electricityRateMode === 'tou'
+      ? t('{peak} peak / {offPeak} off-peak ({share}% off-peak)', {
+          peak: fmtRate(inputs.electricityRate), offPeak: fmtRate(inputs.offPeakRate), share: inputs.offPeakShare
+        })
+      : fmtRate(inputs.electricityRate) + '/kWh';
+    if (inputs.solarOffset) label += ', ' + t('{pct}% solar', { pct: inputs.solarOffset });
+    return effective !== inputs.electricityRate ? label + ' = ' + fmtRate(effective) + '/kWh' : label;
+  }
+
+  /** Format a payback period: 2.4 years, or N/A when it never pays back */
+  function yearsLabel(n) {
+    return n === Infinity ? t('N/A') : t('{n} years', { n: Units.fixed(n, 1) });
+  }
+
+  /** IRR as a percentage; unbounded when little or nothing is paid up front */
+  function irrLabel(n) {
+    if (n === null) return t('N/A');
+    return n === Infinity ? t('Unbounded') : Units.fixed(n, 1) + '%';
+  }
+
+  /** Escape user-entered text (e.g. zone names) for the HTML document */
+  function esc(str) {
+    return String(str).replace(/[&<>"']/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+    });
+  }
+
+  /** Readable terrain label for a mowing zone */
+  function terrainLabel(terrain) {
+    var labels = { flat: 'Flat', hilly: 'Hilly', rough: 'Rough' };
+    return t(labels[terrain] || labels.flat);
   }
 
   /** Readable property type label */
@@ -54,7 +126,27 @@
       golf: 'Golf Course',
       athletic: 'Athletic Fields'
     };
-    return labels[type] || 'Commercial Property';
+    return t(labels[type] || 'Commercial Property');
+  }
+
+  /** Readable purchase option label */
+  function purchaseLabel(mode) {
+    var labels = {
+      cash: 'Cash Purchase',
+      loan: 'Term Loan',
+      lease: 'Operating Lease'
+    };
+    return t(labels[mode] || labels.cash);
+  }
+
+  /** Readable depreciation method label */
+  function depreciationLabel(method) {
+    var labels = {
+      macrs5: 'MACRS 5-year',
+      section179: 'Section 179 expensing',
+      straightline: 'straight-line over 5 years'
+    };
+    return t(labels[method] || labels.macrs5);
   }
 
   /** Page-break div */
@@ -69,7 +161,7 @@
 
   /** Standard page wrapper close (includes footer) */
   function pageClose() {
-    return FOOTER_HTML + '</div>';
+    return footerHtml() + '</div>';
   }
 
   /** Section heading */
@@ -134,9 +226,7 @@
 
   /** Page 1 -- Cover */
   function buildCover(inputs) {
-    var date = new Date().toLocaleDateString('en-US', {
-      year: 'numeric', month: 'long', day: 'numeric'
-    });
+    var date = today();
 
     return pageOpen() +
       '<div style="text-align:center;padding-top:120px;">' +
@@ -144,9 +234,11 @@
           ';font-weight:bold;text-transform:uppercase;margin-bottom:8px;">Autonomous Mowing Solutions</div>' +
         '<div style="width:80px;height:4px;background:' + ORANGE + ';margin:0 auto 40px auto;"></div>' +
         '<h1 style="font-family:Arial,sans-serif;font-size:36px;color:' + DARK +
-          ';margin:0 0 16px 0;">ROI Analysis Report</h1>' +
-        '<p style="font-size:18px;color:#555;margin:0 0 8px 0;">Prepared for ' +
-          propertyLabel(inputs.propertyType) + ' &mdash; ' + inputs.acreage + ' Acres</p>' +
+          ';margin:0 0 16px 0;">' + t('ROI Analysis Report') + '</h1>' +
+        '<p style="font-size:18px;color:#555;margin:0 0 8px 0;">' +
+          t('Prepared for {property} &mdash; {area} {area:name}s', {
+            property: propertyLabel(inputs.propertyType), area: inUnits(inputs.acreage, 'area')
+          }) + '</p>' +
         '<p style="font-size:14px;color:#888;margin:0 0 60px 0;">' + date + '</p>' +
         '<div style="width:120px;height:4px;background:' + ORANGE + ';margin:0 auto;"></div>' +
       '</div>' +
@@ -161,22 +253,27 @@
     var metricsTable =
       '<table style="width:100%;border-collapse:collapse;margin-bottom:20px;">' +
         metricRow([
-          { label: 'Projected Annual Savings', value: fmt(results.netAnnualSavings) },
-          { label: 'Payback Period', value: investmentMetrics.paybackYears === Infinity ? 'N/A' : investmentMetrics.paybackYears.toFixed(1) + ' years' },
-          { label: 'Return on Investment', value: investmentMetrics.roi === Infinity ? 'N/A' : investmentMetrics.roi.toFixed(0) + '%' }
+          { label: t('Projected Annual Savings'), value: fmt(results.netAnnualSavings) },
+          { label: t('Payback Period'), value: yearsLabel(investmentMetrics.paybackYears) },
+          { label: t('Return on Investment'), value: investmentMetrics.roi === Infinity ? t('N/A') : Units.fixed(investmentMetrics.roi, 0) + '%' }
+        ]) +
+        metricRow([
+          { label: t('Labor Hours Saved'), value: t('{n} hrs/year', { n: Units.number(results.labor.hoursSaved, 1) }) },
+          { label: t('CO\u2082 Reduction'), value: t('{amount}/year', { amount: qty(env.co2Reduced, 'mass') }) },
+          { label: t('Tree Equivalents'), value: t('{n} trees', { n: fmtNum(env.treeEquivalents) }) }
         ]) +
         metricRow([
-          { label: 'Labor Hours Saved', value: results.labor.hoursSaved.toLocaleString('en-US') + ' hrs/year' },
-          { label: 'CO\u2082 Reduction', value: Math.round(env.co2Reduced).toLocaleString('en-US') + ' lbs/year' },
-          { label: 'Tree Equivalents', value: Math.round(env.treeEquivalents) + ' trees' }
+          { label: t('Net Present Value ({rate}%)', { rate: Units.number(investmentMetrics.discountRate, 2) }), value: fmt(investmentMetrics.npv) },
+          { label: t('Internal Rate of Return'), value: irrLabel(investmentMetrics.irr) },
+          { label: t('Discounted Payback'), value: yearsLabel(investmentMetrics.discountedPaybackYears) }
         ]) +
       '</table>';
 
     return pageOpen() +
-      heading('Executive Summary') +
+      heading(t('Executive Summary')) +
       '<p style="font-size:14px;color:#555;margin-bottom:24px;font-family:Arial,sans-serif;">' +
-        'Based on your property details, transitioning to autonomous mowing is projected to deliver ' +
-        'significant cost savings and operational improvements.' +
+        t('Based on your property details, transitioning to autonomous mowing is projected to deliver ' +
+        'significant cost savings and operational improvements.') +
       '</p>' +
       metricsTable +
       pageClose();
@@ -203,41 +300,107 @@
   }
 
   /** Page 3 -- Equipment Recommendation */
-  function buildEquipmentPage(equipment) {
+  function buildEquipmentPage(equipment, investmentMetrics, inputs) {
     // Investment breakdown
-    var breakdownRows = [['Item', 'Cost']];
+    var breakdownRows = [[t('Item'), t('Cost')]];
     for (var b = 0; b < equipment.breakdown.length; b++) {
-      breakdownRows.push([equipment.breakdown[b].label, fmtCents(equipment.breakdown[b].amount)]);
+      var line = equipment.breakdown[b];
+      var label = line.shared ? line.label + ' ' + t('(main area shared with a neighboring site)') : line.label;
+      breakdownRows.push([label, fmtCents(line.amount)]);
     }
-    breakdownRows.push(['Total Investment', fmtCents(equipment.costs.totalInvestment)]);
+    breakdownRows.push([t('Total Investment'), fmtCents(equipment.costs.totalInvestment)]);
 
     // Annual service breakdown
-    var serviceRows = [['Service', 'Annual Cost']];
+    var serviceRows = [[t('Service'), t('Annual Cost')]];
     for (var s = 0; s < equipment.annualBreakdown.length; s++) {
       serviceRows.push([equipment.annualBreakdown[s].label, fmtCents(equipment.annualBreakdown[s].amount)]);
     }
-    serviceRows.push(['Total Annual Service', fmtCents(equipment.costs.annualService)]);
+    serviceRows.push([t('Total Annual Service'), fmtCents(equipment.costs.annualService)]);
+
+    // Fleet by mowing zone (only when the property was entered as zones)
+    var zonesHtml = '';
+    if (inputs && inputs.zones && inputs.zones.length) {
+      var zoneRows = [[t('Zone'), t('Terrain'), t('Automated {area:name}s'), t('Fleet'), t('Units'), t('Houses'), t('Ref. Station')]];
+      equipment.zones.forEach(function (z) {
+        zoneRows.push([esc(z.name), terrainLabel(z.terrain), inUnits(z.targetAcreage, 'area', 1), z.fleetLabel, z.unitsNeeded.toString(),
+          z.houses.toString(), z.remote ? t('{n} own', { n: z.referenceStations }) : t('Main')]);
+      });
+      zonesHtml =
+        '<h3 style="font-family:Arial,sans-serif;font-size:16px;color:' + DARK + ';margin:24px 0 8px 0;">' + t('Fleet by Zone') + '</h3>' +
+        buildTable(zoneRows, { alignRight: [2, 4] });
+    }
+    var mixedFleet = equipment.fleet && equipment.fleet.length > 1;
+
+    // Current mowers sold and the replacements they no longer need
+    var legacyHtml = '';
+    if (investmentMetrics.resaleCredit > 0 || investmentMetrics.avoidedCapexPerYear > 0) {
+      legacyHtml =
+        '<h3 style="font-family:Arial,sans-serif;font-size:16px;color:' + DARK + ';margin:24px 0 8px 0;">' + t('Current Mower Fleet') + '</h3>' +
+        buildTable([
+          [t('Item'), t('Amount')],
+          [t('Resale of retired mowers (year 1)'), '\u2212' + fmt(investmentMetrics.resaleCredit)],
+          [t('Avoided mower replacements (average per year)'), fmt(investmentMetrics.avoidedCapexPerYear)],
+          [t('Net Investment'), fmt(investmentMetrics.netInvestment)]
+        ], { alignRight: [1], boldLastRow: true });
+    }
+    var cap = equipment.capacity;
+
+    // Financing terms (loan / lease only)
+    var f = investmentMetrics.financing;
+    var financingHtml = '';
+    if (f.mode !== 'cash') {
+      var financingRows = [
+        [t('Financing'),       purchaseLabel(f.mode)],
+        [t('Paid Up Front'),   fmtCents(f.upfront)],
+        [t('Monthly Payment'), fmtCents(f.monthlyPayment) + (f.estimatedPayment ? ' ' + t('(estimated)') : '')],
+        [t('Term'),            t('{n} months', { n: f.termMonths })]
+      ];
+      if (f.mode === 'lease') financingRows.push([t('End-of-Lease Buyout'), fmtCents(f.buyout)]);
+      financingRows.push([t('Total Paid'), fmtCents(f.totalPaid)]);
+      financingHtml =
+        '<h3 style="font-family:Arial,sans-serif;font-size:16px;color:' + DARK + ';margin:24px 0 8px 0;">' + t('Financing') + '</h3>' +
+        buildTable(financingRows, { alignRight: [1], boldLastRow: true });
+    }
 
     return pageOpen() +
-      heading('Equipment Recommendation') +
+      heading(t('Equipment Recommendation')) +
       '<div style="background:#f5f5f5;border-left:4px solid ' + ORANGE +
         ';padding:16px 20px;margin-bottom:20px;border-radius:0 8px 8px 0;font-family:Arial,sans-serif;">' +
         '<div style="font-size:18px;font-weight:bold;color:' + DARK + ';margin-bottom:4px;">' +
-          equipment.model.name +
+          (mixedFleet ? t('Mixed Fleet: {fleet}', { fleet: equipment.fleetLabel }) : equipment.model.name) +
         '</div>' +
         '<div style="font-size:14px;color:#555;">' +
-          'Quantity: ' + equipment.unitsNeeded + ' unit' + (equipment.unitsNeeded > 1 ? 's' : '') +
-          ' &nbsp;&bull;&nbsp; Coverage: ' + equipment.model.coverage + ' acres each' +
-          ' &nbsp;&bull;&nbsp; Target: ' + equipment.targetAcreage.toFixed(1) + ' acres' +
+          t(equipment.unitsNeeded > 1 ? 'Quantity: {n} units' : 'Quantity: {n} unit', { n: equipment.unitsNeeded }) +
+          (mixedFleet ? '' : ' &nbsp;&bull;&nbsp; ' + t('Coverage: {area} each', { area: qty(equipment.model.coverage, 'area', 2) })) +
+          ' &nbsp;&bull;&nbsp; ' + t('Target: {area}', { area: qty(equipment.targetAcreage, 'area', 1) }) +
         '</div>' +
         '<div style="font-size:13px;color:#777;margin-top:6px;">' +
-          equipment.model.description +
+          (mixedFleet ? t('Each mowing zone is fitted with the series suited to its terrain.') : equipment.model.description) +
         '</div>' +
+        (cap
+          ? '<div style="font-size:13px;color:' + (cap.sufficient ? '#777' : DARK) + ';margin-top:6px;">' +
+              t(cap.sufficient
+                ? 'Schedule check: {needed} of mowing a week at {hours} scheduled hrs per mower uses {utilization}% of fleet capacity.'
+                : cap.addedUnits === 1
+                  ? 'Schedule check: {needed} of mowing a week at {hours} scheduled hrs per mower; {added} unit was added ' +
+                    'beyond rated coverage to keep up with the schedule.'
+                  : 'Schedule check: {needed} of mowing a week at {hours} scheduled hrs per mower; {added} units were added ' +
+                    'beyond rated coverage to keep up with the schedule.', {
+                needed: qty(cap.neededAcresPerWeek, 'area', 1),
+                hours: Units.number(cap.scheduledHoursPerWeek, 1),
+                utilization: Math.round(cap.utilization),
+                added: cap.addedUnits
+              }) +
+            '</div>'
+          : '') +
       '</div>' +
-      '<h3 style="font-family:Arial,sans-serif;font-size:16px;color:' + DARK + ';margin:24px 0 8px 0;">Investment Breakdown</h3>' +
+      '<h3 style="font-family:Arial,sans-serif;font-size:16px;color:' + DARK + ';margin:24px 0 8px 0;">' + t('Investment Breakdown') + '</h3>' +
       buildTable(breakdownRows, { alignRight: [1], boldLastRow: true }) +
-      '<h3 style="font-family:Arial,sans-serif;font-size:16px;color:' + DARK + ';margin:24px 0 8px 0;">Annual Service Costs</h3>' +
+      zonesHtml +
+      '<h3 style="font-family:Arial,sans-serif;font-size:16px;color:' + DARK + ';margin:24px 0 8px 0;">' + t('Annual Service Costs') + '</h3>' +
       buildTable(serviceRows, { alignRight: [1], boldLastRow: true }) +
+      legacyHtml +
+      financingHtml +
       pageClose();
   }
 
@@ -255,151 +418,496 @@
     var totalSavings       = cur.total - totalAutomated;
 
     var rows = [
-      ['Category', 'Current Cost', 'Automated Cost', 'Savings'],
-      ['Labor',                      fmt(cur.labor),      fmt(automatedLabor),     fmt(sav.labor)],
-      ['Fuel',                       fmt(cur.fuel),       fmt(automatedFuel),      fmt(sav.fuel)],
-      ['Equipment Maintenance',      fmt(cur.equipment),  fmt(automatedEquipment), fmt(sav.equipment)],
-      ['Robotic Maintenance',        '\u2014',            fmt(nc.maintenance),     '\u2014'],
-      ['Electricity',                '\u2014',            fmt(nc.electricity),     '\u2014'],
-      ['Total',                      fmt(cur.total),      fmt(totalAutomated),     fmt(totalSavings)]
+      [t('Category'), t('Current Cost'), t('Automated Cost'), t('Savings')],
+      [t('Labor'),                   fmt(cur.labor),      fmt(automatedLabor),     fmt(sav.labor)],
+      [t('Fuel'),                    fmt(cur.fuel),       fmt(automatedFuel),      fmt(sav.fuel)],
+      [t('Equipment Maintenance'),   fmt(cur.equipment),  fmt(automatedEquipment), fmt(sav.equipment)],
+      [t('Robotic Maintenance'),     '\u2014',            fmt(nc.maintenance),     '\u2014'],
+      [t('Electricity'),             '\u2014',            fmt(nc.electricity),     '\u2014'],
+      [t('Total'),                   fmt(cur.total),      fmt(totalAutomated),     fmt(totalSavings)]
     ];
 
     return pageOpen() +
-      heading('Cost Analysis') +
+      heading(t('Cost Analysis')) +
       '<p style="font-size:14px;color:#555;margin-bottom:16px;font-family:Arial,sans-serif;">' +
-        'Side-by-side comparison of your current annual mowing costs versus projected costs with autonomous mowing.' +
+        t('Side-by-side comparison of your current annual mowing costs versus projected costs with autonomous mowing.') +
       '</p>' +
       buildTable(rows, { alignRight: [1, 2, 3], boldLastRow: true }) +
       '<div style="background:#eaf7ea;border-radius:8px;padding:16px 20px;margin-top:8px;font-family:Arial,sans-serif;">' +
-        '<span style="font-size:14px;color:#2d7a2d;font-weight:bold;">Net Annual Savings: ' +
-          fmt(results.netAnnualSavings) +
+        '<span style="font-size:14px;color:#2d7a2d;font-weight:bold;">' +
+          t('Net Annual Savings: {amount}', { amount: fmt(results.netAnnualSavings) }) +
         '</span>' +
-        '<span style="font-size:12px;color:#555;margin-left:12px;">(after robotic maintenance &amp; electricity)</span>' +
+        '<span style="font-size:12px;color:#555;margin-left:12px;">' + t('(after robotic maintenance &amp; electricity)') + '</span>' +
       '</div>' +
       pageClose();
   }
 
-  /** Page 5 -- 5-Year Projection */
-  function buildProjection(projection) {
-    var rows = [['Year', 'Traditional Cost', 'Automated Cost', 'Annual Savings', 'Cumulative Savings']];
+  /** Page 5 -- Multi-Year Projection (length follows the analysis horizon) */
+  function buildProjection(projection, inputs, investmentMetrics) {
+    var includeTax = inputs.includeTax;
+    var header = [t('Year'), t('Traditional Cost'), t('Automated Cost'), t('Annual Savings')];
+    if (includeTax) header.push(t('After-Tax Savings'));
+    header.push(t('Cumulative Savings'));
+    var rows = [header];
 
     for (var y = 0; y < projection.length; y++) {
       var p = projection[y];
-      rows.push([
-        'Year ' + p.year,
+      var row = [
+        t('Year {n}', { n: p.year }),
         fmt(p.traditionalCost),
         fmt(p.automatedCost),
-        fmt(p.annualSavings),
-        fmt(p.cumulativeSavings)
-      ]);
+        fmt(p.annualSavings)
+      ];
+      if (includeTax) row.push(fmt(p.afterTaxSavings));
+      row.push(fmt(p.cumulativeSavings));
+      rows.push(row);
     }
 
     // Summary row: totals
     var totalTraditional = 0;
     var totalAutomated   = 0;
     var totalAnnualSav   = 0;
+    var totalAfterTax    = 0;
     for (var j = 0; j < projection.length; j++) {
       totalTraditional += projection[j].traditionalCost;
       totalAutomated   += projection[j].automatedCost;
       totalAnnualSav   += projection[j].annualSavings;
+      totalAfterTax    += projection[j].afterTaxSavings;
     }
-    rows.push([
-      '5-Year Total',
+    var totalRow = [
+      t('{n}-Year Total', { n: projection.length }),
       fmt(totalTraditional),
       fmt(totalAutomated),
-      fmt(totalAnnualSav),
-      fmt(projection[projection.length - 1].cumulativeSavings)
-    ]);
+      fmt(totalAnnualSav)
+    ];
+    if (includeTax) totalRow.push(fmt(totalAfterTax));
+    totalRow.push(fmt(projection[projection.length - 1].cumulativeSavings));
+    rows.push(totalRow);
+
+    var taxNote = '';
+    if (includeTax) {
+      var payback = investmentMetrics.afterTaxPaybackYears;
+      taxNote =
+        '<div style="background:#f9f9f9;border-radius:8px;padding:16px 20px;margin-top:8px;font-family:Arial,sans-serif;font-size:13px;color:#444;">' +
+          '<strong>' + t('After-tax payback: {payback}', { payback: yearsLabel(payback) }) + '</strong>' +
+          ' &nbsp;(' + t('{rate}% marginal rate, {method}', {
+            rate: Units.number(inputs.taxRate, 2), method: depreciationLabel(inputs.depreciationMethod)
+          }) + ')' +
+        '</div>';
+    }
+
+    // Lifecycle items (already in the automated cost) and the residual credit
+    var lifecycleRows = [[t('Year'), t('Lifecycle Item'), t('Cost')]];
+    projection.forEach(function (p) {
+      (p.lifecycleItems || []).forEach(function (item) {
+        lifecycleRows.push([t('Year {n}', { n: p.year }), t(item.name), fmt(item.cost)]);
+      });
+      if (p.residualValue) {
+        lifecycleRows.push([t('Year {n}', { n: p.year }), t('Residual fleet value (credit)'), '\u2212' + fmt(p.residualValue)]);
+      }
+    });
+    var lifecycleHtml = lifecycleRows.length > 1
+      ? '<h3 style="font-family:Arial,sans-serif;font-size:16px;color:' + DARK + ';margin:24px 0 8px 0;">' + t('Equipment Lifecycle') + '</h3>' +
+        buildTable(lifecycleRows, { alignRight: [2] })
+      : '';
 
     return pageOpen() +
-      heading('5-Year Projection') +
+      heading(t('{n}-Year Projection', { n: projection.length })) +
       '<p style="font-size:14px;color:#555;margin-bottom:16px;font-family:Arial,sans-serif;">' +
-        'Year-over-year cost comparison accounting for annual labor and fuel cost increases.' +
+        t('Year-over-year cost comparison accounting for annual labor and fuel cost increases.') +
       '</p>' +
-      buildTable(rows, { alignRight: [1, 2, 3, 4], boldLastRow: true }) +
+      buildTable(rows, { alignRight: includeTax ? [1, 2, 3, 4, 5] : [1, 2, 3, 4], boldLastRow: true }) +
+      taxNote +
+      lifecycleHtml +
       pageClose();
   }
 
-  /** Page 6 -- Environmental Impact */
+  /** Page 6 -- Sensitivity Analysis (only when sensitivity results are supplied) */
+  function buildSensitivity(sensitivity) {
+    var rows = [[
+      t('Assumption'),
+      t('{change}% Savings', { change: '\u2212' + sensitivity.variation }),
+      t('{change}% Savings', { change: '+' + sensitivity.variation }),
+      t('Swing'),
+      t('Payback Range')
+    ]];
+
+    for (var i = 0; i < sensitivity.rows.length; i++) {
+      var r = sensitivity.rows[i];
+      var paybacks = [r.low.paybackYears, r.high.paybackYears].sort(function (a, b) { return a - b; });
+      rows.push([
+        t(r.label),
+        fmt(r.low.netAnnualSavings),
+        fmt(r.high.netAnnualSavings),
+        fmt(r.swing),
+        yearsLabel(paybacks[0]) + ' \u2013 ' + yearsLabel(paybacks[1])
+      ]);
+    }
+
+    return pageOpen() +
+      heading(t('Sensitivity Analysis')) +
+      '<p style="font-size:14px;color:#555;margin-bottom:16px;font-family:Arial,sans-serif;">' +
+        t('Each assumption is moved {pct}% down and up while all others are held constant. ' +
+        'Rows are ordered by how far net annual savings swing, so the assumptions worth verifying first are at the top.',
+        { pct: sensitivity.variation }) +
+      '</p>' +
+      buildTable(rows, { alignRight: [1, 2, 3, 4] }) +
+      '<div style="background:#f9f9f9;border-radius:8px;padding:16px 20px;margin-top:8px;font-family:Arial,sans-serif;font-size:13px;color:#444;">' +
+        t('Base case: <strong>{savings}</strong> net annual savings, <strong>{payback}</strong> payback.', {
+          savings: fmt(sensitivity.base.netAnnualSavings), payback: yearsLabel(sensitivity.base.paybackYears)
+        }) +
+      '</div>' +
+      pageClose();
+  }
+
+  /** Page 6b -- Risk Simulation (only when a simulation has been run) */
+  function buildSimulation(simulation, projection) {
+    var s = simulation;
+    var rows = [
+      [t('Outcome'), t('P10 (Pessimistic)'), t('P50 (Median)'), t('P90 (Optimistic)')],
+      [t('Net Annual Savings'), fmt(s.netAnnualSavings.p10), fmt(s.netAnnualSavings.p50), fmt(s.netAnnualSavings.p90)],
+      [t('{n}-Year Cumulative Savings', { n: projection.length }), fmt(s.cumulativeSavings.p10), fmt(s.cumulativeSavings.p50), fmt(s.cumulativeSavings.p90)],
+      [t('Payback Period'), yearsLabel(s.paybackYears.p90), yearsLabel(s.paybackYears.p50), yearsLabel(s.paybackYears.p10)]
+    ];
+
+    var rangeRows = [[t('Assumption'), t('Low'), t('Most Likely'), t('High'), t('Distribution')]];
+    for (var i = 0; i < s.ranges.length; i++) {
+      var r = s.ranges[i];
+      var kind = Units.INPUT_KINDS[r.key];
+      rangeRows.push([
+        t(r.label),
+        kind ? inUnits(r.min, kind) : Units.number(r.min, 2),
+        kind ? inUnits(r.mode, kind) : Units.number(r.mode, 2),
+        kind ? inUnits(r.max, kind) : Units.number(r.max, 2),
+        r.shape === 'uniform' ? t('Uniform') : t('Triangular')
+      ]);
+    }
+
+    return pageOpen() +
+      heading(t('Risk Simulation')) +
+      '<p style="font-size:14px;color:#555;margin-bottom:16px;font-family:Arial,sans-serif;">' +
+        t('{n} Monte Carlo scenarios, each drawing every assumption below from its range. ' +
+        'P10 means 90% of scenarios did at least this well.', { n: fmtNum(s.iterations) }) +
+      '</p>' +
+      buildTable(rows, { alignRight: [1, 2, 3] }) +
+      '<div style="background:#eaf7ea;border-radius:8px;padding:16px 20px;margin:8px 0 24px;font-family:Arial,sans-serif;">' +
+        '<span style="font-size:14px;color:#2d7a2d;font-weight:bold;">' +
+          t(s.paybackTarget === 1
+            ? '{pct} chance of paying back within {n} year'
+            : '{pct} chance of paying back within {n} years', {
+            pct: Math.round(s.probabilityPayback * 100) + '%', n: Units.number(s.paybackTarget, 1)
+          }) +
+        '</span>' +
+      '</div>' +
+      buildTable(rangeRows, { alignRight: [1, 2, 3] }) +
+      pageClose();
+  }
+
+  /** Page 2b -- Scenario Comparison (only when two or more scenarios are saved) */
+  function buildScenarios(scenarios) {
+    var names = scenarios.map(function (s) { return t(s.name); });
+    var header = [t('Metric')].concat(names);
+
+    function row(label, valueFn) {
+      return [t(label)].concat(scenarios.map(valueFn));
+    }
+
+    var rows = [
+      header,
+      row('Automation Level',   function (s) { return s.inputs.automationLevel + '%'; }),
+      row('Labor Reduction',    function (s) { return s.inputs.maintenanceType === 'outsourced' ? t('N/A') : s.inputs.laborReduction + '%'; }),
+      row('Mower Model',        function (s) { return s.equipment.fleetLabel; }),
+      row('Purchase Option',    function (s) { return purchaseLabel(s.metrics.financing.mode); }),
+      row('Total Investment',   function (s) { return fmt(s.equipment.costs.totalInvestment); }),
+      row('Annual Service',     function (s) { return fmt(s.equipment.costs.annualService); }),
+      row('Net Annual Savings', function (s) { return fmt(s.results.netAnnualSavings); }),
+      row('Payback Period',     function (s) { return yearsLabel(s.metrics.paybackYears); }),
+      row('ROI',                function (s) { return s.metrics.roi === Infinity ? t('N/A') : Math.round(s.metrics.roi) + '%'; }),
+      row('NPV',                function (s) { return fmt(s.metrics.npv); })
+    ];
+
+    // Cumulative savings by year, across the longest horizon
+    var years = 0;
+    scenarios.forEach(function (s) { years = Math.max(years, s.projection.length); });
+    var cumulativeRows = [[t('Year')].concat(names)];
+    for (var y = 0; y < years; y++) {
+      cumulativeRows.push([t('Year {n}', { n: y + 1 })].concat(scenarios.map(function (s) {
+        return s.projection[y] ? fmt(s.projection[y].cumulativeSavings) : '\u2014';
+      })));
+    }
+
+    var alignRight = scenarios.map(function (s, idx) { return idx + 1; });
+
+    return pageOpen() +
+      heading(t('Scenario Comparison')) +
+      '<p style="font-size:14px;color:#555;margin-bottom:16px;font-family:Arial,sans-serif;">' +
+        t('The saved scenarios side by side. The rest of this report details the most recently calculated scenario.') +
+      '</p>' +
+      buildTable(rows, { alignRight: alignRight }) +
+      '<h3 style="font-family:Arial,sans-serif;font-size:16px;color:' + DARK + ';margin:24px 0 8px 0;">' + t('Cumulative Savings by Year') + '</h3>' +
+      buildTable(cumulativeRows, { alignRight: alignRight }) +
+      pageClose();
+  }
+
+  /** Page 7 -- Environmental Impact */
   function buildEnvironmental(results) {
     var env = results.environmental;
     var rows = [
-      ['Metric', 'Value'],
-      ['CO\u2082 Emissions Reduced',          Math.round(env.co2Reduced).toLocaleString('en-US') + ' lbs/year'],
-      ['Fuel Gallons Saved',                   Math.round(env.fuelGallonsSaved).toLocaleString('en-US') + ' gallons/year'],
-      ['Noise Reduction',                      env.noiseReduction + ' dB (autonomous mowers are significantly quieter)'],
-      ['Tree Equivalents',                     Math.round(env.treeEquivalents) + ' trees absorbing CO\u2082 annually']
+      [t('Metric'), t('Value')],
+      [t('CO\u2082 Emissions Reduced'), t('{amount}/year', { amount: qty(env.co2Reduced, 'mass') })],
+      [t('Fuel Saved'),                 t('{amount}/year', { amount: qty(env.fuelGallonsSaved, 'volume') })],
+      [t('Noise Reduction'),            t('{n} dB (autonomous mowers are significantly quieter)', { n: env.noiseReduction })],
+      [t('Tree Equivalents'),           t('{n} trees absorbing CO\u2082 annually', { n: fmtNum(env.treeEquivalents) })]
     ];
 
     return pageOpen() +
-      heading('Environmental Impact') +
+      heading(t('Environmental Impact')) +
       '<p style="font-size:14px;color:#555;margin-bottom:16px;font-family:Arial,sans-serif;">' +
-        'Autonomous electric mowers eliminate gas engine emissions and operate at a fraction of the noise level, ' +
-        'benefiting both the environment and the people near the mowing areas.' +
+        t('Autonomous electric mowers eliminate gas engine emissions and operate at a fraction of the noise level, ' +
+        'benefiting both the environment and the people near the mowing areas.') +
       '</p>' +
       buildTable(rows, { alignRight: [1] }) +
       '<div style="background:#f0f7ec;border-radius:8px;padding:16px 20px;margin-top:8px;font-family:Arial,sans-serif;font-size:13px;color:#3a6a2a;">' +
-        'Equivalent to taking a car off the road for ' +
-        Math.round(env.co2Reduced / 10180 * 12).toLocaleString('en-US') +
-        ' months or planting ' + Math.round(env.treeEquivalents) + ' new trees.' +
+        t('Equivalent to taking a car off the road for {months} months or planting {trees} new trees.', {
+          months: fmtNum(env.co2Reduced / 10180 * 12), trees: fmtNum(env.treeEquivalents)
+        }) +
       '</div>' +
       pageClose();
   }
 
-  /** Page 7 -- Property Details & Methodology */
-  function buildMethodology(inputs) {
-    var maintenanceLabel = inputs.maintenanceType === 'outsourced' ? 'Outsourced' : 'In-House';
+  /** Page 8 -- Property Details & Methodology */
+  function buildMethodology(inputs, results, region) {
+    var maintenanceLabels = { inhouse: 'In-House', outsourced: 'Outsourced', hybrid: 'Hybrid (In-House + Outsourced)' };
+    var maintenanceLabel = t(maintenanceLabels[inputs.maintenanceType] || maintenanceLabels.inhouse);
 
     var detailRows = [
-      ['Detail', 'Value'],
-      ['Property Type',         propertyLabel(inputs.propertyType)],
-      ['Total Acreage',         inputs.acreage + ' acres'],
-      ['Mowing Season',         inputs.seasonWeeks + ' weeks/year'],
-      ['Mows Per Week',         inputs.mowsPerWeek + 'x'],
-      ['Maintenance Type',      maintenanceLabel],
-      ['Automation Level',      inputs.automationLevel + '%']
+      [t('Detail'), t('Value')],
+      [t('Property Type'),       propertyLabel(inputs.propertyType)],
+      [t('Total Acreage'),       qty(inputs.acreage, 'area', 2)],
+      [t('Mowing Season'),       t('{n} weeks/year', { n: inputs.seasonWeeks })],
+      [t('Mows Per Week'),       Units.number(inputs.mowsPerWeek, 2) + 'x'],
+      [t('Maintenance Type'),    maintenanceLabel],
+      [t('Automation Level'),    inputs.automationLevel + '%'],
+      [t('Analysis Horizon'),    t('{n} years', { n: inputs.analysisYears })]
     ];
 
-    if (inputs.maintenanceType === 'outsourced') {
-      detailRows.push(['Monthly Contract', fmt(inputs.monthlyContract)]);
-    } else {
-      detailRows.push(['Employees',       inputs.employees.toString()]);
-      detailRows.push(['Hourly Rate',     fmt(inputs.hourlyRate)]);
-      detailRows.push(['Mowing Time %',   inputs.mowingTimePercent + '%']);
+    if (inputs.maintenanceType !== 'outsourced') {
+      detailRows.push([t('Employees'),     inputs.employees.toString()]);
+      detailRows.push([t('Hourly Rate'),   fmt(inputs.hourlyRate)]);
+      detailRows.push([t('Mowing Time %'), inputs.mowingTimePercent + '%']);
+    }
+    if (inputs.maintenanceType !== 'inhouse') {
+      detailRows.push([t('Monthly Contract'), fmt(inputs.monthlyContract)]);
     }
+    if (inputs.maintenanceType === 'hybrid') {
+      detailRows.push([t('In-House Acreage'),   qty(inputs.acreage - inputs.outsourcedAcreage, 'area', 2)]);
+      detailRows.push([t('Contractor Acreage'), qty(inputs.outsourcedAcreage, 'area', 2)]);
+    }
+    inputs.zones.forEach(function (z) {
+      detailRows.push([t('Zone: {name}', { name: esc(z.name) }), qty(z.acres, 'area', 2) + ', ' + terrainLabel(z.terrain).toLowerCase() +
+        ', ' + t('{n}x/week', { n: Units.number(z.mowsPerWeek, 2) }) +
+        (z.distanceFt ? ', ' + t('{distance} away', { distance: qty(z.distanceFt, 'length') }) : '')]);
+    });
 
     var assumptionRows = [
-      ['Assumption', 'Value'],
-      ['Annual Labor Cost Increase',  inputs.annualLaborIncrease + '%'],
-      ['Annual Fuel Cost Increase',   inputs.annualFuelIncrease + '%'],
-      ['Labor Reduction (automation)', inputs.laborReduction + '%'],
-      ['Fuel Cost Per Gallon',        fmtCents(inputs.fuelCostPerGallon)],
-      ['CO\u2082 Per Gallon of Fuel', inputs.co2PerGallon + ' lbs'],
-      ['Benefits Rate',               inputs.benefitsRate + '%']
+      [t('Assumption'), t('Value')],
+      [t('Annual Labor Cost Increase'),   Units.number(inputs.annualLaborIncrease, 2) + '%'],
+      [t('Annual Fuel Cost Increase'),    Units.number(inputs.annualFuelIncrease, 2) + '%'],
+      [t('Labor Reduction (automation)'), inputs.laborReduction + '%'],
+      [t('Fuel Cost Per {volume:name}'),  fmtCents(Units.fromImperial(inputs.fuelCostPerGallon, 'perVolume'))],
+      [t('Electricity Rate'),             electricityRateLabel(inputs, results.electricityRate)],
+      [t('Grid CO\u2082 Intensity'),      inputs.gridCo2PerKwh ? qty(inputs.gridCo2PerKwh, 'mass', 3) + '/kWh' : t('Not counted')],
+      [t('CO\u2082 Per {volume:name} of Fuel'), qty(inputs.co2PerGallon, 'massPerVolume', 2)],
+      [t('Benefits Rate'),                inputs.benefitsRate + '%'],
+      [t('Discount Rate (NPV / IRR)'),    Units.number(inputs.discountRate, 2) + '%']
     ];
+    if (inputs.includeTax) {
+      assumptionRows.push(
+        [t('Marginal Tax Rate'),          Units.number(inputs.taxRate, 2) + '%'],
+        [t('Depreciation Method'),        depreciationLabel(inputs.depreciationMethod)]
+      );
+    }
 
     return pageOpen() +
-      heading('Property Details & Methodology') +
-      '<h3 style="font-family:Arial,sans-serif;font-size:16px;color:' + DARK + ';margin:0 0 8px 0;">Property Inputs</h3>' +
+      heading(t('Property Details & Methodology')) +
+      '<h3 style="font-family:Arial,sans-serif;font-size:16px;color:' + DARK + ';margin:0 0 8px 0;">' + t('Property Inputs') + '</h3>' +
       buildTable(detailRows, { alignRight: [1] }) +
-      '<h3 style="font-family:Arial,sans-serif;font-size:16px;color:' + DARK + ';margin:24px 0 8px 0;">Key Assumptions</h3>' +
+      '<h3 style="font-family:Arial,sans-serif;font-size:16px;color:' + DARK + ';margin:24px 0 8px 0;">' + t('Key Assumptions') + '</h3>' +
       buildTable(assumptionRows, { alignRight: [1] }) +
       '<div style="background:#f9f9f9;border-radius:8px;padding:16px 20px;margin-top:16px;font-family:Arial,sans-serif;font-size:12px;color:#666;">' +
-        '<strong>Methodology Notes</strong><br>' +
-        'Labor savings are calculated based on the automation level and the expected labor reduction percentage. ' +
-        'Fuel savings assume full displacement of gas-powered mowing for the automated acreage. ' +
-        'Equipment savings reflect reduced wear and maintenance on traditional mowers. ' +
-        'New costs include robotic mower maintenance subscriptions and electricity for charging. ' +
-        'Projection years apply compounding annual increases for labor and fuel costs. ' +
-        'Environmental calculations use EPA standard emission factors for gasoline-powered equipment.' +
+        '<strong>' + t('Methodology Notes') + '</strong><br>' +
+        t('Labor savings are calculated based on the automation level and the expected labor reduction percentage. ') +
+        t('Fuel savings assume full displacement of gas-powered mowing for the automated acreage. ') +
+        (inputs.zones.length
+          ? t('Fuel, electricity and mowing hours are worked out per zone at each zone\'s own mowing frequency, ' +
+            'and each zone is fitted with the mower series suited to its terrain. ' +
+            'Zones beyond the reference station\'s planning range are given their own station; every mower has its own charging house in its zone. ')
+          : '') +
+        t('Equipment savings reflect reduced wear and maintenance on traditional mowers. ') +
+        t('New costs include robotic mower maintenance subscriptions and electricity for charging at {rate} per kWh',
+          { rate: fmtRate(results.electricityRate) }) +
+          (inputs.electricityRateMode === 'tou' ? t(', blending the peak and off-peak rates by the share charged off-peak') : '') +
+          (inputs.solarOffset ? t(', less the {pct}% of charging covered by on-site solar', { pct: inputs.solarOffset }) : '') + '. ' +
+        t('Projection years apply compounding annual increases for labor and fuel costs, and add equipment lifecycle ' +
+        'costs (blades, batteries, mower replacement) in the years they fall due, with the fleet\'s remaining ' +
+        'straight-line value credited in the final year. ') +
+        t('NPV, IRR and discounted payback discount each projection year\'s savings at the stated discount rate, ' +
+        'with the equipment investment as the year-0 outflow. ') +
+        t('Environmental calculations use EPA standard emission factors for gasoline-powered equipment') +
+          (inputs.gridCo2PerKwh ? t(', less the grid emissions from charging the robotic fleet') : '') + '.' +
+        (region
+          ? '<br><br><strong>' + t('Regional Defaults') + '</strong><br>' +
+            t('Wage, fuel, season, electricity and grid CO\u2082 defaults were prefilled for {region}.', { region: esc(region.name) }) +
+            ' ' + esc(region.source)
+          : '') +
       '</div>' +
       pageClose();
   }
 
+  // ---------------------------------------------------------------------------
+  // Portfolio page builders
+  // ---------------------------------------------------------------------------
+
+  /** Portfolio cover */
+  function buildPortfolioCover(totals) {
+    var date = today();
+
+    return pageOpen() +
+      '<div style="text-align:center;padding-top:120px;">' +
+        '<div style="font-size:14px;letter-spacing:4px;color:' + ORANGE +
+          ';font-weight:bold;text-transform:uppercase;margin-bottom:8px;">Autonomous Mowing Solutions</div>' +
+        '<div style="width:80px;height:4px;background:' + ORANGE + ';margin:0 auto 40px auto;"></div>' +
+        '<h1 style="font-family:Arial,sans-serif;font-size:36px;color:' + DARK +
+          ';margin:0 0 16px 0;">' + t('Portfolio ROI Report') + '</h1>' +
+        '<p style="font-size:18px;color:#555;margin:0 0 8px 0;">' +
+          t(totals.sites === 1 ? '{n} Site &mdash; {area} {area:name}s' : '{n} Sites &mdash; {area} {area:name}s', {
+            n: totals.sites, area: inUnits(totals.acreage, 'area')
+          }) + '</p>' +
+        '<p style="font-size:14px;color:#888;margin:0 0 60px 0;">' + date + '</p>' +
+        '<div style="width:120px;height:4px;background:' + ORANGE + ';margin:0 auto;"></div>' +
+      '</div>' +
+      pageClose();
+  }
+
+  /** Portfolio summary -- rolled-up metrics */
+  function buildPortfolioSummary(totals) {
+    var metricsTable =
+      '<table style="width:100%;border-collapse:collapse;margin-bottom:20px;">' +
+        metricRow([
+          { label: t('Net Annual Savings'), value: fmt(totals.netSavings) },
+          { label: t('Portfolio Payback'), value: yearsLabel(totals.paybackYears) },
+          { label: t('Portfolio ROI'), value: totals.roi === Infinity ? t('N/A') : Units.fixed(totals.roi, 0) + '%' }
+        ]) +
+        metricRow([
+          { label: t('Total Investment'), value: fmt(totals.totalInvestment) },
+          { label: t('Combined NPV'), value: fmt(totals.npv) },
+          { label: t('Mowers'), value: totals.unitsNeeded.toString() }
+        ]) +
+        metricRow([
+          { label: t('Labor Hours Saved'), value: t('{n} hrs/year', { n: Units.number(totals.laborHoursSaved, 1) }) },
+          { label: t('CO\u2082 Reduction'), value: t('{amount}/year', { amount: qty(totals.co2Reduced, 'mass') }) },
+          { label: t('Tree Equivalents'), value: t('{n} trees', { n: fmtNum(totals.treeEquivalents) }) }
+        ]) +
+      '</table>';
+
+    return pageOpen() +
+      heading(t('Portfolio Summary')) +
+      '<p style="font-size:14px;color:#555;margin-bottom:24px;font-family:Arial,sans-serif;">' +
+        t('Combined results for every site in the portfolio. Savings are net of the robotic fleet\'s running ' +
+        'and service costs; payback and ROI compare the combined savings with the combined investment.') +
+      '</p>' +
+      metricsTable +
+      (totals.sharedSavings > 0
+        ? '<p style="font-size:13px;color:#555;font-family:Arial,sans-serif;">' +
+            t('Neighboring sites sharing reference stations ({n} stations in total) reduce the investment by {amount}.', {
+              n: totals.referenceStations, amount: fmt(totals.sharedSavings)
+            }) +
+          '</p>'
+        : '') +
+      pageClose();
+  }
+
+  /** Portfolio sites ranked by payback */
+  function buildPortfolioRanking(portfolio) {
+    var rows = [['#', t('Site'), t('Type'), t('{area:name}s'), t('Fleet'), t('Investment'), t('Net Savings'), t('Payback')]];
+    portfolio.sites.forEach(function (s) {
+      rows.push([
+        s.rank.toString(),
+        esc(s.name) + (s.stationGroup ? ' (' + esc(s.stationGroup) + ')' : ''),
+        propertyLabel(s.inputs.propertyType),
+        inUnits(s.inputs.acreage, 'area'),
+        s.equipment.fleetLabel,
+        fmt(s.equipment.costs.totalInvestment),
+        fmt(s.netSavings),
+        yearsLabel(s.metrics.paybackYears)
+      ]);
+    });
+    var totals = portfolio.totals;
+    rows.push(['', t('Portfolio Total'), '', inUnits(totals.acreage, 'area'), t('{n} mowers', { n: totals.unitsNeeded }),
+      fmt(totals.totalInvestment), fmt(totals.netSavings), yearsLabel(totals.paybackYears)]);
+
+    return pageOpen() +
+      heading(t('Sites Ranked by Payback')) +
+      buildTable(rows, { alignRight: [3, 5, 6, 7], boldLastRow: true }) +
+      pageClose();
+  }
+
   // ---------------------------------------------------------------------------
   // Main generate function
   // ---------------------------------------------------------------------------
 
+  /**
+   * Wrap report pages in a print-ready document, open it in a new window
+   * and trigger the print dialog.
+   *
+   * @param {string} html - Page markup (pages separated by pageBreak()).
+   */
+  function openReport(html) {
+    var fullDoc =
+      '<!DOCTYPE html>' +
+      '<html lang="' + I18n.language() + '"><head>' +
+      '<meta charset="UTF-8">' +
+      '<title>' + t('AMS ROI Report') + '</title>' +
+      '<style>' +
+        'body { margin: 0; padding: 40px 50px; background: #fff; color: #222; font-family: Arial, sans-serif; }' +
+        'table { border-collapse: collapse; }' +
+        '.pdf-page-break { page-break-before: always; }' +
+        '@media print {' +
+          'body { padding: 0; }' +
+          '.pdf-page-break { page-break-before: always; }' +
+          '.no-print { display: none !important; }' +
+        '}' +
+      '</style>' +
+      '</head><body>' +
+      '<div class="no-print" style="text-align:center;padding:16px;margin-bottom:24px;' +
+        'background:linear-gradient(135deg,#E37627,#FC832B);color:#fff;border-radius:8px;font-size:15px;">' +
+        '<strong>' + t('Your ROI report is ready!') + '</strong> &nbsp; ' +
+        t('Press {keys} to save as PDF.', {
+          keys: '<kbd style="background:rgba(255,255,255,0.25);padding:2px 8px;border-radius:4px;">' +
+            (navigator.platform.indexOf('Mac') > -1 ? '\u2318 Cmd + P' : 'Ctrl + P') + '</kbd>'
+        }) +
+      '</div>' +
+      html +
+      '</body></html>';
+
+    // Open in a new window
+    var win = window.open('', '_blank');
+    if (!win) {
+      alert(t('Please allow popups to download the report.'));
+      return;
+    }
+    win.document.open();
+    win.document.write(fullDoc);
+    win.document.close();
+
+    // Auto-trigger print dialog after content loads
+    win.onload = function () {
+      setTimeout(function () {
+        win.print();
+      }, 300);
+    };
+  }
+
   /**
    * Generate and download a branded PDF report.
    *
@@ -407,22 +915,28 @@
    * @param {Object} equipment  - Output from Equipment.recommend()
    * @param {Array}  projection - Output from Calculator.calculateProjection()
    * @param {Object} inputs     - The resolved user inputs
+   * @param {Object} [extras]   - Optional sections: { sensitivity } from Sensitivity.analyze(),
+   *                              { simulation } from Simulation.run(),
+   *                              { scenarios } saved scenario snapshots,
+   *                              { region } { name, source } of the regional defaults used
    * @returns {Promise<void>}
    */
-  async function generate(results, equipment, projection, inputs) {
+  async function generate(results, equipment, projection, inputs, extras) {
+    extras = extras || {};
     var btn = document.getElementById('download-pdf-btn');
     var originalBtnHTML = btn ? btn.innerHTML : '';
 
     try {
       if (btn) {
         btn.disabled = true;
-        btn.textContent = 'Opening report\u2026';
+        btn.textContent = t('Opening report\u2026');
       }
 
       // -- 1. Compute investment metrics --
       var investmentMetrics = results.withInvestment(
         equipment.costs.totalInvestment,
-        equipment.costs.annualService
+        equipment.costs.annualService,
+        equipment.lifecycle
       );
 
       // -- 2. Build the full HTML document --
@@ -431,63 +945,67 @@
         pageBreak() +
         buildExecutiveSummary(results, investmentMetrics) +
         pageBreak() +
-        buildEquipmentPage(equipment) +
+        (extras.scenarios && extras.scenarios.length > 1
+          ? buildScenarios(extras.scenarios) + pageBreak()
+          : '') +
+        buildEquipmentPage(equipment, investmentMetrics, inputs) +
         pageBreak() +
         buildCostAnalysis(results) +
         pageBreak() +
-        buildProjection(projection) +
+        buildProjection(projection, inputs, investmentMetrics) +
         pageBreak() +
+        (extras.sensitivity && extras.sensitivity.rows.length
+          ? buildSensitivity(extras.sensitivity) + pageBreak()
+          : '') +
+        (extras.simulation
+          ? buildSimulation(extras.simulation, projection) + pageBreak()
+          : '') +
         buildEnvironmental(results) +
         pageBreak() +
-        buildMethodology(inputs);
-
-      // -- 3. Build a complete print-ready HTML document --
-      var fullDoc =
-        '<!DOCTYPE html>' +
-        '<html><head>' +
-        '<meta charset="UTF-8">' +
-        '<title>AMS ROI Report</title>' +
-        '<style>' +
-          'body { margin: 0; padding: 40px 50px; background: #fff; color: #222; font-family: Arial, sans-serif; }' +
-          'table { border-collapse: collapse; }' +
-          '.pdf-page-break { page-break-before: always; }' +
-          '@media print {' +
-            'body { padding: 0; }' +
-            '.pdf-page-break { page-break-before: always; }' +
-            '.no-print { display: none !important; }' +
-          '}' +
-        '</style>' +
-        '</head><body>' +
-        '<div class="no-print" style="text-align:center;padding:16px;margin-bottom:24px;' +
-          'background:linear-gradient(135deg,#E37627,#FC832B);color:#fff;border-radius:8px;font-size:15px;">' +
-          '<strong>Your ROI report is ready!</strong> &nbsp; ' +
-          'Press <kbd style="background:rgba(255,255,255,0.25);padding:2px 8px;border-radius:4px;">' +
-          (navigator.platform.indexOf('Mac') > -1 ? '\u2318 Cmd + P' : 'Ctrl + P') +
-          '</kbd> to save as PDF.' +
-        '</div>' +
-        html +
-        '</body></html>';
-
-      // -- 4. Open in a new window --
-      var win = window.open('', '_blank');
-      if (!win) {
-        alert('Please allow popups to download the report.');
-        return;
-      }
-      win.document.open();
-      win.document.write(fullDoc);
-      win.document.close();
+        buildMethodology(inputs, results, extras.region);
 
-      // -- 5. Auto-trigger print dialog after content loads --
-      win.onload = function () {
-        setTimeout(function () {
-          win.print();
-        }, 300);
-      };
+      // -- 3. Open it for printing --
+      openReport(html);
 
     } catch (err) {
       console.error('[PDFGenerator] Error generating PDF:', err);
-      alert('There was a problem generating the report. Please try again.');
+      alert(t('There was a problem generating the report. Please try again.'));
+    } finally {
+      if (btn) {
+        btn.disabled = false;
+        btn.innerHTML = originalBtnHTML;
+      }
+    }
+  }
+
+  /**
+   * Generate and download a portfolio report: cover, rolled-up summary and
+   * the sites ranked by payback.
+   *
+   * @param {Object} portfolio - Output from Portfolio.evaluate()
+   * @returns {Promise<void>}
+   */
+  async function generatePortfolio(portfolio) {
+    var btn = document.getElementById('portfolio-pdf-btn');
+    var originalBtnHTML = btn ? btn.innerHTML : '';
+
+    try {
+      if (btn) {
+        btn.disabled = true;
+        btn.textContent = t('Opening report\u2026');
+      }
+
+      openReport(
+        buildPortfolioCover(portfolio.totals) +
+        pageBreak() +
+        buildPortfolioSummary(portfolio.totals) +
+        pageBreak() +
+        buildPortfolioRanking(portfolio)
+      );
+
+    } catch (err) {
+      console.error('[PDFGenerator] Error generating portfolio PDF:', err);
+      alert(t('There was a problem generating the report. Please try again.'));
     } finally {
       if (btn) {
         btn.disabled = false;
@@ -501,7 +1019,8 @@
   // ---------------------------------------------------------------------------
 
   window.PDFGenerator = {
-    generate: generate
+    generate: generate,
+    generatePortfolio: generatePortfolio
   };
 
 })();
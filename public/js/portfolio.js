@@ -0,0 +1,413 @@
+/**
+ * Multi-Site Portfolio Analysis
+ * Autonomous Mowing Solutions ROI Calculator
+ *
+ * Evaluates a list of sites -- each with its own wizard inputs -- through
+ * Calculator.calculateROI and a fleet recommendation, rolls the results up
+ * to portfolio totals and ranks the sites by payback. Sites can be read from
+ * and written to CSV. Neighboring sites given the same station group share
+ * one reference station.
+ *
+ * Pure calculation -- no DOM access.
+ *
+ * Usage:
+ *   var parsed = Portfolio.parseCsv(text);
+ *   var p = Portfolio.evaluate(parsed.sites, {
+ *     recommend: function (resolved, shared) { return Equipment.recommend(...); }
+ *   });
+ *   var csv = Portfolio.toCsv(p);
+ */
+const Portfolio = (function () {
+  'use strict';
+
+  var Calc = typeof Calculator !== 'undefined' ? Calculator : require('./calculator.js');
+  var U = typeof Units !== 'undefined' ? Units : require('./units.js');
+
+  // ---------------------------------------------------------------------------
+  // CSV columns for site import, in template order. Headers match either the
+  // key or the label (case-insensitive); any other column named after a
+  // calculator input (e.g. fuelCostPerGallon) is passed through as well.
+  // ---------------------------------------------------------------------------
+
+  var SITE_COLUMNS = [
+    { key: 'name',              label: 'Site Name' },
+    { key: 'propertyType',      label: 'Property Type' },
+    { key: 'acreage',           label: 'Acreage' },
+    { key: 'seasonWeeks',       label: 'Season Weeks' },
+    { key: 'maintenanceType',   label: 'Maintenance Type' },
+    { key: 'employees',         label: 'Employees' },
+    { key: 'hourlyRate',        label: 'Hourly Rate' },
+    { key: 'mowingTimePercent', label: 'Mowing Time %' },
+    { key: 'monthlyContract',   label: 'Monthly Contract' },
+    { key: 'outsourcedAcreage', label: 'Outsourced Acreage' },
+    { key: 'automationLevel',   label: 'Automation Level' },
+    { key: 'stationGroup',      label: 'Shared Station Group' }
+  ];
+
+  // Accepted spellings for property and maintenance types
+  var TYPE_ALIASES = {
+    'in-house': 'inhouse', 'in house': 'inhouse', inhouse: 'inhouse',
+    outsourced: 'outsourced', hybrid: 'hybrid',
+    commercial: 'commercial', golf: 'golf', 'golf course': 'golf',
+    athletic: 'athletic', 'athletic fields': 'athletic'
+  };
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function round(value, decimals) {
+    var factor = Math.pow(10, decimals || 0);
+    return Math.round(value * factor) / factor;
+  }
+
+  /** Split CSV text into rows of fields (RFC 4180 quoting). */
+  function splitCsv(text) {
+    var rows = [];
+    var row = [];
+    var field = '';
+    var quoted = false;
+
+    for (var c = 0; c < text.length; c++) {
+      var ch = text[c];
+      if (quoted) {
+        if (ch === '"' && text[c + 1] === '"') {
+          field += '"';
+          c++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[c + 1] === '\n') c++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(function (r) {
+      return r.some(function (f) { return f.trim() !== ''; });
+    });
+  }
+
+  /**
+   * Quote a CSV field when it contains a delimiter, quote or newline. Text
+   * that a spreadsheet would read as a formula (=, +, -, @, tab or carriage
+   * return first) is prefixed with an apostrophe so it stays text.
+   */
+  function csvField(value) {
+    var str = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = "'" + str;
+    return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+  }
+
+  /** Convert one CSV cell to the type of the calculator's default value. */
+  function coerce(key, raw, defaults) {
+    var value = raw.trim();
+    if (key === 'propertyType' || key === 'maintenanceType') {
+      return TYPE_ALIASES[value.toLowerCase()] || value.toLowerCase();
+    }
+    if (typeof defaults[key] === 'boolean') {
+      return /^(yes|y|true|1)$/i.test(value);
+    }
+    if (typeof defaults[key] === 'number' || key === 'acreage') {
+      var num = parseFloat(value.replace(/[$,%\s]/g, ''));
+      return isNaN(num) ? undefined : num;
+    }
+    return value;
+  }
+
+  // ---------------------------------------------------------------------------
+  // CSV import / export
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Read sites from CSV text. The first row is the header. Quantities are
+   * read as written; the caller marks their unit system with `inputUnits`.
+   *
+   * @param {string} text
+   * @returns {Object} { sites: [{ name, stationGroup, inputs }], errors: [{ message, row, name }] } --
+   *   rows without a positive acreage are skipped and reported in `errors`.
+   *   Each `message` is English with {row} and {name} placeholders, for the
+   *   caller to translate; `row` and `name` are absent for file-wide errors.
+   */
+  function parseCsv(text) {
+    var rows = splitCsv(String(text || ''));
+    var errors = [];
+    var sites = [];
+
+    if (rows.length < 2) {
+      return { sites: sites, errors: [{ message: 'The file needs a header row and at least one site.' }] };
+    }
+
+    // Map header cells to input keys
+    var defaults = Calc.calculateROI({}).inputs;
+    var keys = rows[0].map(function (header) {
+      var h = header.trim().toLowerCase();
+      for (var k = 0; k < SITE_COLUMNS.length; k++) {
+        if (SITE_COLUMNS[k].key.toLowerCase() === h || SITE_COLUMNS[k].label.toLowerCase() === h) {
+          return SITE_COLUMNS[k].key;
+        }
+      }
+      for (var key in defaults) {
+        if (Object.prototype.hasOwnProperty.call(defaults, key) && key.toLowerCase() === h) return key;
+      }
+      return null;
+    });
+
+    if (keys.indexOf('acreage') === -1) {
+      return { sites: sites, errors: [{ message: 'No Acreage column found.' }] };
+    }
+
+    rows.slice(1).forEach(function (row, idx) {
+      var inputs = {};
+      var name = '';
+      var stationGroup = '';
+      keys.forEach(function (key, col) {
+        if (!key || row[col] === undefined || row[col].trim() === '') return;
+        if (key === 'name') {
+          name = row[col].trim();
+        } else if (key === 'stationGroup') {
+          stationGroup = row[col].trim();
+        } else {
+          var value = coerce(key, row[col], defaults);
+          if (value !== undefined) inputs[key] = value;
+        }
+      });
+
+      if (!(inputs.acreage > 0)) {
+        errors.push({
+          message: name ? 'Row {row} ({name}): acreage is missing.' : 'Row {row}: acreage is missing.',
+          row:     idx + 2,
+          name:    name
+        });
+        return;
+      }
+      sites.push({ name: name || 'Site ' + (sites.length + 1), stationGroup: stationGroup, inputs: inputs });
+    });
+
+    return { sites: sites, errors: errors };
+  }
+
+  /** Header row for a blank import template. */
+  function csvTemplate() {
+    return SITE_COLUMNS.map(function (c) { return csvField(c.label); }).join(',') + '\r\n';
+  }
+
+  /**
+   * Portfolio results as CSV: one row per site in rank order plus a total row.
+   * Acreage and CO2 are given in the current Units system.
+   *
+   * @param {Object} portfolio - Output of evaluate().
+   * @returns {string}
+   */
+  function toCsv(portfolio) {
+    function area(v) { return round(U.fromImperial(v, 'area'), 2); }
+    function mass(v) { return round(U.fromImperial(v, 'mass'), 2); }
+
+    var header = ['Rank', 'Site', 'Station Group', 'Property Type', U.template('{area:name}s'), 'Maintenance Type', 'Automation %', 'Fleet',
+      'Units', 'Reference Stations', 'Total Investment', 'Annual Service', 'Net Annual Savings', 'Payback (years)', 'ROI %', 'NPV',
+      U.template('CO2 Reduced ({mass}/yr)')];
+
+    var lines = [header];
+    portfolio.sites.forEach(function (s) {
+      lines.push([
+        s.rank, s.name, s.stationGroup, s.inputs.propertyType, area(s.inputs.acreage), s.inputs.maintenanceType,
+        s.inputs.automationLevel, s.equipment.fleetLabel, s.equipment.unitsNeeded, s.equipment.referenceStations,
+        round(s.equipment.costs.totalInvestment, 2), round(s.equipment.costs.annualService, 2),
+        s.netSavings, s.metrics.paybackYears === Infinity ? 'N/A' : s.metrics.paybackYears,
+        s.metrics.roi === Infinity ? 'N/A' : s.metrics.roi, s.metrics.npv,
+        mass(s.results.environmental.co2Reduced)
+      ]);
+    });
+
+    var t = portfolio.totals;
+    lines.push([
+      '', 'Portfolio Total', '', '', area(t.acreage), '', '', '', t.unitsNeeded, t.referenceStations,
+      t.totalInvestment, t.annualService, t.netSavings,
+      t.paybackYears === Infinity ? 'N/A' : t.paybackYears,
+      t.roi === Infinity ? 'N/A' : t.roi, t.npv, mass(t.co2Reduced)
+    ]);
+
+    return lines.map(function (line) { return line.map(csvField).join(','); }).join('\r\n') + '\r\n';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Evaluation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Payback of the sites taken together, by the rule withInvestment()
+   * applies to one site: when every site is bought outright and something
+   * is left to recover after resale credits, the combined net investment
+   * over the combined effective savings (net savings plus avoided
+   * replacements); otherwise the year the summed projections recover the
+   * combined up-front outlay (Infinity if not within the horizon).
+   */
+  function combinedPayback(sites) {
+    var netInvestment = 0;
+    var effectiveSavings = 0;
+    var upfront = 0;
+    var financed = false;
+    var years = [];
+
+    sites.forEach(function (s) {
+      netInvestment    += s.metrics.netInvestment;
+      effectiveSavings += s.netSavings + s.metrics.avoidedCapexPerYear;
+      upfront          += s.metrics.financing.upfront;
+      if (s.metrics.financing.mode !== 'cash' && s.metrics.totalInvestment > 0) financed = true;
+      s.projection.forEach(function (p, y) {
+        years[y] = { annualSavings: (years[y] ? years[y].annualSavings : 0) + p.annualSavings };
+      });
+    });
+
+    if (!financed && netInvestment > 0) {
+      return effectiveSavings > 0 ? round(netInvestment / effectiveSavings, 2) : Infinity;
+    }
+    var payback = Calc.projectionPayback(upfront, years);
+    return payback === Infinity ? Infinity : round(payback, 2);
+  }
+
+  /**
+   * Evaluate every site and roll the results up.
+   *
+   * Portfolio ROI is a simple (cash) figure on the combined investment and
+   * combined net savings after service; payback follows the per-site rule
+   * (see combinedPayback). NPV and horizon savings are the sums of the
+   * per-site figures.
+   *
+   * Sites with the same `stationGroup` are close enough to share a reference
+   * station: the first site of the group (in list order) buys it and the
+   * others are costed with `{ sharedStation: true }`. `sharedSavings` is what
+   * that saves against buying every site its own.
+   *
+   * @param {Array<Object>} sites - [{ name, stationGroup, inputs }] with raw calculator inputs.
+   * @param {Object} options
+   * @param {Function} options.recommend - (resolvedInputs, { sharedStation }) =>
+   *                                       Equipment.recommend() result.
+   *
+   * @returns {Object} {
+   *   sites: [{ rank, index, name, stationGroup, inputs, results, equipment, metrics,
+   *             projection, netSavings, horizonSavings, sharedSavings }],
+   *                                              // ranked by payback, fastest first;
+   *                                              // index is the position in `sites`
+   *   totals: { sites, acreage, unitsNeeded, referenceStations, totalInvestment,
+   *             annualService, sharedSavings, currentCost, netSavings, horizonSavings,
+   *             npv, roi, paybackYears, laborHoursSaved, co2Reduced, fuelGallonsSaved,
+   *             treeEquivalents }
+   * }
+   */
+  function evaluate(sites, options) {
+    options = options || {};
+
+    var stationGroups = {};
+
+    var evaluated = (sites || []).map(function (site, index) {
+      var results = Calc.calculateROI(site.inputs || {});
+      var group = String(site.stationGroup || '').trim();
+      var key = group.toLowerCase();
+      var shared = !!group && stationGroups[key] === true;
+      if (group) stationGroups[key] = true;
+
+      var eq = options.recommend(results.inputs, { sharedStation: shared });
+      var standalone = shared ? options.recommend(results.inputs, { sharedStation: false }) : eq;
+      var metrics = results.withInvestment(eq.costs.totalInvestment, eq.costs.annualService, eq.lifecycle);
+      var projection = Calc.calculateProjection(results, eq.costs.totalInvestment, eq.costs.annualService, eq.lifecycle);
+
+      return {
+        rank:           0,
+        index:          index,
+        name:           site.name,
+        stationGroup:   group,
+        inputs:         results.inputs,
+        results:        results,
+        equipment:      eq,
+        metrics:        metrics,
+        projection:     projection,
+        netSavings:     round(results.netAnnualSavings - eq.costs.annualService, 2),
+        horizonSavings: projection.length ? projection[projection.length - 1].cumulativeSavings : 0,
+        sharedSavings:  round(standalone.costs.totalInvestment - eq.costs.totalInvestment, 2)
+      };
+    });
+
+    // Fastest payback first; sites that never pay back go last, best savings first
+    evaluated.sort(function (a, b) {
+      var pa = a.metrics.paybackYears, pb = b.metrics.paybackYears;
+      if (pa !== pb) return pa === Infinity ? 1 : pb === Infinity ? -1 : pa - pb;
+      return b.netSavings - a.netSavings;
+    });
+    evaluated.forEach(function (s, idx) { s.rank = idx + 1; });
+
+    var totals = {
+      sites: evaluated.length, acreage: 0, unitsNeeded: 0, referenceStations: 0, totalInvestment: 0,
+      annualService: 0, sharedSavings: 0, currentCost: 0, netSavings: 0, horizonSavings: 0, npv: 0,
+      laborHoursSaved: 0, co2Reduced: 0, fuelGallonsSaved: 0, treeEquivalents: 0
+    };
+    evaluated.forEach(function (s) {
+      totals.acreage          += s.inputs.acreage;
+      totals.unitsNeeded      += s.equipment.unitsNeeded;
+      totals.referenceStations += s.equipment.referenceStations;
+      totals.sharedSavings    += s.sharedSavings;
+      totals.totalInvestment  += s.equipment.costs.totalInvestment;
+      totals.annualService    += s.equipment.costs.annualService;
+      totals.currentCost      += s.results.currentCosts.total;
+      totals.netSavings       += s.netSavings;
+      totals.horizonSavings   += s.horizonSavings;
+      totals.npv              += s.metrics.npv;
+      totals.laborHoursSaved  += s.results.labor.hoursSaved;
+      totals.co2Reduced       += s.results.environmental.co2Reduced;
+      totals.fuelGallonsSaved += s.results.environmental.fuelGallonsSaved;
+      totals.treeEquivalents  += s.results.environmental.treeEquivalents;
+    });
+    ['acreage', 'totalInvestment', 'annualService', 'sharedSavings', 'currentCost', 'netSavings', 'horizonSavings', 'npv',
+      'co2Reduced', 'fuelGallonsSaved', 'treeEquivalents'].forEach(function (key) {
+      totals[key] = round(totals[key], 2);
+    });
+
+    if (totals.totalInvestment === 0) {
+      totals.roi = totals.netSavings > 0 ? Infinity : 0;
+    } else {
+      totals.roi = round(totals.netSavings / totals.totalInvestment * 100, 2);
+    }
+    totals.paybackYears = combinedPayback(evaluated);
+
+    return { sites: evaluated, totals: totals };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  return {
+    SITE_COLUMNS: SITE_COLUMNS,
+    evaluate:     evaluate,
+    parseCsv:     parseCsv,
+    csvTemplate:  csvTemplate,
+    toCsv:        toCsv
+  };
+
+})();
+
+// Make available on window for non-module environments
+if (typeof window !== 'undefined') {
+  window.Portfolio = Portfolio;
+}
+
+// Support CommonJS / Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Portfolio;
+}
@@ -0,0 +1,157 @@
+/**
+ * Regional Presets
+ * Autonomous Mowing Solutions ROI Calculator
+ *
+ * Loads /data/regions.json -- prevailing groundskeeper wage, fuel price,
+ * mowing season, electricity rate and grid CO2 intensity for each US state
+ * -- and looks a region up by state code or ZIP code prefix.
+ *
+ * Usage:
+ *   await Regions.init();
+ *   var region = Regions.findByZip('78701');   // Texas
+ *   var preset = Regions.preset(region);       // { hourlyRate, fuelCostPerGallon, ... }
+ */
+const Regions = (function () {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Fallback data -- used when regions.json cannot be fetched
+  // ---------------------------------------------------------------------------
+
+  var FALLBACK_DATA = {
+    source: 'National averages. Wages: BLS Occupational Employment and Wage Statistics, May 2023 ' +
+      '(Landscaping & Groundskeeping Workers, 37-3011). Fuel and electricity: EIA, 2023. ' +
+      'Grid CO₂: EPA eGRID2022.',
+    national: {
+      code: 'US',
+      name: 'United States (national average)',
+      zipPrefixes: [],
+      hourlyRate: 17.80,
+      fuelCostPerGallon: 3.50,
+      seasonWeeks: 30,
+      electricityRate: 0.12,
+      gridCo2PerKwh: 0.82
+    },
+    regions: []
+  };
+
+  /** Region fields that map straight onto calculator inputs */
+  var PRESET_FIELDS = ['hourlyRate', 'fuelCostPerGallon', 'seasonWeeks', 'electricityRate', 'gridCo2PerKwh'];
+
+  var _data = FALLBACK_DATA;
+  var _initialized = false;
+
+  // ---------------------------------------------------------------------------
+  // Initialization
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Load the regional dataset. Falls back to the national averages alone if
+   * the fetch fails for any reason.
+   *
+   * @returns {Promise<void>}
+   */
+  function init() {
+    if (_initialized) {
+      return Promise.resolve();
+    }
+
+    return fetch('/data/regions.json')
+      .then(function (response) {
+        if (!response.ok) {
+          throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+      })
+      .then(function (json) {
+        if (json && json.national && Array.isArray(json.regions)) {
+          _data = json;
+        } else {
+          console.warn('[Regions] JSON loaded but has unexpected shape. Using national averages.');
+        }
+        _initialized = true;
+      })
+      .catch(function (err) {
+        console.warn('[Regions] Could not load regions.json, using national averages.', err);
+        _initialized = true;
+      });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lookup
+  // ---------------------------------------------------------------------------
+
+  /** National average first, then the states in dataset order. */
+  function list() {
+    return [_data.national].concat(_data.regions);
+  }
+
+  /** Region by code ('TX', 'US'), or null. */
+  function get(code) {
+    if (!code) return null;
+    code = String(code).toUpperCase();
+    var all = list();
+    for (var r = 0; r < all.length; r++) {
+      if (all[r].code === code) return all[r];
+    }
+    return null;
+  }
+
+  /**
+   * Region whose ZIP prefix ranges contain the first three digits of `zip`,
+   * or null when the ZIP is too short or not in the dataset.
+   */
+  function findByZip(zip) {
+    var prefix = String(zip || '').replace(/\D/g, '').slice(0, 3);
+    if (prefix.length < 3) return null;
+    for (var r = 0; r < _data.regions.length; r++) {
+      var ranges = _data.regions[r].zipPrefixes || [];
+      for (var k = 0; k < ranges.length; k++) {
+        if (prefix >= ranges[k][0] && prefix <= ranges[k][1]) return _data.regions[r];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Calculator inputs for a region: { region, hourlyRate, fuelCostPerGallon,
+   * seasonWeeks, electricityRate, gridCo2PerKwh }.
+   */
+  function preset(region) {
+    var out = { region: region.code };
+    PRESET_FIELDS.forEach(function (key) {
+      out[key] = region[key];
+    });
+    return out;
+  }
+
+  /** Attribution for the figures in the dataset. */
+  function source() {
+    return _data.source;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  return {
+    PRESET_FIELDS: PRESET_FIELDS,
+    init:          init,
+    list:          list,
+    get:           get,
+    findByZip:     findByZip,
+    preset:        preset,
+    source:        source
+  };
+
+})();
+
+// Make available on window for non-module environments
+if (typeof window !== 'undefined') {
+  window.Regions = Regions;
+}
+
+// Support CommonJS / Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Regions;
+}
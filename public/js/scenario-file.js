@@ -0,0 +1,175 @@
+/**
+ * Scenario Files
+ * Autonomous Mowing Solutions ROI Calculator
+ *
+ * Reads and writes a calculation as a JSON file, to archive a proposal or
+ * move it to another computer. The file is self-describing and versioned:
+ *
+ *   {
+ *     "format":     "ams-roi-scenario",
+ *     "version":    1,
+ *     "exportedAt": "2026-05-01T14:30:00.000Z",
+ *     "inputs":         { ... },
+ *     "recommendation": { ... },
+ *     "projection":     [ ... ]
+ *   }
+ *
+ *   inputs         - Resolved calculator inputs (Calculator.calculateROI(...).inputs):
+ *                    every assumption with its defaults filled in. Quantities
+ *                    are in US units (acres, gallons, lbs, feet) whatever
+ *                    `unitSystem` says; `unitSystem` is how they were entered
+ *                    and shown. Money is in `currency`. The number format
+ *                    (`locale`) is left out: it belongs to whoever opens
+ *                    the file, as with share links and saved calculations.
+ *   recommendation - The Equipment.recommend() result the calculation used:
+ *                    fleet, unit counts, costs and lifecycle schedule.
+ *   projection     - Calculator.calculateProjection() rows, one per year of
+ *                    the analysis horizon.
+ *
+ * Importing reads `inputs` back into the wizard and recalculates; the
+ * recommendation and projection are kept in the file as the record of what
+ * was proposed. Files from an older version are migrated on import; files
+ * from a newer version are refused rather than misread.
+ *
+ * Pure data -- no DOM access.
+ *
+ * Usage:
+ *   var json = ScenarioFile.stringify({ inputs: r.inputs, recommendation: eq, projection: proj });
+ *   var parsed = ScenarioFile.parse(text);   // { scenario, error }
+ */
+const ScenarioFile = (function () {
+  'use strict';
+
+  var FORMAT = 'ams-roi-scenario';
+  var VERSION = 1;
+
+  // Upgrades keyed by the version they read: MIGRATIONS[1] would turn a
+  // version 1 file into a version 2 one. Add an entry (and document the new
+  // shape above) whenever the format changes.
+  var MIGRATIONS = {};
+
+  // ---------------------------------------------------------------------------
+  // Export
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The file contents for a calculation.
+   *
+   * @param {Object} data
+   * @param {Object} data.inputs         - Resolved calculator inputs.
+   * @param {Object} data.recommendation - Equipment.recommend() result.
+   * @param {Array}  data.projection     - Calculator.calculateProjection() rows.
+   * @returns {string} Indented JSON.
+   */
+  function stringify(data) {
+    var inputs = {};
+    Object.keys(data.inputs || {}).forEach(function (key) {
+      if (key !== 'locale') inputs[key] = data.inputs[key];
+    });
+
+    return JSON.stringify({
+      format:         FORMAT,
+      version:        VERSION,
+      exportedAt:     new Date().toISOString(),
+      inputs:         inputs,
+      recommendation: data.recommendation,
+      projection:     data.projection
+    }, null, 2);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Import
+  // ---------------------------------------------------------------------------
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /** Whether every value of `obj` (but `except`) is a string, number, boolean or null. */
+  function allPrimitive(obj, except) {
+    return Object.keys(obj).every(function (key) {
+      var value = obj[key];
+      return key === except || value === null || typeof value !== 'object';
+    });
+  }
+
+  /**
+   * Whether `inputs` has the shape the wizard reads back: a positive
+   * acreage, plain values, and zones (if any) as a list of plain objects.
+   */
+  function isValidInputs(inputs) {
+    if (!isObject(inputs) || !(Number(inputs.acreage) > 0) || !allPrimitive(inputs, 'zones')) return false;
+    if (inputs.zones === undefined || inputs.zones === null) return true;
+    return Array.isArray(inputs.zones) && inputs.zones.every(function (zone) {
+      return isObject(zone) && allPrimitive(zone);
+    });
+  }
+
+  /**
+   * Read a scenario file.
+   *
+   * @param {string} text - File contents.
+   * @returns {Object} { scenario: { version, exportedAt, inputs, recommendation,
+   *   projection } | null, error: string | null } -- `error` says in English
+   *   why a file could not be read.
+   */
+  function parse(text) {
+    var file;
+    try {
+      file = JSON.parse(text);
+    } catch (err) {
+      return { scenario: null, error: 'The file is not valid JSON.' };
+    }
+
+    if (!isObject(file) || file.format !== FORMAT || typeof file.version !== 'number') {
+      return { scenario: null, error: 'The file is not an ROI calculator scenario.' };
+    }
+    if (file.version > VERSION) {
+      return { scenario: null, error: 'The file was made by a newer version of the calculator.' };
+    }
+
+    while (file.version < VERSION) {
+      if (!MIGRATIONS[file.version]) {
+        return { scenario: null, error: 'The file was made by a version of the calculator that is no longer supported.' };
+      }
+      file = MIGRATIONS[file.version](file);
+    }
+
+    if (!isValidInputs(file.inputs)) {
+      return { scenario: null, error: 'The file does not contain the property inputs.' };
+    }
+
+    return {
+      scenario: {
+        version:        file.version,
+        exportedAt:     file.exportedAt || null,
+        inputs:         file.inputs,
+        recommendation: isObject(file.recommendation) ? file.recommendation : null,
+        projection:     Array.isArray(file.projection) ? file.projection : []
+      },
+      error: null
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  return {
+    FORMAT:    FORMAT,
+    VERSION:   VERSION,
+    stringify: stringify,
+    parse:     parse
+  };
+
+})();
+
+// Make available on window for non-module environments
+if (typeof window !== 'undefined') {
+  window.ScenarioFile = ScenarioFile;
+}
+
+// Support CommonJS / Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScenarioFile;
+}
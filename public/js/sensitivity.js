@@ -0,0 +1,161 @@
+/**
+ * Sensitivity Analysis Engine
+ * Autonomous Mowing Solutions ROI Calculator
+ *
+ * Re-runs Calculator.calculateROI with one assumption at a time moved up and
+ * down by a fixed percentage, and reports how far net annual savings and
+ * payback swing. The result feeds the tornado chart and the PDF table.
+ *
+ * Pure calculation -- no DOM access.
+ *
+ * Usage:
+ *   var s = Sensitivity.analyze(inputs, {
+ *     variation: 20,
+ *     recommend: function (resolved) { return Equipment.recommend(...); }
+ *   });
+ */
+const Sensitivity = (function () {
+  'use strict';
+
+  var Calc = typeof Calculator !== 'undefined' ? Calculator : require('./calculator.js');
+
+  // ---------------------------------------------------------------------------
+  // Assumptions that are varied, in display order. Labels name units with
+  // Units.template placeholders, filled in by the renderers.
+  // ---------------------------------------------------------------------------
+
+  var VARIABLES = [
+    { key: 'hourlyRate',           label: 'Hourly Labor Rate' },
+    { key: 'laborReduction',       label: 'Labor Reduction w/ Automation' },
+    { key: 'automationLevel',      label: 'Automation Level' },
+    { key: 'mowingTimePercent',    label: 'Time Spent Mowing' },
+    { key: 'benefitsRate',         label: 'Employee Benefits' },
+    { key: 'monthlyContract',      label: 'Monthly Contract Cost' },
+    { key: 'fuelCostPerGallon',    label: 'Fuel Cost per {volume:name}' },
+    { key: 'fuelPerAcre',          label: 'Fuel Consumption per {area:name}' },
+    { key: 'equipmentCostPerAcre', label: 'Equipment Cost per {area:name}' },
+    { key: 'roboticMaintenance',   label: 'Robotic Consumables & Repairs' },
+    { key: 'electricityPerAcre',   label: 'Electricity per {area:name}' }
+  ];
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Evaluate one set of inputs. When a `recommend` callback is supplied the
+   * fleet is re-sized for the inputs (automation level changes unit counts);
+   * otherwise the fixed investment figures from `options` are used.
+   */
+  function evaluate(inputs, options) {
+    var results = Calc.calculateROI(inputs);
+    var investment = options.totalInvestment;
+    var service = options.annualServiceCost;
+    var lifecycle = options.lifecycle;
+
+    if (typeof options.recommend === 'function') {
+      var eq = options.recommend(results.inputs);
+      investment = eq.costs.totalInvestment;
+      service = eq.costs.annualService;
+      lifecycle = eq.lifecycle;
+    }
+
+    var metrics = results.withInvestment(investment, service, lifecycle);
+    return {
+      value:            null,
+      netAnnualSavings: results.netAnnualSavings,
+      paybackYears:     metrics.paybackYears,
+      inputs:           results.inputs
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Main analysis
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Run a one-at-a-time sensitivity analysis.
+   *
+   * @param {Object} rawInputs - Calculator inputs (raw or resolved).
+   * @param {Object} [options]
+   * @param {number} [options.variation=20]       - +/- percentage applied to each assumption.
+   * @param {Function} [options.recommend]        - (resolvedInputs) => Equipment.recommend() result.
+   * @param {number} [options.totalInvestment=0]  - Fixed investment when no recommend callback.
+   * @param {number} [options.annualServiceCost=0]- Fixed service cost when no recommend callback.
+   * @param {Object} [options.lifecycle]          - Fixed lifecycle schedule when no recommend callback.
+   * @param {Array<string>} [options.variables]   - Subset of variable keys to vary.
+   *
+   * @returns {Object} { variation, base: { netAnnualSavings, paybackYears },
+   *   rows: [{ key, label, baseValue, low, high, swing }] } -- rows sorted by
+   *   swing in net annual savings (largest first); assumptions that do not
+   *   move the result are omitted.
+   */
+  function analyze(rawInputs, options) {
+    options = options || {};
+    var variation = Math.min(90, Math.max(1, Number(options.variation) || 20));
+
+    var base = evaluate(rawInputs || {}, options);
+    var resolved = base.inputs;
+
+    var variables = VARIABLES;
+    if (Array.isArray(options.variables)) {
+      variables = VARIABLES.filter(function (v) { return options.variables.indexOf(v.key) !== -1; });
+    }
+
+    var rows = [];
+    variables.forEach(function (v) {
+      var baseValue = resolved[v.key];
+      if (!baseValue) return;
+
+      var low  = evaluate(Calc.withInput(resolved, v.key, baseValue * (1 - variation / 100)), options);
+      var high = evaluate(Calc.withInput(resolved, v.key, baseValue * (1 + variation / 100)), options);
+      low.value  = low.inputs[v.key];
+      high.value = high.inputs[v.key];
+      delete low.inputs;
+      delete high.inputs;
+
+      var swing = Math.abs(high.netAnnualSavings - low.netAnnualSavings);
+      if (swing === 0 && low.paybackYears === high.paybackYears) return;
+
+      rows.push({
+        key:       v.key,
+        label:     v.label,
+        baseValue: baseValue,
+        low:       low,
+        high:      high,
+        swing:     Math.round(swing * 100) / 100
+      });
+    });
+
+    rows.sort(function (a, b) { return b.swing - a.swing; });
+
+    return {
+      variation: variation,
+      base: {
+        netAnnualSavings: base.netAnnualSavings,
+        paybackYears:     base.paybackYears
+      },
+      rows: rows
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  return {
+    VARIABLES: VARIABLES,
+    analyze:   analyze
+  };
+
+})();
+
+// Make available on window for non-module environments
+if (typeof window !== 'undefined') {
+  window.Sensitivity = Sensitivity;
+}
+
+// Support CommonJS / Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Sensitivity;
+}
@@ -0,0 +1,97 @@
+/**
+ * Shareable Links
+ * Autonomous Mowing Solutions ROI Calculator
+ *
+ * Packs the calculator's form state into the URL hash so a calculation can
+ * be sent to a colleague and reopened exactly. The hash carries a format
+ * version ahead of the payload, so links made by an older version of the
+ * page can still be recognized (or politely ignored) by a newer one:
+ *
+ *   #s=1.eyJwcm9wZXJ0eVR5cGUiOiJnb2xmIiwiYWNyZWFnZSI6IjIwIn0
+ *
+ * The payload is base64url-encoded JSON. What goes in it is up to the
+ * caller; app.js writes the form fields that differ from their defaults.
+ *
+ * Usage:
+ *   location.hash = Share.encode({ propertyType: 'golf', acreage: '20' });
+ *   var state = Share.decode(location.hash);   // null if absent or invalid
+ */
+const Share = (function () {
+  'use strict';
+
+  var VERSION = 1;
+  var PREFIX = 's=';
+
+  // ---------------------------------------------------------------------------
+  // base64url (UTF-8 safe, so zone names can hold any text)
+  // ---------------------------------------------------------------------------
+
+  function toBase64Url(text) {
+    var bytes = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, function (match, hex) {
+      return String.fromCharCode(parseInt(hex, 16));
+    });
+    return btoa(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(encoded) {
+    var bytes = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return decodeURIComponent(bytes.split('').map(function (c) {
+      return '%' + ('0' + c.charCodeAt(0).toString(16)).slice(-2);
+    }).join(''));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Encoding
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Hash for a state object, without the leading '#'.
+   *
+   * @param {Object} state - Plain JSON-serializable object.
+   * @returns {string} e.g. 's=1.eyJhY3JlYWdlIjoiMjAifQ'
+   */
+  function encode(state) {
+    return PREFIX + VERSION + '.' + toBase64Url(JSON.stringify(state || {}));
+  }
+
+  /**
+   * State object from a URL hash, or null when the hash is empty, not a
+   * share link, from an unknown version or corrupted.
+   *
+   * @param {string} hash - location.hash, with or without the leading '#'.
+   * @returns {Object|null}
+   */
+  function decode(hash) {
+    var match = /^#?s=(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(hash || ''));
+    if (!match || Number(match[1]) !== VERSION) return null;
+
+    try {
+      var state = JSON.parse(fromBase64Url(match[2]));
+      return state && typeof state === 'object' && !Array.isArray(state) ? state : null;
+    } catch (err) {
+      console.warn('[Share] Ignoring a share link that could not be read.', err);
+      return null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  return {
+    VERSION: VERSION,
+    encode:  encode,
+    decode:  decode
+  };
+
+})();
+
+// Make available on window for non-module environments
+if (typeof window !== 'undefined') {
+  window.Share = Share;
+}
+
+// Support CommonJS / Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Share;
+}
@@ -0,0 +1,286 @@
+/**
+ * Monte Carlo Risk Simulation
+ * Autonomous Mowing Solutions ROI Calculator
+ *
+ * Draws the uncertain assumptions from triangular or uniform distributions,
+ * re-runs Calculator.calculateROI / calculateProjection for each draw and
+ * summarises the spread of net savings and payback.
+ *
+ * Pure calculation -- no DOM access. Iterations run in small chunks on
+ * timers so the page stays responsive while a simulation is in progress.
+ *
+ * Usage:
+ *   Simulation.run(inputs, {
+ *     iterations: 5000,
+ *     totalInvestment: 42000,
+ *     annualServiceCost: 1800,
+ *     paybackTarget: 3,
+ *     onProgress: function (done, total) { ... }
+ *   }).then(function (summary) { ... });
+ */
+const Simulation = (function () {
+  'use strict';
+
+  var Calc = typeof Calculator !== 'undefined' ? Calculator : require('./calculator.js');
+
+  // ---------------------------------------------------------------------------
+  // Default ranges (percent below / above the entered value). Labels name
+  // units with Units.template placeholders, filled in by the renderers.
+  // ---------------------------------------------------------------------------
+
+  var DEFAULT_RANGES = [
+    { key: 'hourlyRate',           label: 'Hourly Labor Rate',                lowPct: 10, highPct: 15, shape: 'triangular' },
+    { key: 'laborReduction',       label: 'Labor Reduction w/ Automation',    lowPct: 20, highPct: 10, shape: 'triangular' },
+    { key: 'mowingTimePercent',    label: 'Time Spent Mowing',                lowPct: 20, highPct: 20, shape: 'triangular' },
+    { key: 'monthlyContract',      label: 'Monthly Contract Cost',            lowPct: 10, highPct: 10, shape: 'triangular' },
+    { key: 'fuelCostPerGallon',    label: 'Fuel Cost per {volume:name}',      lowPct: 25, highPct: 35, shape: 'triangular' },
+    { key: 'fuelPerAcre',          label: 'Fuel Consumption per {area:name}', lowPct: 20, highPct: 20, shape: 'uniform' },
+    { key: 'equipmentCostPerAcre', label: 'Equipment Cost per {area:name}',   lowPct: 20, highPct: 20, shape: 'uniform' },
+    { key: 'roboticMaintenance',   label: 'Robotic Consumables & Repairs',    lowPct: 25, highPct: 50, shape: 'triangular' },
+    { key: 'electricityPerAcre',   label: 'Electricity per {area:name}',      lowPct: 25, highPct: 50, shape: 'triangular' },
+    { key: 'annualLaborIncrease',  label: 'Annual Labor Cost Increase',       lowPct: 50, highPct: 50, shape: 'triangular' },
+    { key: 'annualFuelIncrease',   label: 'Annual Fuel Cost Increase',        lowPct: 50, highPct: 50, shape: 'triangular' }
+  ];
+
+  var DEFAULT_ITERATIONS = 5000;
+  var CHUNK_SIZE = 250;
+  var HISTOGRAM_BINS = 20;
+
+  // ---------------------------------------------------------------------------
+  // Random sampling
+  // ---------------------------------------------------------------------------
+
+  /** Small seedable PRNG (mulberry32) so runs can be reproduced. */
+  function createRandom(seed) {
+    if (seed === undefined || seed === null) return Math.random;
+    var a = seed >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      var t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Draw one value from a range.
+   * @param {Object} range - { min, mode, max, shape: 'triangular'|'uniform' }
+   * @param {Function} random - Returns a float in [0, 1).
+   */
+  function sample(range, random) {
+    var min = range.min, max = range.max;
+    var u = random();
+    if (max <= min) return min;
+    if (range.shape === 'uniform') return min + u * (max - min);
+
+    // Inverse CDF of the triangular distribution
+    var mode = Math.min(Math.max(range.mode, min), max);
+    var split = (mode - min) / (max - min);
+    if (u < split) return min + Math.sqrt(u * (max - min) * (mode - min));
+    return max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function round(value, decimals) {
+    var factor = Math.pow(10, decimals || 0);
+    return Math.round(value * factor) / factor;
+  }
+
+  /** Linear-interpolated percentile of an ascending array. */
+  function percentile(sorted, p) {
+    if (!sorted.length) return 0;
+    var idx = (sorted.length - 1) * p / 100;
+    var lo = Math.floor(idx);
+    var hi = Math.ceil(idx);
+    if (sorted[hi] === sorted[lo]) return sorted[lo];
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+  }
+
+  function summarize(values) {
+    var sorted = values.slice().sort(function (a, b) { return a - b; });
+    var total = 0;
+    for (var i = 0; i < sorted.length; i++) total += sorted[i];
+    return {
+      p10:  round(percentile(sorted, 10), 2),
+      p50:  round(percentile(sorted, 50), 2),
+      p90:  round(percentile(sorted, 90), 2),
+      mean: round(sorted.length ? total / sorted.length : 0, 2),
+      min:  round(sorted[0] || 0, 2),
+      max:  round(sorted[sorted.length - 1] || 0, 2)
+    };
+  }
+
+  /** Equal-width histogram: [{ from, to, count }] */
+  function histogram(values, binCount) {
+    var min = Infinity, max = -Infinity;
+    values.forEach(function (v) {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    });
+    if (!values.length) return [];
+    if (max === min) return [{ from: min, to: max, count: values.length }];
+
+    var width = (max - min) / binCount;
+    var bins = [];
+    for (var b = 0; b < binCount; b++) {
+      bins.push({ from: round(min + b * width, 2), to: round(min + (b + 1) * width, 2), count: 0 });
+    }
+    values.forEach(function (v) {
+      var idx = Math.min(Math.floor((v - min) / width), binCount - 1);
+      bins[idx].count++;
+    });
+    return bins;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Ranges
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Build absolute ranges around a set of resolved inputs. Assumptions that
+   * are zero for this property (e.g. contract cost when mowing in-house) are
+   * left out.
+   *
+   * @param {Object} resolved - Resolved inputs (calculateROI(...).inputs).
+   * @returns {Array<Object>} [{ key, label, min, mode, max, shape }]
+   */
+  function buildRanges(resolved) {
+    var ranges = [];
+    DEFAULT_RANGES.forEach(function (d) {
+      var base = resolved[d.key];
+      if (!base) return;
+      ranges.push({
+        key:   d.key,
+        label: d.label,
+        min:   round(base * (1 - d.lowPct / 100), 2),
+        mode:  base,
+        max:   round(base * (1 + d.highPct / 100), 2),
+        shape: d.shape
+      });
+    });
+    return ranges;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Main simulation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Run a Monte Carlo simulation without blocking the page.
+   *
+   * @param {Object} rawInputs - Calculator inputs (raw or resolved).
+   * @param {Object} [options]
+   * @param {number} [options.iterations=5000]   - Number of draws (100-20000).
+   * @param {Array}  [options.ranges]            - Ranges from buildRanges(); defaults around the inputs.
+   * @param {number} [options.totalInvestment=0] - Equipment investment ($).
+   * @param {number} [options.annualServiceCost=0] - Annual service cost ($/year).
+   * @param {Object} [options.lifecycle]         - Equipment lifecycle schedule (see Calculator.calculateProjection).
+   * @param {number} [options.paybackTarget=3]   - N for "probability of payback within N years".
+   * @param {number} [options.seed]              - Seed for reproducible draws.
+   * @param {Object} [options.signal]            - AbortSignal; an aborted run resolves to null.
+   * @param {Function} [options.onProgress]      - (completed, total) after each chunk.
+   *
+   * @returns {Promise<Object|null>} {
+   *   iterations, paybackTarget,
+   *   netAnnualSavings: { p10, p50, p90, mean, min, max },
+   *   cumulativeSavings: { ... },   // over the analysis horizon
+   *   paybackYears: { p10, p50, p90 },
+   *   probabilityPayback,           // 0-1, share of draws paying back within paybackTarget
+   *   histogram: [{ from, to, count }]   // net annual savings
+   * }
+   */
+  function run(rawInputs, options) {
+    options = options || {};
+    var iterations = Math.min(20000, Math.max(100, Math.round(Number(options.iterations) || DEFAULT_ITERATIONS)));
+    var paybackTarget = Number(options.paybackTarget) > 0 ? Number(options.paybackTarget) : 3;
+    var investment = Number(options.totalInvestment) || 0;
+    var service = Number(options.annualServiceCost) || 0;
+    var resolved = Calc.calculateROI(rawInputs || {}).inputs;
+    var ranges = options.ranges || buildRanges(resolved);
+    var random = createRandom(options.seed);
+
+    var netSavings = [];
+    var cumulative = [];
+    var paybacks = [];
+    var paidBack = 0;
+
+    function iterate() {
+      var draw = ranges.reduce(function (sampled, r) {
+        return Calc.withInput(sampled, r.key, sample(r, random));
+      }, resolved);
+
+      var results = Calc.calculateROI(draw);
+      var metrics = results.withInvestment(investment, service, options.lifecycle);
+      var projection = Calc.calculateProjection(results, investment, service, options.lifecycle);
+
+      netSavings.push(results.netAnnualSavings);
+      cumulative.push(projection.length ? projection[projection.length - 1].cumulativeSavings : 0);
+      paybacks.push(metrics.paybackYears);
+      if (metrics.paybackYears <= paybackTarget) paidBack++;
+    }
+
+    return new Promise(function (resolve) {
+      var done = 0;
+
+      function step() {
+        if (options.signal && options.signal.aborted) {
+          resolve(null);
+          return;
+        }
+        var end = Math.min(done + CHUNK_SIZE, iterations);
+        for (; done < end; done++) iterate();
+        if (typeof options.onProgress === 'function') options.onProgress(done, iterations);
+
+        if (done < iterations) {
+          setTimeout(step, 0);
+          return;
+        }
+
+        var sortedPaybacks = paybacks.slice().sort(function (a, b) { return a - b; });
+        resolve({
+          iterations:         iterations,
+          paybackTarget:      paybackTarget,
+          ranges:             ranges,
+          netAnnualSavings:   summarize(netSavings),
+          cumulativeSavings:  summarize(cumulative),
+          paybackYears: {
+            p10: round(percentile(sortedPaybacks, 10), 2),
+            p50: round(percentile(sortedPaybacks, 50), 2),
+            p90: round(percentile(sortedPaybacks, 90), 2)
+          },
+          probabilityPayback: round(paidBack / iterations, 4),
+          histogram:          histogram(netSavings, HISTOGRAM_BINS)
+        });
+      }
+
+      setTimeout(step, 0);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  return {
+    DEFAULT_RANGES:     DEFAULT_RANGES,
+    DEFAULT_ITERATIONS: DEFAULT_ITERATIONS,
+    buildRanges:        buildRanges,
+    sample:             sample,
+    run:                run
+  };
+
+})();
+
+// Make available on window for non-module environments
+if (typeof window !== 'undefined') {
+  window.Simulation = Simulation;
+}
+
+// Support CommonJS / Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Simulation;
+}
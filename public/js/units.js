@@ -0,0 +1,282 @@
+/**
+ * Units, Currency & Locale
+ * Autonomous Mowing Solutions ROI Calculator
+ *
+ * The calculator works in US units (acres, gallons, lbs, feet). This module
+ * converts metric inputs into those units, converts results back for
+ * display, and formats money and numbers for the selected currency and
+ * locale. Renderers read the current settings set by configure().
+ *
+ * Usage:
+ *   Units.configure({ unitSystem: 'metric', currency: 'EUR', locale: 'de-DE' });
+ *   Units.money(12345);            // "12.345 €"
+ *   Units.quantity(10, 'area');    // "4,05 ha"
+ *   Units.convertInputs({ inputUnits: 'metric', acreage: 4 });  // acreage in acres
+ */
+const Units = (function () {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Unit systems, currencies and locales
+  // ---------------------------------------------------------------------------
+
+  var SYSTEMS = {
+    imperial: { label: 'US (acres, gallons, lbs)' },
+    metric:   { label: 'Metric (hectares, litres, kg)' }
+  };
+
+  // usdRate converts the USD equipment catalog and reference prices
+  // (approximate; quotes in local currency should replace them)
+  var CURRENCIES = {
+    USD: { label: 'US Dollar ($)',       usdRate: 1 },
+    CAD: { label: 'Canadian Dollar (C$)', usdRate: 1.36 },
+    EUR: { label: 'Euro (€)',            usdRate: 0.92 }
+  };
+
+  var LOCALES = {
+    'en-US': 'English (United States)',
+    'en-CA': 'English (Canada)',
+    'fr-CA': 'Français (Canada)',
+    'en-GB': 'English (United Kingdom)',
+    'de-DE': 'Deutsch (Deutschland)',
+    'fr-FR': 'Français (France)',
+    'es-ES': 'Español (España)',
+    'nl-NL': 'Nederlands (Nederland)'
+  };
+
+  // Metric units per US unit for each base dimension
+  var FACTORS = {
+    area:   0.404686,   // hectares per acre
+    length: 0.3048,     // metres per foot
+    volume: 3.78541,    // litres per gallon
+    mass:   0.453592    // kilograms per pound
+  };
+
+  // Singular unit names for labels ("Fuel Cost per Litre")
+  var UNIT_NAMES = {
+    area:   { imperial: 'Acre',   metric: 'Hectare' },
+    length: { imperial: 'Foot',   metric: 'Metre' },
+    volume: { imperial: 'Gallon', metric: 'Litre' },
+    mass:   { imperial: 'Pound',  metric: 'Kilogram' }
+  };
+
+  // Each quantity kind as powers of the base dimensions, with its unit labels
+  var KINDS = {
+    area:          { dims: { area: 1 },              imperial: 'acres',    metric: 'ha' },
+    perArea:       { dims: { area: -1 },             imperial: '/acre',    metric: '/ha' },
+    length:        { dims: { length: 1 },            imperial: 'ft',       metric: 'm' },
+    volume:        { dims: { volume: 1 },            imperial: 'gal',      metric: 'L' },
+    perVolume:     { dims: { volume: -1 },           imperial: '/gal',     metric: '/L' },
+    volumePerArea: { dims: { volume: 1, area: -1 },  imperial: 'gal/acre', metric: 'L/ha' },
+    mass:          { dims: { mass: 1 },              imperial: 'lbs',      metric: 'kg' },
+    massPerVolume: { dims: { mass: 1, volume: -1 },  imperial: 'lbs/gal',  metric: 'kg/L' }
+  };
+
+  // Calculator inputs that carry a unit, and the kind of each
+  var INPUT_KINDS = {
+    acreage:              'area',
+    outsourcedAcreage:    'area',
+    fuelCostPerGallon:    'perVolume',
+    fuelPerAcre:          'volumePerArea',
+    equipmentCostPerAcre: 'perArea',
+    roboticMaintenance:   'perArea',
+    electricityPerAcre:   'perArea',
+    co2PerGallon:         'massPerVolume',
+    gridCo2PerKwh:        'mass',
+    mowingTimePerAcre:    'perArea'
+  };
+
+  var ZONE_INPUT_KINDS = {
+    acres:      'area',
+    distanceFt: 'length'
+  };
+
+  var _settings = { unitSystem: 'imperial', currency: 'USD', locale: 'en-US' };
+  var _formatters = {};
+
+  // ---------------------------------------------------------------------------
+  // Settings
+  // ---------------------------------------------------------------------------
+
+  /** Update the display settings; unknown values are ignored. */
+  function configure(settings) {
+    settings = settings || {};
+    if (SYSTEMS[settings.unitSystem]) _settings.unitSystem = settings.unitSystem;
+    if (CURRENCIES[settings.currency]) _settings.currency = settings.currency;
+    if (LOCALES[settings.locale]) _settings.locale = settings.locale;
+    return getSettings();
+  }
+
+  function getSettings() {
+    return { unitSystem: _settings.unitSystem, currency: _settings.currency, locale: _settings.locale };
+  }
+
+  /** Exchange rate from USD into a currency (default: the current one). */
+  function usdRate(currency) {
+    return (CURRENCIES[currency || _settings.currency] || CURRENCIES.USD).usdRate;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Conversion
+  // ---------------------------------------------------------------------------
+
+  /** Metric value of one US unit of a quantity kind. */
+  function factor(kind) {
+    var dims = KINDS[kind].dims;
+    var f = 1;
+    for (var d in dims) {
+      if (Object.prototype.hasOwnProperty.call(dims, d)) f *= Math.pow(FACTORS[d], dims[d]);
+    }
+    return f;
+  }
+
+  /** US-unit value in the given unit system (default: the current one). */
+  function fromImperial(value, kind, unitSystem) {
+    return (unitSystem || _settings.unitSystem) === 'metric' ? value * factor(kind) : value;
+  }
+
+  /** Value in the given unit system (default: the current one) back in US units. */
+  function toImperial(value, kind, unitSystem) {
+    return (unitSystem || _settings.unitSystem) === 'metric' ? value / factor(kind) : value;
+  }
+
+  function convertValue(value, kind) {
+    if (value === undefined || value === null || value === '' || !isFinite(Number(value))) return value;
+    return Number(value) / factor(kind);
+  }
+
+  /**
+   * Raw calculator inputs with metric values converted to US units. Inputs
+   * are metric when `inputUnits` is 'metric'; the copy returned is marked
+   * 'imperial' so converting it again is a no-op.
+   */
+  function convertInputs(raw) {
+    if (!raw || raw.inputUnits !== 'metric') return raw;
+    var out = {};
+    for (var k in raw) {
+      if (Object.prototype.hasOwnProperty.call(raw, k)) {
+        out[k] = INPUT_KINDS[k] ? convertValue(raw[k], INPUT_KINDS[k]) : raw[k];
+      }
+    }
+    if (Array.isArray(raw.zones)) {
+      out.zones = raw.zones.map(function (z) {
+        var zone = {};
+        for (var key in z) {
+          if (Object.prototype.hasOwnProperty.call(z, key)) {
+            zone[key] = ZONE_INPUT_KINDS[key] ? convertValue(z[key], ZONE_INPUT_KINDS[key]) : z[key];
+          }
+        }
+        return zone;
+      });
+    }
+    out.inputUnits = 'imperial';
+    return out;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Formatting
+  // ---------------------------------------------------------------------------
+
+  function formatter(key, options) {
+    key = _settings.locale + '|' + key;
+    if (!_formatters[key]) _formatters[key] = new Intl.NumberFormat(_settings.locale, options);
+    return _formatters[key];
+  }
+
+  /** Money in the current currency and locale: $12,345 / 12.345 € */
+  function money(n, decimals) {
+    decimals = decimals || 0;
+    return formatter(_settings.currency + decimals, {
+      style: 'currency',
+      currency: _settings.currency,
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    }).format(Number(n));
+  }
+
+  /** Currency symbol for input prefixes: $, CA$, € */
+  function currencySymbol() {
+    var parts = formatter(_settings.currency + 'symbol', { style: 'currency', currency: _settings.currency }).formatToParts(0);
+    for (var p = 0; p < parts.length; p++) {
+      if (parts[p].type === 'currency') return parts[p].value;
+    }
+    return _settings.currency;
+  }
+
+  /** Number in the current locale with up to `decimals` decimals (default 0). */
+  function number(n, decimals) {
+    decimals = decimals || 0;
+    return formatter('n' + decimals, { maximumFractionDigits: decimals }).format(Number(n));
+  }
+
+  /** Number in the current locale with exactly `decimals` decimals: "2.0" / "2,0" */
+  function fixed(n, decimals) {
+    return formatter('f' + decimals, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(Number(n));
+  }
+
+  /** Unit label of a quantity kind in the current system: 'acres', 'L/ha' */
+  function unit(kind) {
+    return KINDS[kind][_settings.unitSystem];
+  }
+
+  /** Singular name of a base unit in the current system and language: 'Hectare' */
+  function unitName(kind) {
+    var name = UNIT_NAMES[kind][_settings.unitSystem];
+    return typeof I18n !== 'undefined' ? I18n.t(name) : name;
+  }
+
+  /**
+   * Fill a unit template: {currency} is the currency symbol, {kind} the unit
+   * of a quantity kind and {kind:name} its singular name -- "{currency}{perArea}/mo"
+   * gives "€/ha/mo".
+   */
+  function template(text) {
+    return String(text).replace(/\{(\w+)(:name)?\}/g, function (match, kind, name) {
+      if (kind === 'currency') return currencySymbol();
+      if (name) return UNIT_NAMES[kind] ? unitName(kind) : match;
+      return KINDS[kind] ? unit(kind) : match;
+    });
+  }
+
+  /** US-unit value converted and formatted with its unit: "4.05 ha" */
+  function quantity(value, kind, decimals) {
+    return number(fromImperial(Number(value), kind), decimals) + ' ' + unit(kind);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  return {
+    SYSTEMS:          SYSTEMS,
+    CURRENCIES:       CURRENCIES,
+    LOCALES:          LOCALES,
+    INPUT_KINDS:      INPUT_KINDS,
+    ZONE_INPUT_KINDS: ZONE_INPUT_KINDS,
+    configure:        configure,
+    settings:         getSettings,
+    usdRate:          usdRate,
+    fromImperial:     fromImperial,
+    toImperial:       toImperial,
+    convertInputs:    convertInputs,
+    money:            money,
+    currencySymbol:   currencySymbol,
+    number:           number,
+    fixed:            fixed,
+    unit:             unit,
+    unitName:         unitName,
+    template:         template,
+    quantity:         quantity
+  };
+
+})();
+
+// Make available on window for non-module environments
+if (typeof window !== 'undefined') {
+  window.Units = Units;
+}
+
+// Support CommonJS / Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Units;
+}